@@ -4,19 +4,378 @@
  */
 
 import { parseStringPromise } from 'xml2js';
-import { ROKU_ECP_PORT } from './constants.js';
+import { Agent } from 'undici';
+import { ROKU_ECP_PORT, ROKU_TUNER_APP_ID, ROKU_SEARCH_TYPES } from './constants.js';
 
 // Re-exported for any consumer that still imports ROKU_ECP_PORT from here
 // directly. index.js now gets it from constants.js at module scope instead
 // (this module is loaded lazily — see index.js's getRokuClient()).
 export { ROKU_ECP_PORT };
 
+/**
+ * Safety net for keydown(): a key held longer than this is released
+ * automatically, so a lost keyup (closed tab, dropped request) can't leave
+ * the Roku scrubbing or ramping volume forever.
+ */
+export const KEY_HOLD_AUTO_RELEASE_MS = 10000;
+
+// Keys currently held via keydown(), `${baseUrl}|${key}` -> auto-release
+// timer. Module-scoped rather than per-instance because every route builds a
+// fresh RokuClient: the keyup arrives on a different instance than the keydown.
+const heldKeys = new Map();
+
+/**
+ * Per-device connection state, shared by every RokuClient for the same
+ * baseUrl (routes and poll ticks each build a fresh client, so per-instance
+ * state would share nothing):
+ *   - one keep-alive agent per device, capped at ROKU_MAX_CONCURRENT_REQUESTS
+ *     sockets, so requests reuse warm connections instead of a TCP handshake
+ *     each;
+ *   - at most ROKU_MAX_CONCURRENT_REQUESTS requests in flight per device —
+ *     low-end sticks start dropping ECP requests under a fleet-page burst.
+ *     A request's timeout starts when it is QUEUED, so waiting for a slot
+ *     counts against it (the poll's 1.2s fail-fast holds behind slow calls);
+ *   - identical GETs (same path AND timeout) coalesce: one issued while the
+ *     same GET is in flight, or within ROKU_COALESCE_WINDOW_MS of it
+ *     answering, shares its response. Any POST to the device drops those
+ *     recent answers — a keypress changes what the next read should see —
+ *     and a client set with setFresh() always reads the device itself.
+ * POSTs are queued but never coalesced (two keypresses are two keypresses).
+ * A client set with setPooled(false) — a one-off probe — skips all of this.
+ */
+export const ROKU_MAX_CONCURRENT_REQUESTS = 2;
+export const ROKU_COALESCE_WINDOW_MS = 250;
+// Idle sockets to a device are closed after this; a device idle this long
+// loses its whole entry (agent included), so addresses contacted once don't
+// pin an agent for the life of the process.
+const ROKU_KEEP_ALIVE_MS = 10 * 1000;
+// baseUrl -> { active, queue, inflight: Map(key -> Promise<string>),
+//              recent: Map(key -> { at, text }), agent, idleTimer }
+const connections = new Map();
+
+function connectionFor(baseUrl) {
+  let conn = connections.get(baseUrl);
+  if (!conn) {
+    conn = {
+      active: 0,
+      queue: [],
+      inflight: new Map(),
+      recent: new Map(),
+      agent: new Agent({
+        connections: ROKU_MAX_CONCURRENT_REQUESTS,
+        keepAliveTimeout: ROKU_KEEP_ALIVE_MS,
+        keepAliveMaxTimeout: ROKU_KEEP_ALIVE_MS,
+      }),
+      idleTimer: null,
+    };
+    connections.set(baseUrl, conn);
+  }
+  return conn;
+}
+
+/** Evict `baseUrl`'s entry once it has sat idle for ROKU_KEEP_ALIVE_MS. */
+function scheduleEviction(baseUrl, conn) {
+  if (conn.active > 0 || conn.queue.length > 0) return;
+  if (conn.idleTimer) clearTimeout(conn.idleTimer);
+  conn.idleTimer = setTimeout(() => {
+    conn.idleTimer = null;
+    if (conn.active > 0 || conn.queue.length > 0 || conn.inflight.size > 0) return;
+    if (connections.get(baseUrl) === conn) connections.delete(baseUrl);
+    conn.agent.close().catch(() => {});
+  }, ROKU_KEEP_ALIVE_MS);
+  conn.idleTimer.unref?.();
+}
+
+/**
+ * Run `fn(remainingMs)` once the device has a free request slot. Rejects
+ * with 'Request timeout' when no slot frees up within `timeoutMs` of the call.
+ */
+function withRequestSlot(baseUrl, fn, { timeoutMs = Infinity } = {}) {
+  const conn = connectionFor(baseUrl);
+  if (conn.idleTimer) {
+    clearTimeout(conn.idleTimer);
+    conn.idleTimer = null;
+  }
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    let waitTimer = null;
+    const run = () => {
+      if (waitTimer) clearTimeout(waitTimer);
+      conn.active += 1;
+      Promise.resolve().then(() => fn(Math.max(1, deadline - Date.now()))).then(resolve, reject).finally(() => {
+        conn.active -= 1;
+        const next = conn.queue.shift();
+        if (next) next();
+        else scheduleEviction(baseUrl, conn);
+      });
+    };
+    if (conn.active < ROKU_MAX_CONCURRENT_REQUESTS) {
+      run();
+      return;
+    }
+    conn.queue.push(run);
+    if (Number.isFinite(timeoutMs)) {
+      waitTimer = setTimeout(() => {
+        const idx = conn.queue.indexOf(run);
+        if (idx !== -1) conn.queue.splice(idx, 1);
+        scheduleEviction(baseUrl, conn);
+        reject(new Error('Request timeout'));
+      }, timeoutMs);
+    }
+  });
+}
+
+/**
+ * Drop every device's queue state, recent answers and agent (index.js
+ * destroy(), so a hot-reload doesn't leave the old module's sockets open;
+ * tests).
+ */
+export function resetRokuConnections() {
+  for (const conn of connections.values()) {
+    if (conn.idleTimer) clearTimeout(conn.idleTimer);
+    conn.agent.close().catch(() => {});
+  }
+  connections.clear();
+}
+
+/** Connection stats per device baseUrl (diagnostics / tests). */
+export function rokuConnectionStats() {
+  return Object.fromEntries([...connections].map(([baseUrl, conn]) => [baseUrl, {
+    active: conn.active, queued: conn.queue.length, inflight: conn.inflight.size,
+  }]));
+}
+
+/**
+ * DD7: `key` used to be forwarded verbatim into the ECP URL path — the
+ * automation command UI restricts it to a fixed <select> allowlist, but the
+ * REST routes (POST /devices/:id/keypress|keydown|keyup/:key) and the
+ * sendKeypress() service all hand this whatever the caller supplied. Validate
+ * against Roku's actual key-name grammar (word characters only — covers every
+ * named ECP key plus `Lit_<char>` input) as a single choke point for every
+ * key-sending method.
+ */
+function validateKey(key, verb) {
+  const safeKey = String(key ?? '');
+  if (!/^[A-Za-z0-9_]{1,32}$/.test(safeKey)) {
+    throw new Error(`Invalid ${verb} key: ${JSON.stringify(key)}`);
+  }
+  return safeKey;
+}
+
+/**
+ * Text content of an xml2js (explicitArray:false) node: a bare string for a
+ * plain element, `{ _: text, $: attrs }` when it carries attributes, '' for
+ * an empty one. Empty/missing → null.
+ */
+function nodeText(node) {
+  if (node == null) return null;
+  const raw = typeof node === 'object' ? node._ : node;
+  if (raw == null) return null;
+  const text = String(raw).trim();
+  return text === '' ? null : text;
+}
+
+/** 'true'/'false' element → boolean, missing → null. */
+function nodeBool(node) {
+  const text = nodeText(node);
+  return text == null ? null : text === 'true';
+}
+
+/** Numeric element → number, missing/non-numeric → null. */
+function nodeNumber(node) {
+  const text = nodeText(node);
+  if (text == null) return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Leading integer of a unit-suffixed value ('11967 ms', '18228053 bps') → number, else null. */
+function unitNumber(value) {
+  const m = /^\s*(-?\d+)/.exec(value == null ? '' : String(value));
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * <player> from /query/media-player. Times are milliseconds, rates bits/s.
+ * `plugin` is the channel that owns the player (null on Home); `format`,
+ * `buffering` and the stream fields only appear once a stream is open.
+ */
+function parseMediaPlayer(player) {
+  const attrs = player.$ || {};
+  const plugin = player.plugin?.$;
+  const format = player.format?.$;
+  const buffering = player.buffering?.$;
+  const segment = player.stream_segment?.$;
+  return {
+    error: attrs.error === 'true',
+    state: attrs.state || null,
+    plugin: plugin ? {
+      id: plugin.id ?? null,
+      name: plugin.name ?? null,
+      bandwidth: unitNumber(plugin.bandwidth),
+    } : null,
+    format: format ? {
+      audio: format.audio ?? null,
+      video: format.video ?? null,
+      captions: format.captions ?? null,
+      container: format.container ?? null,
+      drm: format.drm ?? null,
+      videoRes: format.video_res ?? null,
+    } : null,
+    buffering: buffering ? {
+      current: unitNumber(buffering.current),
+      max: unitNumber(buffering.max),
+      target: unitNumber(buffering.target),
+    } : null,
+    stream: (player.new_stream?.$ || segment) ? {
+      speed: unitNumber(player.new_stream?.$?.speed),
+      bitrate: unitNumber(segment?.bitrate),
+      segmentType: segment?.segment_type ?? null,
+    } : null,
+    position: unitNumber(nodeText(player.position)),
+    duration: unitNumber(nodeText(player.duration)),
+    runtime: unitNumber(nodeText(player.runtime)),
+    isLive: nodeBool(player.is_live) === true,
+  };
+}
+
+/**
+ * Element-name histogram of an xml2js (explicitArray:false) subtree — used
+ * for /query/sgnodes, whose elements ARE the SceneGraph nodes (tag = node
+ * subtype). Attribute (`$`) and text (`_`) keys are not elements.
+ */
+function countElements(node, counts = {}) {
+  if (node == null || typeof node !== 'object') return counts;
+  for (const [tag, value] of Object.entries(node)) {
+    if (tag === '$' || tag === '_') continue;
+    for (const child of Array.isArray(value) ? value : [value]) {
+      counts[tag] = (counts[tag] || 0) + 1;
+      countElements(child, counts);
+    }
+  }
+  return counts;
+}
+
+/** Children of an element as an array (xml2js gives one child unwrapped). */
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Attributes that carry user-visible text on SceneGraph nodes (Label.text,
+// Button/Dialog.title, Dialog.message, TextEditBox.hintText, …).
+const APP_UI_TEXT_ATTRS = ['text', 'title', 'message', 'hintText', 'description'];
+
+/**
+ * Flatten a /query/app-ui tree into the text a viewer can actually see.
+ * Subtrees with visible="false" or opacity="0" are skipped — a hidden error
+ * dialog still sits in the tree. Returns { texts, nodeCount } with texts in
+ * document order, whitespace-collapsed, without duplicates.
+ */
+function flattenAppUi(node, acc = { texts: [], seen: new Set(), nodeCount: 0 }) {
+  if (node == null || typeof node !== 'object') return acc;
+  for (const [tag, value] of Object.entries(node)) {
+    if (tag === '$' || tag === '_') continue;
+    for (const child of asArray(value)) {
+      if (child == null) continue;
+      const attrs = (typeof child === 'object' && child.$) || {};
+      if (attrs.visible === 'false' || attrs.opacity === '0') continue;
+      acc.nodeCount += 1;
+      for (const attr of APP_UI_TEXT_ATTRS) {
+        const text = attrs[attr] == null ? '' : String(attrs[attr]).replace(/\s+/g, ' ').trim();
+        if (text && !acc.seen.has(text)) {
+          acc.seen.add(text);
+          acc.texts.push(text);
+        }
+      }
+      flattenAppUi(child, acc);
+    }
+  }
+  return acc;
+}
+
+/**
+ * One <channel> from /query/tv-channels or /query/tv-active-channel. The
+ * lineup only carries number/name/type/user-hidden; the active-channel
+ * variant adds signal + current program fields (null when absent).
+ */
+function parseTvChannel(ch) {
+  if (ch == null || typeof ch !== 'object') return null;
+  return {
+    number: nodeText(ch.number),
+    name: nodeText(ch.name),
+    type: nodeText(ch.type),
+    userHidden: nodeBool(ch['user-hidden']),
+    activeInput: nodeBool(ch['active-input']),
+    signalState: nodeText(ch['signal-state']),
+    signalMode: nodeText(ch['signal-mode']),
+    signalQuality: nodeNumber(ch['signal-quality']),
+    signalStrength: nodeNumber(ch['signal-strength']),
+    programTitle: nodeText(ch['program-title']),
+    programDescription: nodeText(ch['program-description']),
+    programRatings: nodeText(ch['program-ratings']),
+    programHasCc: nodeBool(ch['program-has-cc']),
+  };
+}
+
+/**
+ * A caller-input error: carries status 400 so routes can tell a bad request
+ * from an unreachable Roku.
+ */
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Build + validate the /search/browse query for search(). Errors carry
+ * status 400 (invalidRequest).
+ *
+ * `providerId` is one channel id or a list (Roku takes them comma-separated,
+ * in preference order). `launch` only does anything with a provider to
+ * launch into, so it requires one; `season` only applies to tv-show.
+ */
+export function buildSearchParams(keyword, options = {}) {
+  const fail = invalidRequest;
+  const term = keyword == null ? '' : String(keyword).trim();
+  if (!term) throw fail('Search keyword is required');
+
+  const type = options.type || 'tv-show';
+  if (!ROKU_SEARCH_TYPES.includes(type)) {
+    throw fail(`Invalid search type ${JSON.stringify(type)}: expected one of ${ROKU_SEARCH_TYPES.join(', ')}`);
+  }
+  const params = new URLSearchParams({ keyword: term, type });
+
+  const providers = (Array.isArray(options.providerId) ? options.providerId : String(options.providerId ?? '').split(','))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+  if (providers.some((id) => !/^[A-Za-z0-9_.-]+$/.test(id))) {
+    throw fail(`Invalid provider id: ${JSON.stringify(options.providerId)}`);
+  }
+  if (providers.length > 0) params.set('provider-id', providers.join(','));
+
+  if (options.season != null && options.season !== '') {
+    const season = Number(options.season);
+    if (!Number.isInteger(season) || season < 1) throw fail(`Invalid season: ${JSON.stringify(options.season)}`);
+    if (type !== 'tv-show') throw fail('season only applies to type tv-show');
+    params.set('season', String(season));
+  }
+
+  const launch = options.launch === true || options.launch === 'true';
+  if (launch && providers.length === 0) throw fail('launch requires a provider id');
+  params.set('launch', launch ? 'true' : 'false');
+  return params;
+}
+
 export class RokuClient {
   constructor(ip, port = ROKU_ECP_PORT) {
     this.ip = ip;
     this.port = port;
     this.baseUrl = `http://${ip}:${port}`;
     this.timeout = 5000;
+    this.fresh = false;
+    this.pooled = true;
   }
 
   /**
@@ -177,7 +536,9 @@ export class RokuClient {
   }
 
   /**
-   * GET /query/media-player - Get media player state
+   * GET /query/media-player - Get media player state (see parseMediaPlayer).
+   * `state` is Roku's raw player state: play, pause, buffer, startup, stop,
+   * close, open or none.
    */
   async getMediaPlayer() {
     try {
@@ -185,22 +546,59 @@ export class RokuClient {
       const parsed = await parseStringPromise(xml, { explicitArray: false });
       const { player } = parsed;
 
-      if (!player) return null;
+      if (!player || typeof player !== 'object') return null;
 
-      // DD6: guard `$` the same way as getApps/getActiveApp.
-      const attrs = player.$ || {};
-      return {
-        error: attrs.error === 'true',
-        state: attrs.state,
-        position: player.position ? parseInt(player.position._, 10) : null,
-        duration: player.duration ? parseInt(player.duration._, 10) : null,
-        isLive: player.is_live === 'true',
-      };
+      // DD6: parseMediaPlayer guards `$` the same way as getApps/getActiveApp.
+      return parseMediaPlayer(player);
     } catch {
       return null;
     }
   }
 
+  /**
+   * GET /query/tv-channels - The tuner's channel lineup (Roku TVs only; a
+   * streaming stick answers 404/empty). Returns [] when there is no lineup.
+   */
+  async getTvChannels() {
+    const xml = await this._get('/query/tv-channels');
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const data = parsed?.['tv-channels']?.channel;
+    if (!data) return [];
+    const channels = Array.isArray(data) ? data : [data];
+    return channels.map((ch) => {
+      const c = parseTvChannel(ch);
+      return c && {
+        number: c.number, name: c.name, type: c.type, userHidden: c.userHidden,
+      };
+    }).filter((c) => c && c.number);
+  }
+
+  /**
+   * GET /query/tv-active-channel - The channel the tuner is on, with signal
+   * and current program info (program-title etc. come from the broadcast
+   * guide data and are often missing). null when nothing is tuned.
+   */
+  async getTvActiveChannel() {
+    const xml = await this._get('/query/tv-active-channel');
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const channel = parseTvChannel(parsed?.['tv-channel']?.channel);
+    return channel && channel.number ? channel : null;
+  }
+
+  /**
+   * POST /launch/tvinput.dtv?ch={channel} - Switch to the tuner and tune a
+   * channel. `channel` is the lineup number ("7", "7.1", "7-1"); anything
+   * else rejects with status 400.
+   */
+  async tuneChannel(channel) {
+    const ch = String(channel ?? '').trim();
+    if (!/^\d{1,4}(?:[.-]\d{1,4})?$/.test(ch)) {
+      throw invalidRequest(`Invalid TV channel: ${JSON.stringify(channel)}`);
+    }
+    await this.launchApp(ROKU_TUNER_APP_ID, { ch });
+    return { success: true, channel: ch };
+  }
+
   /**
    * GET /query/device-info, but only regex-extract <power-mode> instead of
    * parsing the full XML tree into the ~40-field object getDeviceInfo()
@@ -216,6 +614,16 @@ export class RokuClient {
     return match ? match[1] : null;
   }
 
+  /**
+   * Seconds since the Roku booted (device-info `uptime`), regex-extracted like
+   * getPowerMode(). Null when the firmware does not report it.
+   */
+  async getUptime() {
+    const xml = await this._get('/query/device-info');
+    const match = xml.match(/<uptime>\s*(\d+)\s*<\/uptime>/i);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
   /**
    * POST /launch/{appId} - Launch an app
    */
@@ -231,47 +639,231 @@ export class RokuClient {
   }
 
   /**
-   * POST /keypress/{key} - Send a keypress
-   *
-   * DD7: `key` used to be forwarded verbatim into the ECP URL path — the
-   * automation command UI restricts it to a fixed <select> allowlist, but the
-   * REST route (POST /devices/:id/keypress/:key) and the sendKeypress()
-   * service both hand this whatever the caller supplied. Validate against
-   * Roku's actual key-name grammar (word characters only — covers every
-   * named ECP key plus `Lit_<char>` input) and encode before building the
-   * URL, as a single choke point for every caller.
+   * POST /install/{appId} - Open the channel store's install page for an app
+   * (optionally deep-linking, like launchApp, once it is installed). The
+   * store still waits for an "Add channel" Select on screen; nothing is
+   * installed until then, and getApps() is the only way to confirm.
+   */
+  async installApp(appId, params = {}) {
+    if (appId == null || String(appId).trim() === '') throw new Error('App ID is required');
+    let url = `/install/${encodeURIComponent(String(appId).trim())}`;
+    const queryParams = Object.entries(params)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
+    if (queryParams) url += `?${queryParams}`;
+
+    await this._post(url);
+    return { success: true, appId: String(appId).trim() };
+  }
+
+  /**
+   * POST /keypress/{key} - Send a keypress (validated — see validateKey)
    */
   async keypress(key) {
-    const safeKey = String(key ?? '');
-    if (!/^[A-Za-z0-9_]{1,32}$/.test(safeKey)) {
-      throw new Error(`Invalid keypress key: ${JSON.stringify(key)}`);
-    }
+    const safeKey = validateKey(key, 'keypress');
     await this._post(`/keypress/${encodeURIComponent(safeKey)}`);
     return { success: true, key: safeKey };
   }
 
   /**
-   * POST /search/browse - Search for content
+   * POST /keydown/{key} - Press and HOLD a key until keyup(). Holding Fwd/Rev
+   * scrubs, holding VolumeUp/Down ramps, holding Select long-presses.
+   * Arms an auto-release timer (KEY_HOLD_AUTO_RELEASE_MS by default) that
+   * sends the keyup itself if the caller never does; a repeat keydown for the
+   * same key re-arms it.
    */
-  async search(keyword, options = {}) {
-    const params = new URLSearchParams({
-      keyword,
-      type: options.type || 'tv-show',
-      launch: options.launch ? 'true' : 'false',
+  async keydown(key, { autoReleaseMs = KEY_HOLD_AUTO_RELEASE_MS } = {}) {
+    const safeKey = validateKey(key, 'keydown');
+    await this._post(`/keydown/${encodeURIComponent(safeKey)}`);
+
+    const holdId = `${this.baseUrl}|${safeKey}`;
+    clearTimeout(heldKeys.get(holdId));
+    const timer = setTimeout(() => {
+      heldKeys.delete(holdId);
+      this._post(`/keyup/${encodeURIComponent(safeKey)}`).catch(() => {});
+    }, autoReleaseMs);
+    timer.unref?.();
+    heldKeys.set(holdId, timer);
+    return { success: true, key: safeKey, autoReleaseMs };
+  }
+
+  /**
+   * POST /keyup/{key} - Release a key held with keydown() and disarm its
+   * auto-release timer. Safe to send for a key that isn't held.
+   */
+  async keyup(key) {
+    const safeKey = validateKey(key, 'keyup');
+    const holdId = `${this.baseUrl}|${safeKey}`;
+    clearTimeout(heldKeys.get(holdId));
+    heldKeys.delete(holdId);
+    await this._post(`/keyup/${encodeURIComponent(safeKey)}`);
+    return { success: true, key: safeKey };
+  }
+
+  /** Whether keydown() is currently holding `key` on this device. */
+  isKeyHeld(key) {
+    return heldKeys.has(`${this.baseUrl}|${key}`);
+  }
+
+  /**
+   * GET /query/app-ui - What is actually rendered right now: the focused
+   * screen's SceneGraph tree, flattened to visible text (see flattenAppUi).
+   * Returns { appId, texts, nodeCount }; appId is the channel owning the
+   * screen (null on Home).
+   */
+  async getAppUi() {
+    const xml = await this._get('/query/app-ui');
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const root = parsed?.['app-ui'];
+    if (root == null || typeof root !== 'object') return { appId: null, texts: [], nodeCount: 0 };
+    const top = asArray(root.topscreen)[0] || root;
+    const plugin = asArray(top.plugin)[0];
+    const { texts, nodeCount } = flattenAppUi(top.screen != null ? { screen: top.screen } : top);
+    return { appId: plugin?.$?.id ?? null, texts, nodeCount };
+  }
+
+  /** Case- and whitespace-insensitive "any of `texts` contains `needle`". */
+  static textsContain(texts, needle) {
+    const want = String(needle ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!want) return false;
+    return texts.some((t) => t.toLowerCase().includes(want));
+  }
+
+  /**
+   * GET /query/sgnodes/{all|roots} - SceneGraph node census for the running
+   * dev channel (sideloaded channels only; others answer with an error
+   * status). Returns { total, byType: { NodeType: count } } — a steadily
+   * growing total for the same screen is the signature of a node leak.
+   */
+  async getSgNodes(scope = 'all') {
+    if (scope !== 'all' && scope !== 'roots') throw new Error(`Invalid sgnodes scope: ${JSON.stringify(scope)}`);
+    const xml = await this._get(`/query/sgnodes/${scope}`);
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const root = parsed?.sgnodes;
+    if (root == null || typeof root !== 'object') return { total: 0, byType: {} };
+    // Wrapper sections (All_Nodes / Roots / status) are not nodes.
+    const byType = {};
+    for (const [tag, value] of Object.entries(root)) {
+      if (tag === '$' || tag === '_' || tag === 'status') continue;
+      for (const section of asArray(value)) countElements(section, byType);
+    }
+    const total = Object.values(byType).reduce((sum, n) => sum + n, 0);
+    return { total, byType };
+  }
+
+  /**
+   * GET /query/chanperf - CPU and memory of the running (dev) channel.
+   * CPU is percent over `durationMs`; memory fields are bytes.
+   * Returns null when the Roku reports no channel / a failed status.
+   */
+  async getChanPerf() {
+    const xml = await this._get('/query/chanperf');
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const root = parsed?.chanperf;
+    const plugin = asArray(root?.plugin)[0];
+    if (!plugin || (nodeText(root.status) && nodeText(root.status) !== 'OK')) return null;
+    const cpu = plugin['cpu-percent'] || {};
+    const mem = plugin.memory || {};
+    return {
+      appId: plugin.$?.id ?? null,
+      cpu: {
+        durationMs: nodeNumber(cpu.durationms),
+        user: nodeNumber(cpu.user),
+        sys: nodeNumber(cpu.sys),
+      },
+      memory: {
+        used: nodeNumber(mem.used),
+        res: nodeNumber(mem.res),
+        anon: nodeNumber(mem.anon),
+        swap: nodeNumber(mem.swap),
+        file: nodeNumber(mem.file),
+        shared: nodeNumber(mem.shared),
+      },
+    };
+  }
+
+  /**
+   * GET /query/r2d2-bitmaps - Texture memory of the running dev channel:
+   * the allocator's totals (bytes) plus every loaded bitmap. Returns
+   * { used, available, max, count, bytes, largest: [{ name, width, height, size }] }
+   * with the five largest bitmaps first.
+   */
+  async getTextureMemory() {
+    const xml = await this._get('/query/r2d2-bitmaps');
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const root = parsed?.['r2d2-bitmaps'] || {};
+    const sizes = root.sizes || {};
+    const bitmaps = asArray(root.bitmaps?.bitmap ?? root.bitmap).map((b) => {
+      const a = b?.$ || {};
+      return {
+        name: a.name || a.url || null,
+        width: a.width != null ? Number(a.width) : null,
+        height: a.height != null ? Number(a.height) : null,
+        size: Number(a.size) || 0,
+      };
     });
+    return {
+      used: nodeNumber(sizes.used),
+      available: nodeNumber(sizes.avail ?? sizes.available),
+      max: nodeNumber(sizes.max),
+      count: bitmaps.length,
+      bytes: bitmaps.reduce((sum, b) => sum + b.size, 0),
+      largest: [...bitmaps].sort((x, y) => y.size - x.size).slice(0, 5),
+    };
+  }
+
+  /**
+   * POST /search/browse - Open Roku's universal search UI on `keyword`
+   * options: { type, providerId, season, launch } (see buildSearchParams)
+   */
+  async search(keyword, options = {}) {
+    const params = buildSearchParams(keyword, options);
     await this._post(`/search/browse?${params.toString()}`);
-    return { success: true, keyword };
+    return { success: true, keyword: params.get('keyword'), params: Object.fromEntries(params) };
   }
 
   /**
-   * POST /input - Send text input character by character
+   * POST /input?{params} - Deliver an roInput event to the RUNNING channel
+   * (no relaunch, unlike launchApp's deep-link params). The channel reads the
+   * query params as the event's info AA. `params` is a flat object of
+   * string/number/boolean values; at least one is required (otherwise it
+   * rejects with status 400).
    */
-  async inputText(text) {
-    for (const char of text) {
-      await this._post(`/keypress/Lit_${encodeURIComponent(char)}`);
+  async sendInput(params = {}) {
+    if (params == null || typeof params !== 'object' || Array.isArray(params)) {
+      throw invalidRequest('Input params must be an object');
+    }
+    const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) throw invalidRequest('At least one input param is required');
+    for (const [key, value] of entries) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw invalidRequest(`Input param ${JSON.stringify(key)} must be a string, number or boolean`);
+      }
+    }
+    const query = entries
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
+    await this._post(`/input?${query}`);
+    return { success: true, params: Object.fromEntries(entries) };
+  }
+
+  /**
+   * POST /keypress/Lit_{char} - Type text character by character.
+   * `\b` sends Backspace and `\n`/`\r` send Enter, so a caller can correct
+   * and submit in one sequence. An aborted `signal` stops between keypresses
+   * (the result reports how many were sent and `cancelled: true`).
+   */
+  async inputText(text, { signal } = {}) {
+    let typed = 0;
+    for (const char of String(text ?? '')) {
+      if (signal?.aborted) return { success: true, text, typed, cancelled: true };
+      if (char === '\b') await this._post('/keypress/Backspace');
+      else if (char === '\n' || char === '\r') await this._post('/keypress/Enter');
+      else await this._post(`/keypress/Lit_${encodeURIComponent(char)}`);
+      typed += 1;
       await this._delay(50);
     }
-    return { success: true, text };
+    return { success: true, text, typed, cancelled: false };
   }
 
   // Convenience methods
@@ -390,15 +982,39 @@ export class RokuClient {
   /**
    * Internal HTTP GET request
    */
-  async _get(path) {
+  _get(path) {
+    if (!this.pooled) return this._fetchText(path);
+    const conn = connectionFor(this.baseUrl);
+    const key = `${path}|${this.timeout}`;
+    if (!this.fresh) {
+      const shared = conn.inflight.get(key);
+      if (shared) return shared;
+      const recent = conn.recent.get(key);
+      if (recent && Date.now() - recent.at < ROKU_COALESCE_WINDOW_MS) return Promise.resolve(recent.text);
+    }
+    conn.recent.delete(key);
+    const request = withRequestSlot(this.baseUrl, (remainingMs) => this._fetchText(path, remainingMs), { timeoutMs: this.timeout })
+      .then((text) => {
+        conn.recent.set(key, { at: Date.now(), text });
+        return text;
+      })
+      .finally(() => {
+        if (conn.inflight.get(key) === request) conn.inflight.delete(key);
+      });
+    conn.inflight.set(key, request);
+    return request;
+  }
+
+  async _fetchText(path, timeoutMs = this.timeout) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
     try {
       const response = await fetch(`${this.baseUrl}${path}`, {
         method: 'GET',
         signal: controller.signal,
         headers: { 'User-Agent': 'Waiveo-Roku/1.0' },
+        ...this._dispatcher(),
       });
       clearTimeout(timeoutId);
 
@@ -416,13 +1032,20 @@ export class RokuClient {
   /**
    * Internal HTTP POST request
    */
-  async _post(path, body = '') {
+  _post(path, body = '') {
+    if (!this.pooled) return this._fetchPost(path, body);
+    connectionFor(this.baseUrl).recent.clear();
+    return withRequestSlot(this.baseUrl, (remainingMs) => this._fetchPost(path, body, remainingMs), { timeoutMs: this.timeout });
+  }
+
+  async _fetchPost(path, body, timeoutMs = this.timeout) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
     try {
       const response = await fetch(`${this.baseUrl}${path}`, {
         method: 'POST',
+        ...this._dispatcher(),
         signal: controller.signal,
         headers: {
           'User-Agent': 'Waiveo-Roku/1.0',
@@ -443,6 +1066,11 @@ export class RokuClient {
     }
   }
 
+  /** The device's keep-alive agent for pooled clients; the global one otherwise. */
+  _dispatcher() {
+    return this.pooled ? { dispatcher: connectionFor(this.baseUrl).agent } : {};
+  }
+
   _delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
@@ -450,4 +1078,18 @@ export class RokuClient {
   setTimeout(ms) {
     this.timeout = ms;
   }
+
+  /** Make this client's GETs skip the shared in-flight and recent answers. */
+  setFresh(fresh = true) {
+    this.fresh = fresh;
+  }
+
+  /**
+   * Make this client bypass the per-device connection state (no agent, slot
+   * or coalescing) — for one-off probes of addresses that may not be a
+   * registered Roku, such as a subnet sweep.
+   */
+  setPooled(pooled = true) {
+    this.pooled = pooled;
+  }
 }
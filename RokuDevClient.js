@@ -10,6 +10,10 @@
  * Mirrors waiveo-roku-player/scripts/deploy.sh:
  *   Delete: curl --user U:P --digest -F mysubmit=Delete  -F archive=
  *   Install: curl --user U:P --digest -F mysubmit=Install -F archive=@zip
+ * The same installer also inspects (/plugin_inspect mysubmit=Inspect),
+ * screenshots the dev channel (mysubmit=Screenshot, image at /pkgs/dev.jpg),
+ * signs it into a .pkg (/plugin_package mysubmit=Package) and rekeys the box
+ * from an existing signed package (/plugin_inspect mysubmit=Rekey).
  * Success/failure is scraped from the HTML body ("Install Success" /
  * "Install Failure"), never a status code (Roku returns 200 either way).
  *
@@ -159,6 +163,54 @@ export function parseInstallResult(html) {
   return { success: false, status: 'unknown', message: 'unknown' };
 }
 
+/**
+ * Image path from the Screenshot response page.
+ * Pure. The page embeds `<img src="pkgs/dev.jpg?time=…">` (dev.png on some
+ * firmware); the query string busts caches, so it is kept. Falls back to
+ * /pkgs/dev.jpg when the page doesn't link one.
+ */
+export function parseScreenshotPath(html) {
+  const m = String(html == null ? '' : html).match(/pkgs\/dev\.(?:jpg|png)(?:\?[^"'\s>]*)?/);
+  return m ? `/${m[0].replace(/&amp;/g, '&')}` : '/pkgs/dev.jpg';
+}
+
+/**
+ * Scrape the plugin_package HTML response.
+ * Pure. On success the page links the signed package
+ * (`<a href="pkgs//P3f…e1.pkg">`); on failure it shows a red message (wrong
+ * passphrase, no developer key on the box).
+ *   link    -> { success:true,  path:'/pkgs/P3f…e1.pkg', filename }
+ *   no link -> { success:false, message }
+ */
+export function parsePackageResult(html) {
+  const text = String(html == null ? '' : html);
+  const link = text.match(/href="(pkgs\/+[^"]+\.pkg)"/);
+  if (link) {
+    const path = `/${link[1].replace(/\/+/g, '/')}`;
+    return { success: true, path, filename: path.slice(path.lastIndexOf('/') + 1) };
+  }
+  return { success: false, message: scrapeMessage(text) || 'No package produced' };
+}
+
+/**
+ * Scrape the Rekey (plugin_inspect) HTML response.
+ * Pure. "Success." -> success; anything else carries the page's message.
+ */
+export function parseRekeyResult(html) {
+  const text = String(html == null ? '' : html);
+  if (/Success\./.test(text)) return { success: true, message: 'Rekey Success' };
+  return { success: false, message: scrapeMessage(text) || 'unknown' };
+}
+
+// The installer reports outcomes in <font color="red"> (or a Failed/Failure
+// line on older firmware).
+function scrapeMessage(text) {
+  const red = text.match(/<font color="red">([^<]+)<\/font>/i);
+  if (red) return red[1].trim();
+  const fail = text.match(/(?:Failed|Failure)[^<]*/);
+  return fail ? fail[0].trim() : null;
+}
+
 /**
  * Client for the Roku dev installer (port 80, Digest + multipart).
  *
@@ -210,16 +262,25 @@ export class RokuDevClient {
    * Returns the (authenticated) response body text.
    */
   async _digestPost(uri, bodyBuffer, contentType) {
+    const res = await this._digestRequest('POST', uri, { body: bodyBuffer, contentType });
+    return res.text();
+  }
+
+  /**
+   * One request through the 401->digest->retry dance; resolves with the
+   * authenticated Response. `uri` (path + query) is also the digest uri.
+   */
+  async _digestRequest(method, uri, { body, contentType } = {}) {
     const url = `${this.baseUrl}${uri}`;
-    const baseHeaders = {
-      'Content-Type': contentType,
-      'Content-Length': String(bodyBuffer.length),
-      'User-Agent': 'Waiveo-Roku-Dev/1.0',
-    };
+    const baseHeaders = { 'User-Agent': 'Waiveo-Roku-Dev/1.0' };
+    if (body !== undefined) {
+      baseHeaders['Content-Type'] = contentType;
+      baseHeaders['Content-Length'] = String(body.length);
+    }
 
     let res1;
     try {
-      res1 = await this._timedFetch(url, { method: 'POST', headers: baseHeaders, body: bodyBuffer });
+      res1 = await this._timedFetch(url, { method, headers: baseHeaders, body });
     } catch (e) {
       const err = new Error(`Roku dev installer unreachable at ${url}: ${e.message}`);
       err.code = 'UNREACHABLE';
@@ -229,7 +290,7 @@ export class RokuDevClient {
 
     // Roku may (rarely) not challenge; if it already answered, use it.
     if (res1.status !== 401) {
-      return res1.text();
+      return res1;
     }
 
     const challenge = parseDigestChallenge(res1.headers.get('www-authenticate'));
@@ -245,7 +306,7 @@ export class RokuDevClient {
       user: this.user,
       realm: challenge.realm,
       password,
-      method: 'POST',
+      method,
       uri,
       nonce: challenge.nonce,
       qop: selectQop(challenge.qop),
@@ -257,9 +318,9 @@ export class RokuDevClient {
     let res2;
     try {
       res2 = await this._timedFetch(url, {
-        method: 'POST',
+        method,
         headers: { ...baseHeaders, Authorization: authHeader },
-        body: bodyBuffer, // SAME Buffer replayed
+        body, // SAME Buffer replayed
       });
     } catch (e) {
       const err = new Error(`Roku dev installer unreachable at ${url}: ${e.message}`);
@@ -274,7 +335,7 @@ export class RokuDevClient {
       err.status = 502;
       throw err;
     }
-    return res2.text();
+    return res2;
   }
 
   /**
@@ -325,6 +386,83 @@ export class RokuDevClient {
     const html = await this._digestPost('/plugin_inspect', buffer, contentType);
     return { html };
   }
+
+  /**
+   * Sign the installed dev channel into a .pkg with the box's developer key
+   * (mysubmit=Package), then download it from the link the page returns.
+   * `passphrase` is the developer key's (from genkey or the rekeyed package).
+   * A refused package (wrong passphrase, no key) is PACKAGE_FAILED.
+   *
+   * @returns {Promise<{buffer: Buffer, filename: string}>}
+   */
+  async package({ appName, passphrase, pkgTime = Date.now() } = {}) {
+    const { buffer, contentType } = buildMultipartBody([
+      { name: 'mysubmit', value: 'Package' },
+      { name: 'app_name', value: appName },
+      { name: 'passwd', value: passphrase },
+      { name: 'pkg_time', value: String(pkgTime) },
+    ]);
+    const html = await this._digestPost('/plugin_package', buffer, contentType);
+    const result = parsePackageResult(html);
+    if (!result.success) {
+      const err = new Error(`Packaging failed: ${result.message}`);
+      err.code = 'PACKAGE_FAILED';
+      err.status = 502;
+      throw err;
+    }
+    const res = await this._digestRequest('GET', result.path);
+    if (!res.ok) {
+      const err = new Error(`Signed package download failed (${res.status})`);
+      err.code = 'PACKAGE_FAILED';
+      err.status = 502;
+      throw err;
+    }
+    return { buffer: Buffer.from(await res.arrayBuffer()), filename: result.filename };
+  }
+
+  /**
+   * Rekey the box with the developer key inside a signed package
+   * (mysubmit=Rekey + archive=@pkg + passwd). Afterwards packages built on
+   * this box are signed with that key. Returns parseRekeyResult().
+   */
+  async rekey(pkgBuffer, { passphrase, filename = 'rekey.pkg' } = {}) {
+    const { buffer, contentType } = buildMultipartBody([
+      { name: 'mysubmit', value: 'Rekey' },
+      {
+        name: 'archive', value: pkgBuffer, filename, contentType: 'application/octet-stream',
+      },
+      { name: 'passwd', value: passphrase },
+    ]);
+    const html = await this._digestPost('/plugin_inspect', buffer, contentType);
+    return parseRekeyResult(html);
+  }
+
+  /**
+   * Screenshot of what the dev channel is rendering: mysubmit=Screenshot on
+   * /plugin_inspect makes the box write the image, which is then fetched
+   * (digest again) from the path the response page links to. Only works while
+   * the dev channel is running — otherwise there is no image (NO_SCREENSHOT).
+   *
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async screenshot() {
+    const { buffer, contentType } = buildMultipartBody([
+      { name: 'mysubmit', value: 'Screenshot' },
+      { name: 'archive', value: '' },
+    ]);
+    const html = await this._digestPost('/plugin_inspect', buffer, contentType);
+    const path = parseScreenshotPath(html);
+    const res = await this._digestRequest('GET', path);
+    if (!res.ok) {
+      const err = new Error(`No screenshot available (${res.status}) — is the dev channel running?`);
+      err.code = 'NO_SCREENSHOT';
+      err.status = 409;
+      throw err;
+    }
+    const type = res.headers.get('content-type')
+      || (/\.png(\?|$)/.test(path) ? 'image/png' : 'image/jpeg');
+    return { buffer: Buffer.from(await res.arrayBuffer()), contentType: type };
+  }
 }
 
 export default RokuDevClient;
@@ -0,0 +1,86 @@
+/**
+ * Installed-app inventory — which channels are on which Roku, over time.
+ *
+ * index.js snapshots /query/apps per device from the poll (at most every
+ * APP_INVENTORY_INTERVAL_MS) into the private `roku_app_inventory` table, one
+ * row per (device, app). The diff against the stored rows is what becomes
+ * `roku:app-installed` / `roku:app-removed`. TV inputs (type "tvin": HDMI
+ * ports, the tuner) are listed by /query/apps but are not installable, so
+ * they never enter the inventory.
+ *
+ * Everything here is PURE; index.js owns the table reads/writes and events.
+ */
+
+export const APP_INVENTORY_TABLE = 'roku_app_inventory';
+export const APP_INVENTORY_INTERVAL_MS = 30 * 60 * 1000;
+// A snapshot that failed (device off, ECP timeout) is retried this soon.
+export const APP_INVENTORY_RETRY_MS = 5 * 60 * 1000;
+
+/** Primary key of a device's inventory row for an app. */
+export function inventoryRowId(deviceId, appId) {
+  return `${deviceId}|${appId}`;
+}
+
+/** getApps() entries that belong in the inventory (real channels, with an id). */
+export function inventoryApps(apps) {
+  return (apps || []).filter((app) => app && app.id != null && app.type !== 'tvin');
+}
+
+/**
+ * Compare a device's stored rows with a fresh getApps() listing.
+ * @param {Array<{app_id:string, version:string|null}>} rows stored inventory
+ * @param {Array<{id:string, name:string, type:string, version:string|null}>} apps
+ * @returns {{added: object[], removed: object[], updated: Array<{app:object,
+ *   row:object}>}} added/updated carry getApps() entries, removed the rows
+ */
+export function diffInventory(rows, apps) {
+  const stored = new Map((rows || []).map((row) => [String(row.app_id), row]));
+  const current = new Map(inventoryApps(apps).map((app) => [String(app.id), app]));
+  const added = [];
+  const updated = [];
+  for (const [id, app] of current) {
+    const row = stored.get(id);
+    if (!row) added.push(app);
+    else if ((row.version || null) !== (app.version || null) || (row.name || null) !== (app.name || null)) {
+      updated.push({ app, row });
+    }
+  }
+  const removed = [...stored.values()].filter((row) => !current.has(String(row.app_id)));
+  return { added, removed, updated };
+}
+
+/**
+ * Fleet-wide rollup of inventory rows: one entry per app with the number of
+ * devices carrying it and the versions seen, most widely installed first.
+ * @returns {Array<{app_id:string, name:string|null, device_count:number,
+ *   versions:string[]}>}
+ */
+export function summarizeInventory(rows) {
+  const apps = new Map();
+  for (const row of rows || []) {
+    let entry = apps.get(row.app_id);
+    if (!entry) {
+      entry = {
+        app_id: row.app_id, name: row.name || null, devices: new Set(), versions: new Set(),
+      };
+      apps.set(row.app_id, entry);
+    }
+    entry.devices.add(row.device_id);
+    if (row.version) entry.versions.add(row.version);
+  }
+  return [...apps.values()]
+    .map(({ devices, versions, ...rest }) => ({
+      ...rest, device_count: devices.size, versions: [...versions].sort(),
+    }))
+    .sort((a, b) => b.device_count - a.device_count || String(a.name).localeCompare(String(b.name)));
+}
+
+export default {
+  APP_INVENTORY_TABLE,
+  APP_INVENTORY_INTERVAL_MS,
+  APP_INVENTORY_RETRY_MS,
+  inventoryRowId,
+  inventoryApps,
+  diffInventory,
+  summarizeInventory,
+};
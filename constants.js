@@ -5,3 +5,20 @@
  * loader comment for why that matters.
  */
 export const ROKU_ECP_PORT = 8060;
+
+/**
+ * ECP app id of the built-in antenna/cable tuner on Roku TVs. Launching it
+ * with `?ch=<number>` tunes a channel; it is also what /query/active-app
+ * reports while the tuner is on screen.
+ */
+export const ROKU_TUNER_APP_ID = 'tvinput.dtv';
+
+/** Content types ECP /search/browse accepts for `type`. */
+export const ROKU_SEARCH_TYPES = ['movie', 'tv-show', 'person', 'channel', 'game'];
+
+/**
+ * BrightScript debug console (telnet-style, raw TCP). Only listens while
+ * developer mode is enabled; carries the sideloaded channel's print output
+ * and drops into the micro debugger on a crash.
+ */
+export const ROKU_DEBUG_CONSOLE_PORT = 8085;
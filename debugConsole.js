@@ -0,0 +1,223 @@
+/**
+ * Roku BrightScript debug console client (port 8085, raw TCP).
+ *
+ * With developer mode on, the box serves the sideloaded channel's console on
+ * 8085: every `print`, the channel's compile/run banners and — when the
+ * channel crashes — the micro debugger's report, ending in a prompt:
+ *
+ *   Type Mismatch. Operator "+" can't be applied to "String" and "Integer". (runtime error &h18) in pkg:/components/MainScene.brs(42)
+ *   Backtrace:
+ *   #1  Function onkeyevent(key As String, press As Boolean) As Boolean
+ *      file/line: pkg:/components/MainScene.brs(42)
+ *   #0  Function main() As Void
+ *      file/line: pkg:/source/main.brs(10)
+ *   Local Variables:
+ *   …
+ *   Brightscript Debugger>
+ *
+ * A channel that crashes while a console client is attached stops at that
+ * prompt instead of exiting, so once a crash block is captured the client
+ * answers `exit` (opts.exitOnCrash) — the player then behaves exactly as it
+ * would with nobody attached. Nothing else is ever written to the device.
+ *
+ * The line splitter and crash parser are PURE so they are unit-testable
+ * against captured console output; index.js owns the per-device buffers.
+ */
+
+import net from 'node:net';
+import { ROKU_DEBUG_CONSOLE_PORT } from './constants.js';
+
+const CONNECT_TIMEOUT_MS = 5000;
+// A crash block that never reaches the prompt (debugger disabled, output
+// cut off) is closed after this many lines so it still gets reported.
+const CRASH_MAX_LINES = 400;
+
+const DEBUGGER_BANNER = /^BrightScript Micro Debugger\./i;
+const DEBUGGER_PROMPT = /^Brightscript Debugger>/i;
+const RUNTIME_ERROR = /^(.*?)\s*\(runtime error &h([0-9a-f]+)\) in (\S+?)\((\d+)\)/i;
+const BACKTRACE_FRAME = /^#(\d+)\s+Function\s+(.+?)\s*$/;
+const FRAME_LOCATION = /^\s*file\/line:\s*(\S+?)\((\d+)\)/;
+
+/**
+ * Split `buffered` text into complete lines plus the unterminated remainder.
+ * Accepts \r\n, \n and bare \r endings; blank lines are kept.
+ * @returns {{lines: string[], rest: string}}
+ */
+export function splitLines(buffered) {
+  const parts = String(buffered).split(/\r\n|\n|\r/);
+  const rest = parts.pop();
+  return { lines: parts, rest };
+}
+
+/** Whether `text` is the debugger prompt (it arrives without a newline). */
+export function isDebuggerPrompt(text) {
+  return DEBUGGER_PROMPT.test(String(text).trim());
+}
+
+/**
+ * Pull the error, its location and the backtrace out of a crash block.
+ * Pure. Frames are listed innermost first, as the debugger prints them.
+ *
+ * @param {string[]} lines the block, banner/error line through the prompt
+ * @returns {{error:string|null, code:string|null, file:string|null,
+ *   line:number|null, backtrace:Array<{frame:number, function:string,
+ *   file:string|null, line:number|null}>}}
+ */
+export function parseCrash(lines) {
+  const crash = {
+    error: null, code: null, file: null, line: null, backtrace: [],
+  };
+  let inBacktrace = false;
+  for (const raw of lines) {
+    const text = raw.trim();
+    const err = crash.error === null && text.match(RUNTIME_ERROR);
+    if (err) {
+      crash.error = err[1] || null;
+      crash.code = `&h${err[2].toLowerCase()}`;
+      crash.file = err[3];
+      crash.line = Number(err[4]);
+      continue;
+    }
+    if (/^Backtrace:/i.test(text)) {
+      inBacktrace = true;
+      continue;
+    }
+    if (!inBacktrace) continue;
+    const frame = text.match(BACKTRACE_FRAME);
+    if (frame) {
+      crash.backtrace.push({
+        frame: Number(frame[1]), function: frame[2], file: null, line: null,
+      });
+      continue;
+    }
+    const loc = raw.match(FRAME_LOCATION);
+    const last = crash.backtrace[crash.backtrace.length - 1];
+    if (loc && last && last.file === null) {
+      last.file = loc[1];
+      last.line = Number(loc[2]);
+      continue;
+    }
+    if (text && !loc) inBacktrace = false; // "Local Variables:" etc.
+  }
+  return crash;
+}
+
+/**
+ * Line-at-a-time crash block detector. push() returns the finished block's
+ * lines when one completes (at the debugger prompt, or CRASH_MAX_LINES),
+ * otherwise null.
+ */
+export class CrashDetector {
+  constructor({ maxLines = CRASH_MAX_LINES } = {}) {
+    this.maxLines = maxLines;
+    this.block = null;
+  }
+
+  push(line) {
+    if (this.block === null) {
+      if (!DEBUGGER_BANNER.test(line.trim()) && !RUNTIME_ERROR.test(line.trim())) return null;
+      this.block = [];
+    }
+    this.block.push(line);
+    if (isDebuggerPrompt(line) || this.block.length >= this.maxLines) {
+      const done = this.block;
+      this.block = null;
+      return done;
+    }
+    return null;
+  }
+}
+
+export class DebugConsole {
+  /**
+   * @param {string} ip Roku IP
+   * @param {object} [opts]
+   * @param {(lines:string[]) => void} [opts.onLines] each batch of complete lines
+   * @param {(crash:object) => void} [opts.onCrash] parseCrash() + { lines }
+   * @param {() => void} [opts.onClose] once, when a connected console drops
+   * @param {boolean} [opts.exitOnCrash=true] answer the crash prompt with `exit`
+   * @param {Function} [opts.connect] net.connect stand-in for tests
+   * @param {number} [opts.port]
+   */
+  constructor(ip, {
+    onLines, onCrash, onClose, exitOnCrash = true, connect = net.connect, port = ROKU_DEBUG_CONSOLE_PORT,
+  } = {}) {
+    this.ip = ip;
+    this.port = port;
+    this.onLines = onLines || null;
+    this.onCrash = onCrash || null;
+    this.onClose = onClose || null;
+    this.exitOnCrash = exitOnCrash;
+    this._connect = connect;
+    this.socket = null;
+    this.open = false;
+    this.rest = '';
+    this.detector = new CrashDetector();
+  }
+
+  /** Attach. Rejects when 8085 refuses (developer mode off) or times out. */
+  connect({ timeoutMs = CONNECT_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+      const socket = this._connect({ host: this.ip, port: this.port });
+      this.socket = socket;
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Debug console connect to ${this.ip}:${this.port} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      socket.on('connect', () => {
+        clearTimeout(timer);
+        this.open = true;
+        resolve(this);
+      });
+      socket.on('data', (chunk) => this._onData(chunk));
+      socket.on('error', (err) => {
+        clearTimeout(timer);
+        if (!this.open) reject(err);
+      });
+      socket.on('close', () => {
+        clearTimeout(timer);
+        const wasOpen = this.open;
+        this.open = false;
+        if (wasOpen && this.onClose) this.onClose();
+      });
+    });
+  }
+
+  close() {
+    if (!this.socket) return;
+    this.open = false;
+    this.onClose = null; // a deliberate close is not a drop
+    this.socket.destroy();
+  }
+
+  _onData(chunk) {
+    const { lines, rest } = splitLines(this.rest + chunk.toString('utf8'));
+    this.rest = rest;
+    // The prompt is written without a newline; it ends a crash block.
+    if (isDebuggerPrompt(rest)) {
+      lines.push(rest);
+      this.rest = '';
+    }
+    if (lines.length === 0) return;
+    if (this.onLines) this.onLines(lines);
+    for (const line of lines) {
+      const block = this.detector.push(line);
+      if (block) this._onCrash(block);
+    }
+  }
+
+  _onCrash(block) {
+    if (this.onCrash) this.onCrash({ ...parseCrash(block), lines: block });
+    if (this.exitOnCrash && this.open && isDebuggerPrompt(block[block.length - 1])) {
+      this.socket.write('exit\r\n');
+    }
+  }
+}
+
+export default {
+  splitLines,
+  isDebuggerPrompt,
+  parseCrash,
+  CrashDetector,
+  DebugConsole,
+};
@@ -0,0 +1,87 @@
+/**
+ * Roku deep-link helpers — PURE, no ECP or storage access.
+ *
+ * A deep link is just a launch with two well-known query params:
+ *   POST /launch/{appId}?contentId=<id>&mediaType=<type>
+ * Certified channels must honor it and jump straight to the title. Roku only
+ * defines a fixed set of mediaType values; anything else is ignored by the
+ * channel (it lands on its home screen), so it is rejected here instead of
+ * failing silently on the TV.
+ *
+ * index.js uses these for the launch_app command / launch route and for the
+ * saved per-app deep-link library (ctx.config 'deep_links').
+ */
+
+/** Roku's deep-link mediaType values (canonical casing). */
+export const DEEP_LINK_MEDIA_TYPES = [
+  'movie',
+  'episode',
+  'season',
+  'series',
+  'shortFormVideo',
+  'special',
+  'live',
+];
+
+const MEDIA_TYPE_BY_LOWER = new Map(DEEP_LINK_MEDIA_TYPES.map((t) => [t.toLowerCase(), t]));
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Canonical mediaType for `value` (case-insensitive), null when empty.
+ * Throws (status 400) for a value Roku doesn't define.
+ */
+export function normalizeMediaType(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const canonical = MEDIA_TYPE_BY_LOWER.get(String(value).trim().toLowerCase());
+  if (!canonical) {
+    throw badRequest(`Invalid media_type ${JSON.stringify(value)}: expected one of ${DEEP_LINK_MEDIA_TYPES.join(', ')}`);
+  }
+  return canonical;
+}
+
+/**
+ * ECP launch params for a deep link. Both-or-neither: Roku channels need the
+ * content id AND its media type to resolve a title, so one without the other
+ * is a 400 rather than a launch that quietly ignores it.
+ *
+ * @returns {{contentId?: string, mediaType?: string}} {} when no deep link
+ */
+export function buildDeepLinkParams({ contentId, mediaType } = {}) {
+  const id = contentId == null ? '' : String(contentId).trim();
+  const type = normalizeMediaType(mediaType);
+  if (!id && !type) return {};
+  if (!id) throw badRequest('content_id is required when media_type is set');
+  if (!type) throw badRequest('media_type is required when content_id is set');
+  return { contentId: id, mediaType: type };
+}
+
+/**
+ * Validate + normalize a deep-link library entry from a request body.
+ * @returns {{app_id:string, label:string, content_id:string, media_type:string}}
+ */
+export function normalizeDeepLink(body = {}) {
+  const appId = body.app_id == null ? '' : String(body.app_id).trim();
+  if (!appId) throw badRequest('app_id is required');
+  const { contentId, mediaType } = buildDeepLinkParams({
+    contentId: body.content_id, mediaType: body.media_type,
+  });
+  if (!contentId) throw badRequest('content_id and media_type are required');
+  const label = body.label == null || String(body.label).trim() === ''
+    ? contentId
+    : String(body.label).trim().slice(0, 80);
+  return {
+    app_id: appId, label, content_id: contentId, media_type: mediaType,
+  };
+}
+
+export default {
+  DEEP_LINK_MEDIA_TYPES,
+  normalizeMediaType,
+  buildDeepLinkParams,
+  normalizeDeepLink,
+};
@@ -0,0 +1,183 @@
+/**
+ * Roku ECP-2 session client — event notifications over a WebSocket.
+ *
+ * Newer Roku firmware serves `ws://<ip>:8060/ecp-session` (subprotocol
+ * `ecp-2`). The Roku speaks first with an authenticate challenge; the client
+ * answers with base64(SHA-1(challenge + ECP2_AUTH_KEY)) and may then
+ * subscribe to notifications:
+ *
+ *   ← {"notify":"authenticate","param-challenge":"…"}
+ *   → {"request":"authenticate","request-id":"1","param-response":"…"}
+ *   ← {"response":"authenticate","response-id":"1","status":"200"}
+ *   → {"request":"request-events","request-id":"2","param-events":"+power-mode-changed,…"}
+ *   ← {"notify":"power-mode-changed","param-power-mode":"PowerOn",…}
+ *
+ * Older firmware answers the upgrade with a 404 (or never finishes the
+ * handshake); connect() rejects and index.js keeps HTTP-polling that device.
+ * Notifications are treated as "something changed" hints — index.js re-reads
+ * the authoritative state over HTTP rather than trusting each event's params.
+ */
+
+import { createHash } from 'node:crypto';
+import { ROKU_ECP_PORT } from './constants.js';
+
+export const ECP_SESSION_PATH = '/ecp-session';
+export const ECP_SESSION_PROTOCOL = 'ecp-2';
+
+// Fixed key every ECP-2 client mixes into the challenge response (the same
+// one Roku's own mobile app uses).
+export const ECP2_AUTH_KEY = '95E610D0-7C29-44EF-FB0F-97F1FCE4C297';
+
+/** Notifications that can change the media_player entity. */
+export const ECP_SESSION_EVENTS = [
+  'power-mode-changed',
+  'media-player-state-changed',
+  'plugin-ui-run',
+  'plugin-ui-exit',
+  'screensaver-run',
+  'screensaver-exit',
+  'tvinput-ui-run',
+  'tvinput-ui-exit',
+  'tv-channel-changed',
+];
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/** param-response for an authenticate challenge. */
+export function authResponse(challenge) {
+  return createHash('sha1').update(String(challenge) + ECP2_AUTH_KEY).digest('base64');
+}
+
+export class EcpSession {
+  /**
+   * @param {string} ip Roku IP
+   * @param {object} [opts]
+   * @param {(name:string, params:object) => void} [opts.onNotify] per notification
+   * @param {() => void} [opts.onClose] once, when a connected session drops
+   * @param {Function} opts.openSocket wsClient.js openWebSocket — injected by
+   *   index.js, which loads wsClient.js through subModule() so a hot reload
+   *   picks up the new copy (and tests pass a stand-in)
+   * @param {number} [opts.port]
+   */
+  constructor(ip, {
+    onNotify, onClose, openSocket, port = ROKU_ECP_PORT,
+  } = {}) {
+    if (typeof openSocket !== 'function') throw new TypeError('EcpSession needs an openSocket function');
+    this.url = `ws://${ip}:${port}${ECP_SESSION_PATH}`;
+    this.onNotify = onNotify || null;
+    this.onClose = onClose || null;
+    this.openSocket = openSocket;
+    this.socket = null;
+    this.open = false;
+    this.pending = new Map(); // request-id -> { resolve, reject, timer }
+    this.nextId = 1;
+    this.challenge = null; // resolves with the first authenticate notify
+  }
+
+  /**
+   * Connect, authenticate and subscribe to ECP_SESSION_EVENTS. Rejects (and
+   * closes) when the firmware has no ECP-2 or refuses the auth/subscription.
+   */
+  async connect({ timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    let gotChallenge;
+    this.challenge = new Promise((resolve) => { gotChallenge = resolve; });
+    this.socket = await this.openSocket(this.url, { protocol: ECP_SESSION_PROTOCOL, timeoutMs });
+    this.socket.onmessage = (text) => this._onMessage(text, gotChallenge);
+    this.socket.onclose = () => this._onClose();
+    this.open = true;
+    try {
+      const challenge = await withDeadline(this.challenge, timeoutMs, 'ECP-2 authenticate challenge');
+      await this.request('authenticate', { 'param-response': authResponse(challenge) });
+      await this.request('request-events', {
+        'param-events': ECP_SESSION_EVENTS.map((e) => `+${e}`).join(','),
+      });
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+    return this;
+  }
+
+  /** Send a request and resolve with its response (rejects on status != 200). */
+  request(name, params = {}) {
+    if (!this.open) return Promise.reject(new Error('ECP session is not open'));
+    const id = String(this.nextId);
+    this.nextId += 1;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`ECP-2 ${name} timed out`));
+      }, REQUEST_TIMEOUT_MS);
+      this.pending.set(id, {
+        name, resolve, reject, timer,
+      });
+      this.socket.send(JSON.stringify({ request: name, 'request-id': id, ...params }));
+    });
+  }
+
+  close() {
+    if (!this.socket) return;
+    const { socket } = this;
+    this.open = false;
+    this.onClose = null; // a deliberate close is not a drop
+    socket.close();
+  }
+
+  _onMessage(text, gotChallenge) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      return; // not ours to interpret
+    }
+    if (msg.response !== undefined) {
+      const entry = this.pending.get(String(msg['response-id']));
+      if (!entry) return;
+      this.pending.delete(String(msg['response-id']));
+      clearTimeout(entry.timer);
+      if (String(msg.status) === '200') entry.resolve(msg);
+      else entry.reject(new Error(`ECP-2 ${entry.name} failed: ${msg.status} ${msg['status-msg'] || ''}`.trim()));
+      return;
+    }
+    if (msg.notify === 'authenticate') {
+      gotChallenge(msg['param-challenge']);
+      return;
+    }
+    if (msg.notify && this.onNotify) {
+      const params = {};
+      for (const [k, v] of Object.entries(msg)) {
+        if (k.startsWith('param-')) params[k.slice(6)] = v;
+      }
+      this.onNotify(msg.notify, params);
+    }
+  }
+
+  _onClose() {
+    const wasOpen = this.open;
+    this.open = false;
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(new Error('ECP session closed'));
+    }
+    this.pending.clear();
+    if (wasOpen && this.onClose) this.onClose();
+  }
+}
+
+function withDeadline(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} not received within ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+export default {
+  ECP_SESSION_PATH,
+  ECP_SESSION_PROTOCOL,
+  ECP_SESSION_EVENTS,
+  authResponse,
+  EcpSession,
+};
@@ -0,0 +1,58 @@
+/**
+ * Roku OS firmware history.
+ *
+ * Rokus update themselves (usually overnight), and a firmware update is when
+ * ECP behaviour shifts — power-mode strings, the Home app's type, what
+ * /query/app-ui returns. index.js re-reads /query/device-info from the poll
+ * every FIRMWARE_CHECK_INTERVAL_MS and appends a `roku_firmware_history` row
+ * whenever the software version or build differs from the device's latest
+ * row, emitting `roku:firmware-changed`.
+ *
+ * Everything here is PURE; index.js owns the table and the events.
+ */
+
+export const FIRMWARE_TABLE = 'roku_firmware_history';
+export const FIRMWARE_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+// A check that failed (device off, ECP timeout) is retried this soon.
+export const FIRMWARE_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * The firmware identity out of getDeviceInfo(), or null when the device did
+ * not report a software version.
+ * @returns {{version:string, build:string|null, ui_version:string|null}|null}
+ */
+export function firmwareFromInfo(info) {
+  if (!info || !info.softwareVersion) return null;
+  return {
+    version: String(info.softwareVersion),
+    build: info.softwareBuild != null ? String(info.softwareBuild) : null,
+    ui_version: info.uiSoftwareVersion != null ? String(info.uiSoftwareVersion) : null,
+  };
+}
+
+/** Whether `next` is a different OS release/build than `prev` (a row or firmwareFromInfo()). */
+export function firmwareChanged(prev, next) {
+  if (!prev || !next) return false;
+  return prev.version !== next.version || (prev.build || null) !== (next.build || null);
+}
+
+/** "14.0.4 build 4200" — how logs and the UI name a firmware. */
+export function formatFirmware(fw) {
+  if (!fw || !fw.version) return 'unknown';
+  return fw.build ? `${fw.version} build ${fw.build}` : fw.version;
+}
+
+/** A device's history rows, newest first. */
+export function sortHistory(rows) {
+  return [...(rows || [])].sort((a, b) => String(b.first_seen).localeCompare(String(a.first_seen)));
+}
+
+export default {
+  FIRMWARE_TABLE,
+  FIRMWARE_CHECK_INTERVAL_MS,
+  FIRMWARE_RETRY_MS,
+  firmwareFromInfo,
+  firmwareChanged,
+  formatFirmware,
+  sortHistory,
+};
@@ -10,9 +10,22 @@
  * "is the dev channel foregrounded?" signal into the UI's connection badge.
  * The stale-token state is a HEURISTIC (no active token + dev channel running),
  * not proof — true disambiguation needs the Roku to send its held token, which
- * only the shipped self-heal build produces.
+ * only the shipped self-heal build produces. When the on-screen UI could be
+ * read (/query/app-ui), a visible pairing-code screen settles it the other
+ * way: the player already dropped its token and is waiting to be approved.
  */
 
+/**
+ * Visible text that marks the player's pairing-code screen. Matched against
+ * RokuClient.getAppUi() texts.
+ */
+export const PAIRING_SCREEN_PATTERN = /\b(pairing code|pair this (screen|device|tv)|enter (this|the) code)\b/i;
+
+/** Whether app-ui texts show the pairing-code screen. */
+export function isPairingScreen(texts) {
+  return Array.isArray(texts) && texts.some((t) => PAIRING_SCREEN_PATTERN.test(t));
+}
+
 /** Parse a version/tag ("v2.7.1", "2.4.0", "2.7") into [major,minor,build]. */
 export function parseVersion(v) {
   if (v == null) return null;
@@ -61,23 +74,28 @@ export function compareVersion(installed, latestTag) {
  * @param {object} p
  * @param {'paired'|'revoked'|'unpaired'|'unknown'} p.pairing pairingState output
  * @param {boolean} [p.devChannelActive] ECP active-app is the dev channel
- * @returns {'paired'|'revoked'|'unpaired'|'stale-token'|'unknown'}
+ * @param {boolean} [p.pairingScreen] app-ui shows the pairing-code screen
+ *   (undefined when the screen couldn't be read)
+ * @returns {'paired'|'revoked'|'unpaired'|'pairing'|'stale-token'|'unknown'}
  */
-export function deriveConnState({ pairing, devChannelActive } = {}) {
+export function deriveConnState({ pairing, devChannelActive, pairingScreen } = {}) {
   switch (pairing) {
     case 'paired':
       return 'paired';
     case 'revoked':
       return 'revoked';
     case 'unpaired':
+      if (!devChannelActive) return 'unpaired';
+      // The pairing code is on screen → not stale, just awaiting approval.
+      if (pairingScreen === true) return 'pairing';
       // No active box-side token but the dev channel is foregrounded → the
       // player is likely clinging to a token the box no longer honors.
-      return devChannelActive ? 'stale-token' : 'unpaired';
+      return 'stale-token';
     default:
       return 'unknown';
   }
 }
 
 export default {
-  parseVersion, compareParts, compareVersion, deriveConnState,
+  parseVersion, compareParts, compareVersion, deriveConnState, isPairingScreen, PAIRING_SCREEN_PATTERN,
 };
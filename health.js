@@ -0,0 +1,196 @@
+/**
+ * Per-device ECP reachability history and health score.
+ *
+ * device_registry only knows `online` and `consecutive_failures`, which can't
+ * tell a flaky Wi-Fi stick (answers most polls, drops a few every few
+ * minutes, slow) from a dead one (stopped answering and stays gone). index.js
+ * feeds every poll into a history here: an HTTP read's ECP round-trip latency
+ * or failure, a success without latency when the poll is served by a live
+ * ECP-2 session, and a failure when that session drops. Samples are folded
+ * into HEALTH_BUCKET_MS buckets kept for HEALTH_HISTORY_MS, and runs of
+ * consecutive failures become outage windows.
+ *
+ * Everything here is PURE apart from mutating the history object it is
+ * handed; index.js owns the per-device histories (in memory only, so they
+ * start empty after a restart).
+ */
+
+export const HEALTH_BUCKET_MS = 60 * 1000;
+export const HEALTH_HISTORY_MS = 24 * 60 * 60 * 1000;
+// The score and status look at this much recent history.
+export const HEALTH_SCORE_WINDOW_MS = 60 * 60 * 1000;
+// Failing for this long without a success in between means "down", not "flaky".
+export const HEALTH_DOWN_AFTER_MS = 2 * 60 * 1000;
+// Latency under GOOD costs nothing; at or past BAD it costs the full penalty.
+const LATENCY_GOOD_MS = 150;
+const LATENCY_BAD_MS = 1000;
+const LATENCY_MAX_PENALTY = 20;
+// Each outage window beyond the first in the score window costs this much.
+const FLAP_PENALTY = 5;
+const FLAP_MAX_PENALTY = 25;
+const MAX_OUTAGES = 200;
+
+export function createHistory() {
+  return { buckets: [], outages: [] };
+}
+
+/**
+ * Fold one poll outcome into `history`.
+ * @param {object} history from createHistory()
+ * @param {{at:number, ok:boolean, latencyMs?:number, error?:string}} sample
+ */
+export function addSample(history, {
+  at, ok, latencyMs = null, error = null,
+}) {
+  const t = at - (at % HEALTH_BUCKET_MS);
+  let bucket = history.buckets[history.buckets.length - 1];
+  if (!bucket || bucket.t !== t) {
+    bucket = {
+      t, ok: 0, fail: 0, latency_sum: 0, latency_max: 0,
+    };
+    history.buckets.push(bucket);
+    const cutoff = at - HEALTH_HISTORY_MS;
+    while (history.buckets.length && history.buckets[0].t <= cutoff) history.buckets.shift();
+  }
+
+  const open = history.outages[history.outages.length - 1];
+  if (ok) {
+    bucket.ok += 1;
+    if (Number.isFinite(latencyMs)) {
+      bucket.latency_sum += latencyMs;
+      bucket.latency_max = Math.max(bucket.latency_max, latencyMs);
+    }
+    if (open && open.end == null) open.end = at;
+  } else {
+    bucket.fail += 1;
+    if (open && open.end == null) {
+      open.failures += 1;
+      if (error) open.error = error;
+    } else {
+      history.outages.push({
+        start: at, end: null, failures: 1, error,
+      });
+      if (history.outages.length > MAX_OUTAGES) history.outages.shift();
+    }
+  }
+  while (history.outages.length && history.outages[0].end != null && history.outages[0].end < at - HEALTH_HISTORY_MS) {
+    history.outages.shift();
+  }
+}
+
+function totals(buckets) {
+  let ok = 0;
+  let fail = 0;
+  let latencySum = 0;
+  let latencyMax = 0;
+  for (const b of buckets) {
+    ok += b.ok;
+    fail += b.fail;
+    latencySum += b.latency_sum;
+    latencyMax = Math.max(latencyMax, b.latency_max);
+  }
+  return {
+    ok, fail, latencyAvg: ok > 0 ? Math.round(latencySum / ok) : null, latencyMax: ok > 0 ? latencyMax : null,
+  };
+}
+
+/**
+ * Score (0-100) and status for the last `windowMs`:
+ *  - score = % of polls answered, minus a latency penalty (slow round trips)
+ *    and a flap penalty (repeated separate outages);
+ *  - status 'down' when failing for HEALTH_DOWN_AFTER_MS with no success
+ *    since, 'flaky' when it answers but drops polls or is slow (score < 90),
+ *    'healthy' otherwise, 'unknown' without samples in the window.
+ * @returns {{score:number|null, status:'healthy'|'flaky'|'down'|'unknown',
+ *   samples:number, failures:number, availability:number|null,
+ *   latency_avg_ms:number|null, latency_max_ms:number|null, outages:number,
+ *   down_since:string|null}}
+ */
+export function healthScore(history, { now = Date.now(), windowMs = HEALTH_SCORE_WINDOW_MS } = {}) {
+  const since = now - windowMs;
+  const recent = (history?.buckets || []).filter((b) => b.t + HEALTH_BUCKET_MS > since);
+  const {
+    ok, fail, latencyAvg, latencyMax,
+  } = totals(recent);
+  const outages = (history?.outages || []).filter((o) => o.end == null || o.end >= since);
+  const open = outages.find((o) => o.end == null) || null;
+  const summary = {
+    samples: ok + fail,
+    failures: fail,
+    availability: ok + fail > 0 ? ok / (ok + fail) : null,
+    latency_avg_ms: latencyAvg,
+    latency_max_ms: latencyMax,
+    outages: outages.length,
+    down_since: open ? new Date(open.start).toISOString() : null,
+  };
+  if (ok + fail === 0) return { score: null, status: 'unknown', ...summary };
+
+  const latencyPenalty = latencyAvg == null ? 0 : LATENCY_MAX_PENALTY * Math.min(
+    1,
+    Math.max(0, (latencyAvg - LATENCY_GOOD_MS) / (LATENCY_BAD_MS - LATENCY_GOOD_MS)),
+  );
+  const flapPenalty = Math.min(FLAP_MAX_PENALTY, Math.max(0, outages.length - 1) * FLAP_PENALTY);
+  const score = Math.max(0, Math.min(100, Math.round(100 * summary.availability - latencyPenalty - flapPenalty)));
+
+  let status = 'healthy';
+  if (open && now - open.start >= HEALTH_DOWN_AFTER_MS) status = 'down';
+  else if (score < 90) status = 'flaky';
+  return { score, status, ...summary };
+}
+
+/**
+ * The last `spanMs` of history as `points` evenly spaced points for a
+ * sparkline, oldest first. Points without samples are null-valued.
+ * @returns {Array<{t:string, availability:number|null, latency_ms:number|null}>}
+ */
+export function healthSeries(history, { now = Date.now(), spanMs = HEALTH_HISTORY_MS, points = 48 } = {}) {
+  const step = spanMs / points;
+  const start = now - spanMs;
+  const slots = Array.from({ length: points }, () => []);
+  for (const b of history?.buckets || []) {
+    const i = Math.floor((b.t - start) / step);
+    if (i >= 0 && i < points) slots[i].push(b);
+  }
+  return slots.map((buckets, i) => {
+    const { ok, fail, latencyAvg } = totals(buckets);
+    return {
+      t: new Date(start + i * step).toISOString(),
+      availability: ok + fail > 0 ? ok / (ok + fail) : null,
+      latency_ms: latencyAvg,
+    };
+  });
+}
+
+/** Start (ms) of the outage still in progress, or null while it answers. */
+export function openOutageStart(history) {
+  const last = history?.outages?.[history.outages.length - 1];
+  return last && last.end == null ? last.start : null;
+}
+
+/** Outage windows overlapping the last `spanMs`, newest first, as ISO times. */
+export function outageWindows(history, { now = Date.now(), spanMs = HEALTH_HISTORY_MS } = {}) {
+  const since = now - spanMs;
+  return (history?.outages || [])
+    .filter((o) => o.end == null || o.end >= since)
+    .map((o) => ({
+      start: new Date(o.start).toISOString(),
+      end: o.end == null ? null : new Date(o.end).toISOString(),
+      duration_ms: (o.end ?? now) - o.start,
+      failures: o.failures,
+      error: o.error || null,
+    }))
+    .reverse();
+}
+
+export default {
+  HEALTH_BUCKET_MS,
+  HEALTH_HISTORY_MS,
+  HEALTH_SCORE_WINDOW_MS,
+  HEALTH_DOWN_AFTER_MS,
+  createHistory,
+  addSample,
+  healthScore,
+  healthSeries,
+  outageWindows,
+  openOutageStart,
+};
@@ -0,0 +1,185 @@
+/**
+ * On-disk Roku app icon cache, shared by every device.
+ *
+ * Icons are app-scoped (Netflix's icon is the same bytes on every Roku), so
+ * entries are keyed by app id + app version from /query/apps — a channel
+ * update bumps the version and with it the key. Each entry is two files in
+ * `dir`: `<key>.img` (the bytes) and `<key>.json` (content type, ETag,
+ * fetchedAt, size). The index is rebuilt from the .json sidecars on first use,
+ * so a restart serves icons straight from disk with no device reachable.
+ * index.js puts `dir` under the data directory the host gives the extension.
+ *
+ * Bounded two ways: a per-icon cap (a bogus multi-MB "icon" is never stored)
+ * and a total cap enforced by evicting least-recently-used entries.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const ICON_CACHE_MAX_BYTES = 20 * 1024 * 1024;
+export const ICON_MAX_BYTES = 512 * 1024;
+// Older than this, a served icon is revalidated against the device in the
+// background (conditional GET when we have an ETag).
+export const ICON_REFRESH_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Filesystem-safe key for an app id + version ('unknown' when unversioned). */
+export function iconKey(appId, version) {
+  const safe = (v) => String(v).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return `${safe(appId)}@${safe(version || 'unknown')}`;
+}
+
+export class IconCache {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir
+   * @param {number} [opts.maxBytes] total cap
+   * @param {number} [opts.maxIconBytes] per-icon cap
+   * @param {() => number} [opts.now]
+   */
+  constructor({
+    dir, maxBytes = ICON_CACHE_MAX_BYTES, maxIconBytes = ICON_MAX_BYTES, now = Date.now,
+  }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxIconBytes = maxIconBytes;
+    this.now = now;
+    this.entries = null; // key -> meta, loaded lazily
+    this.loading = null;
+  }
+
+  async _load() {
+    if (this.entries) return this.entries;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const entries = new Map();
+        let names = [];
+        try {
+          names = await fs.readdir(this.dir);
+        } catch {
+          // no cache yet
+        }
+        for (const name of names.filter((n) => n.endsWith('.json'))) {
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            const meta = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+            entries.set(name.slice(0, -5), { ...meta, lastUsed: meta.fetchedAt || 0 });
+          } catch {
+            // torn sidecar — the entry is simply refetched
+          }
+        }
+        this.entries = entries;
+        return entries;
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Cached icon for the exact app version, or — with `anyVersion` — the most
+   * recently fetched one for the app (an offline device can't tell us its
+   * current version). Null on a miss.
+   * @returns {Promise<{buffer:Buffer, contentType:string, etag:string|null,
+   *   version:string|null, fetchedAt:number, stale:boolean}|null>}
+   */
+  async get(appId, version, { anyVersion = false } = {}) {
+    const entries = await this._load();
+    let key = iconKey(appId, version);
+    if (!entries.has(key) && anyVersion) {
+      key = null;
+      let newest = -1;
+      for (const [k, meta] of entries) {
+        if (meta.appId === appId && meta.fetchedAt > newest) {
+          key = k;
+          newest = meta.fetchedAt;
+        }
+      }
+    }
+    const meta = key && entries.get(key);
+    if (!meta) return null;
+    let buffer;
+    try {
+      buffer = await fs.readFile(path.join(this.dir, `${key}.img`));
+    } catch {
+      entries.delete(key); // removed behind our back
+      return null;
+    }
+    meta.lastUsed = this.now();
+    return {
+      buffer,
+      contentType: meta.contentType,
+      etag: meta.etag || null,
+      version: meta.version ?? null,
+      fetchedAt: meta.fetchedAt,
+      stale: this.now() - meta.fetchedAt >= ICON_REFRESH_MS,
+    };
+  }
+
+  /**
+   * Store an icon. Older versions of the same app are dropped; entries are
+   * evicted LRU-first past maxBytes. Returns false when the icon is too big
+   * to cache.
+   */
+  async put(appId, version, { buffer, contentType = 'image/jpeg', etag = null }) {
+    if (!buffer || buffer.length === 0 || buffer.length > this.maxIconBytes) return false;
+    const entries = await this._load();
+    const key = iconKey(appId, version);
+    const meta = {
+      appId, version: version || null, contentType, etag, size: buffer.length, fetchedAt: this.now(),
+    };
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${key}.img`), buffer);
+    await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(meta));
+    entries.set(key, { ...meta, lastUsed: meta.fetchedAt });
+    for (const [k, m] of [...entries]) {
+      // eslint-disable-next-line no-await-in-loop
+      if (k !== key && m.appId === appId) await this._remove(k);
+    }
+    await this._evict(key);
+    return true;
+  }
+
+  /** Mark an entry fresh again (the device answered 304 Not Modified). */
+  async touch(appId, version) {
+    const entries = await this._load();
+    const key = iconKey(appId, version);
+    const meta = entries.get(key);
+    if (!meta) return;
+    meta.fetchedAt = this.now();
+    const { lastUsed, ...persisted } = meta;
+    await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(persisted)).catch(() => {});
+  }
+
+  /** { count, bytes } for status/diagnostics. */
+  async stats() {
+    const entries = await this._load();
+    let bytes = 0;
+    for (const meta of entries.values()) bytes += meta.size || 0;
+    return { count: entries.size, bytes, maxBytes: this.maxBytes };
+  }
+
+  async _evict(keep) {
+    const entries = this.entries;
+    let total = 0;
+    for (const meta of entries.values()) total += meta.size || 0;
+    const byAge = [...entries].filter(([k]) => k !== keep).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key, meta] of byAge) {
+      if (total <= this.maxBytes) break;
+      total -= meta.size || 0;
+      // eslint-disable-next-line no-await-in-loop
+      await this._remove(key);
+    }
+  }
+
+  async _remove(key) {
+    this.entries.delete(key);
+    await Promise.all([`${key}.img`, `${key}.json`].map((f) => fs.rm(path.join(this.dir, f), { force: true })));
+  }
+}
+
+export default {
+  ICON_CACHE_MAX_BYTES,
+  ICON_MAX_BYTES,
+  ICON_REFRESH_MS,
+  iconKey,
+  IconCache,
+};
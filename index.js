@@ -7,7 +7,8 @@
  * The declarative devices: block is the entire device-integration contract
  * (docs/architecture/device-automation-standard.md) — the platform's
  * DeviceTypeHost consumes it:
- * - Device discovery: devices.roku.discover (probe + admission policy)
+ * - Device discovery: devices.roku.discover (probe + admission policy), fed
+ *   by device-discovery's sweeps plus our own SSDP roku:ecp M-SEARCH (ssdp.js)
  * - Polling: devices.roku.poll (750ms interval, canonical object shape)
  * - Commands: devices.roku.commands (auto-become automation actions + the
  *   REST entity-command path; no separate action declarations, no HTTP templates)
@@ -17,6 +18,9 @@
  * - Routes: declared in routes {}
  */
 
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+
 // HOT-RELOAD CONTRACT: internal sub-modules must be imported dynamically with
 // the loader's cache-bust token — a static `import './RokuClient.js'` pins the
 // FIRST-loaded copy forever (Node's ESM cache is keyed by URL, and the loader
@@ -32,14 +36,40 @@ const RELOAD_TOKEN = new URL(import.meta.url).searchParams.get('t') ?? Date.now(
 const subModule = (rel) => `${new URL(rel, import.meta.url).href}?t=${RELOAD_TOKEN}`;
 
 const [
-  { ROKU_ECP_PORT },
+  { ROKU_ECP_PORT, ROKU_TUNER_APP_ID, ROKU_SEARCH_TYPES },
   { shouldAutoAdmit },
   { shouldReprobeRoku },
   { RokuDevClient },
   { ReleaseClient },
   { withDeviceLock, runFleetOp, runSerial },
   { pairingStateForIdentities, buildScreenLinkMap, identitiesForDevice },
-  { compareVersion, deriveConnState },
+  { compareVersion, deriveConnState, isPairingScreen },
+  { searchRokus },
+  { deriveSourceList, currentSource, sourceKey },
+  { DEEP_LINK_MEDIA_TYPES, buildDeepLinkParams, normalizeDeepLink },
+  { EcpSession },
+  { openWebSocket },
+  { DebugConsole },
+  { normalizeMac, broadcastAddressFor, sendMagicPackets },
+  { IconCache },
+  {
+    APP_INVENTORY_TABLE, APP_INVENTORY_INTERVAL_MS, APP_INVENTORY_RETRY_MS,
+    inventoryRowId, diffInventory, summarizeInventory,
+  },
+  {
+    FIRMWARE_TABLE, FIRMWARE_CHECK_INTERVAL_MS, FIRMWARE_RETRY_MS,
+    firmwareFromInfo, firmwareChanged, formatFirmware, sortHistory,
+  },
+  {
+    REBOOT_TABLE, UPTIME_SAMPLE_INTERVAL_MS, UPTIME_RETRY_MS, detectReboot, rebootStats,
+    rebootProfile, rebootScriptFor,
+  },
+  {
+    createHistory, addSample, healthScore, healthSeries, outageWindows, openOutageStart,
+  },
+  {
+    REBIND_AFTER_MS, REBIND_RETRY_MS, subnetHosts, sweepForSerial,
+  },
 ] = await Promise.all([
   import(subModule('./constants.js')),
   import(subModule('./admission.js')),
@@ -49,18 +79,29 @@ const [
   import(subModule('./fleet/FleetQueue.js')),
   import(subModule('./fleet/pairingState.js')),
   import(subModule('./fleet/playerState.js')),
+  import(subModule('./ssdp.js')),
+  import(subModule('./tvInputs.js')),
+  import(subModule('./deepLinks.js')),
+  import(subModule('./ecpSession.js')),
+  import(subModule('./wsClient.js')),
+  import(subModule('./debugConsole.js')),
+  import(subModule('./wakeOnLan.js')),
+  import(subModule('./iconCache.js')),
+  import(subModule('./appInventory.js')),
+  import(subModule('./firmware.js')),
+  import(subModule('./reboots.js')),
+  import(subModule('./health.js')),
+  import(subModule('./rebind.js')),
 ]);
 
 // RokuClient pulls the CommonJS `xml2js` dep. Importing it at MODULE SCOPE
 // poisons Node's ESM/CJS resolution during a marketplace install (see the
 // 2.1.6 install failure). Load it lazily on first use — at runtime the
 // process + node_modules are stable, so resolution is correct.
-let _RokuClientCtor = null;
+let _rokuClientModule = null;
 const getRokuClient = async () => {
-  if (!_RokuClientCtor) {
-    ({ RokuClient: _RokuClientCtor } = await import(subModule('./RokuClient.js')));
-  }
-  return _RokuClientCtor;
+  if (!_rokuClientModule) _rokuClientModule = await import(subModule('./RokuClient.js'));
+  return _rokuClientModule.RokuClient;
 };
 
 // ============================================
@@ -142,6 +183,137 @@ function determineMainState(powerState, activeApp) {
   return 'on';
 }
 
+/**
+ * Normalize send_input / POST /input params: automations hand over a
+ * `key=value&key2=value2` string (a text field), REST callers a JSON object.
+ */
+function parseInputParams(value) {
+  if (typeof value === 'string') {
+    return Object.fromEntries(new URLSearchParams(value.trim().replace(/^\?/, '')));
+  }
+  return value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+}
+
+// POST /devices/:id/text: one typing request runs per device at a time (queued
+// behind withDeviceLock under a `text:` key so typing never waits on a
+// sideload; rebootDevice's menu walk takes the same key). Every request for a
+// device shares its current AbortController; DELETE /devices/:id/text aborts
+// it — stopping the in-flight request AND anything queued behind it — and the
+// next request gets a fresh one.
+const TEXT_MAX_LENGTH = 500;
+const textAborts = new Map(); // device id -> AbortController
+
+function textAbortFor(deviceId) {
+  let controller = textAborts.get(deviceId);
+  if (!controller || controller.signal.aborted) {
+    controller = new AbortController();
+    textAborts.set(deviceId, controller);
+  }
+  return controller;
+}
+
+/**
+ * Build the inputText() sequence for a POST /devices/:id/text body:
+ * `backspace` deletions first, then `text`, then Enter when `enter` is set.
+ * Returns null when there is nothing to send.
+ */
+function buildTextSequence({ text, backspace, enter } = {}) {
+  const deletes = Math.max(0, Math.min(parseInt(backspace, 10) || 0, TEXT_MAX_LENGTH));
+  const sequence = '\b'.repeat(deletes) + (text == null ? '' : String(text))
+    + (enter === true || enter === 'true' ? '\n' : '');
+  return sequence.length > 0 ? sequence : null;
+}
+
+/**
+ * The saved deep-link library: ctx.config 'deep_links', an array of
+ * { id, app_id, label, content_id, media_type, created_at }. App-scoped, not
+ * device-scoped — a Netflix content id is the same on every Roku.
+ */
+async function readDeepLinks(ctx) {
+  try {
+    const links = await ctx.config.get('deep_links');
+    return Array.isArray(links) ? links : [];
+  } catch (err) {
+    ctx.log(`Failed to read deep_links: ${err.message}`, 'warn');
+    return [];
+  }
+}
+
+// The tuner's /query/tv-active-channel is only read while the tuner is the
+// active app, and then at most this often per device — the program guide
+// doesn't change at poll speed (750ms).
+const TUNER_REFRESH_MS = 5000;
+const tunerCache = new Map(); // device id -> { at, channel }
+
+// /query/media-player is read at most this often per device, and only while a
+// channel is foregrounded — position/paused don't need 750ms resolution, and
+// Home/screensaver/standby have no player worth asking about.
+const MEDIA_PLAYER_REFRESH_MS = 3000;
+const mediaPlayerCache = new Map(); // device id -> { at, player }
+
+/**
+ * Media player snapshot for the poll loop, or null when no channel is
+ * foregrounded. Best-effort: a failed read keeps the last known snapshot.
+ */
+async function readMediaPlayer(client, device, mainState, { fresh = false } = {}) {
+  if (mainState !== 'playing') {
+    mediaPlayerCache.delete(device.id);
+    return null;
+  }
+  const cached = mediaPlayerCache.get(device.id);
+  if (!fresh && cached && Date.now() - cached.at < MEDIA_PLAYER_REFRESH_MS) return cached.player;
+  const player = await client.getMediaPlayer().catch(() => null) ?? (cached ? cached.player : null);
+  mediaPlayerCache.set(device.id, { at: Date.now(), player });
+  return player;
+}
+
+/**
+ * Poll attributes for a media-player snapshot. `media_state` collapses
+ * Roku's player states to playing / paused / buffering / idle so automations
+ * can tell "paused in Netflix" from "watching"; positions are seconds.
+ */
+function mediaPlayerAttributes(player) {
+  const raw = player?.state || null;
+  let mediaState = null;
+  if (raw === 'play') mediaState = 'playing';
+  else if (raw === 'pause') mediaState = 'paused';
+  else if (raw === 'buffer' || raw === 'startup') mediaState = 'buffering';
+  else if (raw) mediaState = 'idle';
+  const seconds = (ms) => (ms == null ? null : Math.round(ms / 1000));
+  const { buffering } = player || {};
+  return {
+    media_state: mediaState,
+    media_position: seconds(player?.position),
+    media_duration: player?.isLive ? null : seconds(player?.duration || null),
+    media_is_live: player ? player.isLive : null,
+    is_paused: mediaState === 'paused',
+    is_buffering: mediaState === 'buffering',
+    buffering_progress: buffering?.max ? Math.round((buffering.current / buffering.max) * 100) : null,
+    media_plugin_id: player?.plugin?.id || null,
+    media_plugin_name: player?.plugin?.name || null,
+    media_video_format: player?.format?.video || null,
+    media_audio_format: player?.format?.audio || null,
+    media_captions: player?.format?.captions || null,
+    media_bitrate: player?.stream?.bitrate || player?.plugin?.bandwidth || null,
+  };
+}
+
+/**
+ * Current tuner channel for the poll loop, or null when the tuner isn't the
+ * active app. Best-effort: a failed read keeps the last known channel.
+ */
+async function readTunerChannel(client, device, activeApp, { fresh = false } = {}) {
+  if (activeApp?.id !== ROKU_TUNER_APP_ID) {
+    tunerCache.delete(device.id);
+    return null;
+  }
+  const cached = tunerCache.get(device.id);
+  if (!fresh && cached && Date.now() - cached.at < TUNER_REFRESH_MS) return cached.channel;
+  const channel = await client.getTvActiveChannel().catch(() => (cached ? cached.channel : null));
+  tunerCache.set(device.id, { at: Date.now(), channel });
+  return channel;
+}
+
 /**
  * Find a device by ID in device_registry (the single source of truth).
  * Searches: device_registry by id -> device_registry by serial (roku:SERIAL).
@@ -167,6 +339,7 @@ async function findDevice(ctx, deviceId) {
         ip_address: d.ip_address,
         name: d.friendly_name || d.name || 'Unknown Roku',
         serial_number: d.serial_number || null,
+        mac_address: d.mac_address || null,
         online: d.online,
       };
     }
@@ -186,6 +359,7 @@ async function findDevice(ctx, deviceId) {
           ip_address: d.ip_address,
           name: d.friendly_name || d.name || 'Unknown Roku',
           serial_number: d.serial_number || null,
+          mac_address: d.mac_address || null,
           online: d.online,
         };
       }
@@ -321,6 +495,121 @@ export async function resolveDevPassword(ctx, serial) {
   return (await ctx.secrets.get('roku_dev_password')) || null;
 }
 
+/**
+ * Resolve the developer-key passphrase used to sign packages / rekey a box:
+ * per-device (`roku_package_passphrase:<serial>`, for a box with its own
+ * genkey) over the fleet default (`roku_package_passphrase`). Same store and
+ * precedence as resolveDevPassword.
+ */
+export async function resolvePackagePassphrase(ctx, serial) {
+  if (serial != null) {
+    const perDevice = await ctx.secrets.get(`roku_package_passphrase:${serial}`);
+    if (perDevice) return perDevice;
+  }
+  return (await ctx.secrets.get('roku_package_passphrase')) || null;
+}
+
+/**
+ * Presence (never the value, never its length) of a fleet/per-device scoped
+ * secret — `baseKey` fleet default + `baseKey:<serial>` per device.
+ */
+async function scopedSecretPresence(ctx, baseKey) {
+  const rows = await queryRokuDevices(ctx);
+  const fleetSet = (await ctx.secrets.get(baseKey)) != null;
+  const devices = await Promise.all(rows.map(async (d) => {
+    const serial = d.serial_number || null;
+    const set = serial != null && (await ctx.secrets.get(`${baseKey}:${serial}`)) != null;
+    return {
+      device_id: d.id,
+      serial,
+      name: d.friendly_name || d.name || 'Unknown Roku',
+      set,
+      masked: set ? DEV_PW_MASK : null,
+    };
+  }));
+  return {
+    fleet: { set: fleetSet, masked: fleetSet ? DEV_PW_MASK : null },
+    devices,
+  };
+}
+
+/**
+ * Apply a PUT body { scope:'fleet'|'device', device_id?, <field>|null } to a
+ * scoped secret: `baseKey` for the fleet, `baseKey:<serial>` per device. A
+ * null/'' value deletes the secret. Never echoes the value back.
+ */
+async function putScopedSecret(ctx, rawBody, { baseKey, field, noun }) {
+  const body = rawBody && typeof rawBody === 'object' ? rawBody : {};
+  const { scope } = body;
+  if (scope !== 'fleet' && scope !== 'device') {
+    return { success: false, error: "Invalid scope: expected 'fleet' or 'device'", status: 400 };
+  }
+  if (!Object.prototype.hasOwnProperty.call(body, field)) {
+    return { success: false, error: `${field} field required (string to set, null to clear)`, status: 400 };
+  }
+  const value = body[field];
+  if (value != null && typeof value !== 'string') {
+    return { success: false, error: `${field} must be a string or null`, status: 400 };
+  }
+  const clearing = value == null || value === '';
+  let targetSerial = null;
+  let key;
+  if (scope === 'fleet') {
+    key = baseKey;
+  } else {
+    if (!body.device_id) {
+      return { success: false, error: 'device_id required for device scope', status: 400 };
+    }
+    const device = await findDevice(ctx, body.device_id);
+    if (!device) return { success: false, error: 'Device not found', status: 404 };
+    targetSerial = device.serial_number;
+    if (!targetSerial) {
+      return { success: false, error: `Device has no serial number; cannot set a per-device ${field}`, status: 400 };
+    }
+    key = `${baseKey}:${targetSerial}`;
+  }
+  try {
+    if (clearing) await ctx.secrets.delete(key);
+    else await ctx.secrets.set(key, value);
+  } catch (err) {
+    ctx.log(`Fleet: failed to persist ${noun} '${key}': ${err.message}`, 'error');
+    return { success: false, error: `Failed to save ${noun}`, status: 500 };
+  }
+  const fleetSet = scope === 'fleet'
+    ? !clearing
+    : (await ctx.secrets.get(baseKey)) != null;
+  const deviceSet = scope === 'device' ? !clearing : undefined;
+  return {
+    success: true, scope, fleet: { set: fleetSet }, device: scope === 'device' ? { serial: targetSerial, set: deviceSet } : undefined,
+  };
+}
+
+/** The package passphrase for `device`, or a NO_PASSPHRASE (400) error. */
+async function requirePackagePassphrase(ctx, device) {
+  const passphrase = await resolvePackagePassphrase(ctx, device.serial_number);
+  if (!passphrase) {
+    const err = new Error('No package passphrase configured');
+    err.code = 'NO_PASSPHRASE';
+    err.status = 400;
+    throw err;
+  }
+  return passphrase;
+}
+
+/** "<dev channel name>/<version>" for a package, from ECP (auth-free). */
+async function defaultPackageName(device) {
+  try {
+    const client = new (await getRokuClient())(device.ip_address);
+    client.setTimeout(3000);
+    const apps = await client.getApps();
+    const devApp = Array.isArray(apps) ? apps.find((a) => a.id === 'dev') : null;
+    if (devApp) return `${devApp.name || 'Waiveo Player'}/${devApp.version || '1.0.0'}`;
+  } catch {
+    // fall through to the generic name
+  }
+  return 'Waiveo Player';
+}
+
 /** Build a RokuDevClient whose password is resolved from secrets at op time. */
 function makeDevClient(ctx, device) {
   return new RokuDevClient(device.ip_address, {
@@ -343,6 +632,10 @@ function devErrorResponse(err) {
       return {
         success: false, error: 'No Roku dev password configured — set it under Roku Fleet → Dev Credentials', dev_state: 'no_password', status: 400,
       };
+    case 'NO_PASSPHRASE':
+      return {
+        success: false, error: 'No package passphrase configured — set it under Roku Fleet → Packaging', status: 400,
+      };
     case 'UNREACHABLE':
     case 'NO_CHALLENGE':
       return {
@@ -388,10 +681,11 @@ async function buildPlayerStatus(ctx, device, {
   let reachable = false;
   let developerEnabled = false;
   let devChannelActive = false;
+  let client = null;
 
   if (device.ip_address) {
     try {
-      const client = new (await getRokuClient())(device.ip_address);
+      client = new (await getRokuClient())(device.ip_address);
       client.setTimeout(2500);
       const [apps, activeApp, info] = await Promise.all([
         client.getApps().catch(() => null),
@@ -424,7 +718,15 @@ async function buildPlayerStatus(ctx, device, {
     deviceId: device.device_id,
   });
   status.pairing_state = pairingStateForIdentities(tokenRows, identities);
-  status.conn_state = deriveConnState({ pairing: status.pairing_state, devChannelActive });
+  // Only the unpaired-but-running case is ambiguous (stale token vs. pairing
+  // code on screen) — read the rendered UI just for that one.
+  let pairingScreen;
+  if (status.pairing_state === 'unpaired' && devChannelActive && client) {
+    pairingScreen = await client.getAppUi()
+      .then((ui) => isPairingScreen(ui.texts))
+      .catch(() => undefined);
+  }
+  status.conn_state = deriveConnState({ pairing: status.pairing_state, devChannelActive, pairingScreen });
   const cmp = compareVersion(status.installed_version, status.latest_tag);
   status.version_state = cmp.state;
   status.updateAvailable = cmp.updateAvailable;
@@ -445,6 +747,1383 @@ async function readInstalledVersion(ipAddress) {
   }
 }
 
+/**
+ * One full ECP read of a device's media_player entity — the poll loop's HTTP
+ * path, and the refresh an ECP-2 notification triggers (`fresh` skips the
+ * tuner/media-player caches, since the notification says they just changed).
+ */
+async function readRokuState(device, { fresh = false } = {}) {
+  const ip = device.ip_address;
+  if (!ip) throw new Error(`Device ${device.id} missing ip_address`);
+
+  const client = new (await getRokuClient())(ip);
+  // P1 perf (audit 2026-07-04): the poll loop runs every 750ms across
+  // up to 7 live Rokus. RokuClient's 5s default timeout is sized for
+  // interactive commands (keypress/launch/etc.) and would let one
+  // stuck/unreachable device hold a poll slot for up to 5s; drop it
+  // to ~1.2s here so a dead device fails fast and doesn't starve the
+  // schedule. Interactive commands elsewhere keep the 5s default.
+  client.setTimeout(1200);
+  // A notification-triggered read must not be served the answer another
+  // reader got just before the change (RokuClient's coalescing window).
+  client.setFresh(fresh);
+  // P1 perf: getPowerMode() regex-extracts just <power-mode> instead
+  // of running the full xml2js parse getDeviceInfo() does to build
+  // its ~40-field object. Static fields (serial/model/firmware/etc.)
+  // never change poll-to-poll — they're captured once at
+  // discovery/probe time and already live in device_registry.
+  // The pair's round trip is this device's reachability sample (health.js).
+  const started = Date.now();
+  let powerMode;
+  let activeApp;
+  try {
+    [powerMode, activeApp] = await Promise.all([
+      client.getPowerMode(),
+      client.getActiveApp(),
+    ]);
+  } catch (err) {
+    recordReachability(device.id, { ok: false, error: err.message });
+    throw err;
+  }
+  recordReachability(device.id, { ok: true, latencyMs: Date.now() - started });
+
+  const powerState = interpretPowerState(powerMode, activeApp);
+  const mainState = determineMainState(powerState, activeApp);
+  const slug = slugify(device.friendly_name || device.name || device.id);
+  const [tvChannel, player] = await Promise.all([
+    readTunerChannel(client, device, activeApp, { fresh }),
+    readMediaPlayer(client, device, mainState, { fresh }),
+  ]);
+
+  return {
+    [`media_player.${slug}`]: {
+      state: mainState,
+      attributes: {
+        power_mode: powerMode,
+        power_state: powerState,
+        active_app: activeApp?.name || 'Home',
+        active_app_id: activeApp?.id || null,
+        app_type: activeApp?.type || null,
+        app_version: activeApp?.version || null,
+        is_screensaver: activeApp?.type === 'screensaver',
+        screensaver_name: activeApp?.type === 'screensaver' ? activeApp.name : null,
+        // Roku TV tuner (antenna/cable) — only set while it is the active app.
+        tv_channel_number: tvChannel?.number || null,
+        tv_channel_name: tvChannel?.name || null,
+        tv_program_title: tvChannel?.programTitle || null,
+        // Roku TV input currently on screen ('hdmi2', 'tuner', …);
+        // null on Home / a streaming channel / non-TV Rokus.
+        source: currentSource(activeApp),
+        // /query/media-player, refreshed every MEDIA_PLAYER_REFRESH_MS
+        // while a channel is foregrounded; all null otherwise.
+        ...mediaPlayerAttributes(player),
+        device_type: 'roku',
+        friendly_name: device.friendly_name,
+      },
+    },
+  };
+}
+
+// ============================================
+// SSDP discovery (roku:ecp)
+// ============================================
+
+// First sweep waits for the platform to finish booting (DeviceTypeHost must be
+// listening for discovery:candidate-matched), then repeats on a slow cadence —
+// Rokus answer M-SEARCH instantly, so there is no need to hammer the LAN.
+const SSDP_INITIAL_DELAY_MS = 5000;
+const SSDP_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// A serial already announced at the same IP is not re-emitted until this
+// window passes (the pending card already exists; re-emitting every sweep
+// would just re-probe it).
+const SSDP_REANNOUNCE_MS = 30 * 60 * 1000;
+
+let ssdpInitialTimer = null;
+let ssdpSweepTimer = null;
+const ssdpAnnounced = new Map(); // serial -> { ip, at }
+
+/**
+ * One SSDP sweep: M-SEARCH for roku:ecp, then feed every answering Roku that
+ * isn't already registered through the SAME pipeline as network discovery —
+ * a discovery:candidate-matched event the platform DeviceTypeHost probes and
+ * runs through our admit hook. The candidate carries discovery_method 'ssdp'
+ * and no via_scan marker, so admission.js treats it as PASSIVE (pending
+ * approval unless passive_discovery_requires_approval=false). A REGISTERED
+ * Roku answering from a different IP than its row is rebound instead (see
+ * rebindDevice). Disabled by settings.ssdp_discovery === false. Never throws.
+ */
+export async function runSsdpSweep(ctx, { search = searchRokus, now = Date.now, probe = probeSerial } = {}) {
+  try {
+    const settings = (await ctx.config.get('settings')) || {};
+    if (settings.ssdp_discovery === false) return { skipped: true, found: 0, announced: 0 };
+  } catch (err) {
+    ctx.log(`SSDP: failed to read settings (${err.message}); sweeping anyway`, 'warn');
+  }
+
+  let results;
+  try {
+    results = await search();
+  } catch (err) {
+    ctx.log(`SSDP: M-SEARCH failed: ${err.message}`, 'warn');
+    return { skipped: false, found: 0, announced: 0 };
+  }
+
+  const registered = new Map((await queryRokuDevices(ctx))
+    .filter((d) => d.serial_number)
+    .map((d) => [d.serial_number, d]));
+
+  let announced = 0;
+  for (const r of results) {
+    const row = registered.get(r.serial);
+    if (row) {
+      // A registered Roku answering from a new address: its lease moved.
+      // eslint-disable-next-line no-await-in-loop
+      if (rebindCtx && row.ip_address !== r.ip && (await probe(r.ip)) === r.serial) {
+        // eslint-disable-next-line no-await-in-loop
+        await rebindDevice(ctx, row, r.ip, 'ssdp').catch((err) => {
+          ctx.log(`SSDP: failed to rebind ${r.serial} to ${r.ip}: ${err.message}`, 'warn');
+        });
+      }
+      continue;
+    }
+    const prev = ssdpAnnounced.get(r.serial);
+    if (prev && prev.ip === r.ip && now() - prev.at < SSDP_REANNOUNCE_MS) continue;
+    ssdpAnnounced.set(r.serial, { ip: r.ip, at: now() });
+    ctx.emit('discovery:candidate-matched', {
+      matchedInterest: { extensionName: 'roku-integration', deviceType: 'roku' },
+      candidate: {
+        ip: r.ip,
+        ip_address: r.ip,
+        mac_address: null,
+        discovery_method: 'ssdp',
+        serial_number: r.serial,
+        device_type: 'Roku',
+        open_ports: [r.port],
+        raw_data: { ssdp: { location: r.location, usn: r.usn, server: r.server } },
+      },
+    });
+    announced += 1;
+  }
+  if (announced > 0) ctx.log(`SSDP: announced ${announced} new Roku candidate(s)`, 'info');
+  return { skipped: false, found: results.length, announced };
+}
+
+function startSsdpDiscovery(ctx) {
+  stopSsdpDiscovery();
+  const sweep = () => { runSsdpSweep(ctx).catch(() => {}); };
+  ssdpInitialTimer = setTimeout(sweep, SSDP_INITIAL_DELAY_MS);
+  ssdpSweepTimer = setInterval(sweep, SSDP_SWEEP_INTERVAL_MS);
+  // Never hold the process open for a background sweep.
+  ssdpInitialTimer.unref?.();
+  ssdpSweepTimer.unref?.();
+}
+
+function stopSsdpDiscovery() {
+  if (ssdpInitialTimer) clearTimeout(ssdpInitialTimer);
+  if (ssdpSweepTimer) clearInterval(ssdpSweepTimer);
+  ssdpInitialTimer = null;
+  ssdpSweepTimer = null;
+}
+
+// ============================================
+// ECP-2 sessions (event-driven state)
+// ============================================
+
+// A device whose firmware refused ECP-2 (or whose session failed to
+// authenticate) stays on HTTP polling and is retried this much later.
+const ECP_SESSION_RETRY_MS = 10 * 60 * 1000;
+// A session that DROPPED (reboot, Wi-Fi blip) is reconnected sooner.
+const ECP_SESSION_RECONNECT_MS = 30 * 1000;
+// Even with a live session, re-read over HTTP this often as a safety net
+// against a missed notification — and much sooner while a channel is
+// playing, because playback position moves without any notification.
+const ECP_SESSION_RECONCILE_MS = 30 * 1000;
+const ECP_SESSION_PLAYING_RECONCILE_MS = MEDIA_PLAYER_REFRESH_MS;
+
+// device id -> { ip, session, status: 'connecting'|'live'|'down', retryAt,
+//                snapshot: { at, result } | null, refreshing, refreshAgain }
+const ecpSessions = new Map();
+// Set by startEcpSessions(); null means sessions are off (disabled in
+// settings, or before init / after destroy) and the poll reads HTTP only.
+let ecpSessionCtx = null;
+let createEcpSession = (ip, opts) => new EcpSession(ip, { openSocket: openWebSocket, ...opts });
+
+/**
+ * Enable ECP-2 sessions unless settings.ecp_sessions === false. Sessions
+ * themselves open lazily, from the first poll of each device. `createSession`
+ * is a test seam for the EcpSession constructor.
+ */
+export async function startEcpSessions(ctx, { createSession } = {}) {
+  stopEcpSessions();
+  if (createSession) createEcpSession = createSession;
+  let settings = {};
+  try {
+    settings = (await ctx.config.get('settings')) || {};
+  } catch {
+    // unreadable settings → defaults
+  }
+  if (settings.ecp_sessions === false) {
+    ctx.log('ECP-2 sessions disabled in settings; polling over HTTP', 'info');
+    return;
+  }
+  ecpSessionCtx = ctx;
+}
+
+export function stopEcpSessions() {
+  ecpSessionCtx = null;
+  for (const entry of ecpSessions.values()) {
+    if (entry.session) entry.session.close();
+  }
+  ecpSessions.clear();
+  createEcpSession = (ip, opts) => new EcpSession(ip, { openSocket: openWebSocket, ...opts });
+}
+
+/**
+ * Open (or re-open, once its retry time has passed) the device's ECP-2
+ * session. Fire-and-forget from the poll: a device never waits on it.
+ */
+function ensureEcpSession(device) {
+  const ctx = ecpSessionCtx;
+  if (!ctx) return;
+  const existing = ecpSessions.get(device.id);
+  if (existing && existing.ip === device.ip_address) {
+    if (existing.status !== 'down' || Date.now() < existing.retryAt) return;
+  }
+  if (existing?.session) existing.session.close();
+
+  const entry = {
+    ip: device.ip_address,
+    session: null,
+    status: 'connecting',
+    retryAt: 0,
+    snapshot: null,
+    refreshing: false,
+    refreshAgain: false,
+  };
+  ecpSessions.set(device.id, entry);
+  const name = device.friendly_name || device.name || device.id;
+  const current = () => ecpSessions.get(device.id) === entry;
+
+  entry.session = createEcpSession(device.ip_address, {
+    onNotify: (event) => {
+      if (current()) refreshEcpSnapshot(device, entry, event);
+    },
+    onClose: () => {
+      if (!current()) return;
+      // A dropped session is the device going away (reboot, Wi-Fi blip) as
+      // far as its reachability history goes.
+      recordReachability(device.id, { ok: false, error: 'ECP-2 session dropped' });
+      entry.status = 'down';
+      entry.snapshot = null;
+      entry.retryAt = Date.now() + ECP_SESSION_RECONNECT_MS;
+      ctx.log(`ECP-2 session to ${name} dropped; polling over HTTP until it reconnects`, 'info');
+    },
+  });
+  entry.session.connect().then(() => {
+    if (!current()) {
+      entry.session.close();
+      return;
+    }
+    entry.status = 'live';
+    ctx.log(`ECP-2 session open to ${name}; state is now event-driven`, 'info');
+    refreshEcpSnapshot(device, entry, 'session-open');
+  }, (err) => {
+    if (!current()) return;
+    entry.status = 'down';
+    entry.retryAt = Date.now() + ECP_SESSION_RETRY_MS;
+    ctx.log(`ECP-2 unavailable on ${name} (${err.message}); polling over HTTP`, 'debug');
+  });
+}
+
+/**
+ * The live session's snapshot for the poll, or null when the poll should read
+ * HTTP itself (no live session, or no snapshot yet / the last refresh failed).
+ */
+function ecpSnapshot(device) {
+  const entry = ecpSessions.get(device.id);
+  if (!entry || entry.status !== 'live' || !entry.snapshot || entry.ip !== device.ip_address) return null;
+  const { at, result } = entry.snapshot;
+  const playing = Object.values(result)[0]?.state === 'playing';
+  const maxAge = playing ? ECP_SESSION_PLAYING_RECONCILE_MS : ECP_SESSION_RECONCILE_MS;
+  // Past the window: serve it once more while the reconcile read runs.
+  if (Date.now() - at >= maxAge) refreshEcpSnapshot(device, entry, 'reconcile');
+  return result;
+}
+
+/**
+ * Re-read the device over HTTP after a notification and push the new state
+ * to the UI. Coalesced: a burst of notifications (app exit + app run +
+ * media-player-state-changed) costs at most one read in flight plus one
+ * follow-up.
+ */
+function refreshEcpSnapshot(device, entry, reason) {
+  if (entry.refreshing) {
+    entry.refreshAgain = true;
+    return;
+  }
+  entry.refreshing = true;
+  readRokuState(device, { fresh: reason !== 'reconcile' })
+    .then((result) => {
+      if (ecpSessions.get(device.id) !== entry || entry.status !== 'live') return;
+      entry.snapshot = { at: Date.now(), result };
+      const ctx = ecpSessionCtx;
+      if (ctx && reason !== 'reconcile') {
+        ctx.broadcast('roku:state-changed', { deviceId: device.id, reason, entities: result });
+      }
+    })
+    .catch(() => {
+      entry.snapshot = null; // the poll falls back to reading HTTP itself
+    })
+    .finally(() => {
+      entry.refreshing = false;
+      if (entry.refreshAgain) {
+        entry.refreshAgain = false;
+        refreshEcpSnapshot(device, entry, reason);
+      }
+    });
+}
+
+/** Session status per device id (GET /ecp-sessions). */
+export function ecpSessionStatus() {
+  return Object.fromEntries([...ecpSessions].map(([id, entry]) => [id, {
+    status: entry.status,
+    ip: entry.ip,
+    snapshot_at: entry.snapshot ? new Date(entry.snapshot.at).toISOString() : null,
+  }]));
+}
+
+// ============================================
+// Periodic per-device reads from the poll
+// ============================================
+
+/**
+ * Run `task` for a device when its slot in `schedule` (device id ->
+ * { running, nextAt }) is due: `intervalMs` after a success, `retryMs` after
+ * a failure, never two at once. Fire-and-forget from the poll; a failure is
+ * handed to `onError`.
+ */
+function runWhenDue(schedule, deviceId, task, { intervalMs, retryMs, onError }) {
+  const entry = schedule.get(deviceId) || { running: false, nextAt: 0 };
+  if (entry.running || Date.now() < entry.nextAt) return;
+  entry.running = true;
+  schedule.set(deviceId, entry);
+  Promise.resolve().then(task).then(() => {
+    entry.nextAt = Date.now() + intervalMs;
+  }, (err) => {
+    entry.nextAt = Date.now() + retryMs;
+    onError(err);
+  }).finally(() => {
+    entry.running = false;
+  });
+}
+
+// ============================================
+// Installed-app inventory (appInventory.js)
+// ============================================
+
+// device id -> { running, nextAt } — when the poll may snapshot it again.
+const appInventorySchedule = new Map();
+// Set by startAppInventory(); null means inventory tracking is off.
+let appInventoryCtx = null;
+
+/**
+ * Track installed apps unless settings.app_inventory === false. Snapshots are
+ * taken lazily from each device's poll, at most every APP_INVENTORY_INTERVAL_MS.
+ */
+export async function startAppInventory(ctx) {
+  stopAppInventory();
+  let settings = {};
+  try {
+    settings = (await ctx.config.get('settings')) || {};
+  } catch {
+    // unreadable settings → defaults
+  }
+  if (settings.app_inventory === false) {
+    ctx.log('App inventory tracking disabled in settings', 'info');
+    return;
+  }
+  appInventoryCtx = ctx;
+}
+
+export function stopAppInventory() {
+  appInventoryCtx = null;
+  appInventorySchedule.clear();
+}
+
+/** Snapshot the device's apps when it is due. Fire-and-forget from the poll. */
+function ensureAppInventory(device) {
+  const ctx = appInventoryCtx;
+  if (!ctx) return;
+  runWhenDue(appInventorySchedule, device.id, () => snapshotAppInventory(ctx, device), {
+    intervalMs: APP_INVENTORY_INTERVAL_MS,
+    retryMs: APP_INVENTORY_RETRY_MS,
+    onError: (err) => ctx.log(`App inventory: snapshot of ${device.friendly_name || device.id} failed: ${err.message}`, 'debug'),
+  });
+}
+
+/**
+ * Read /query/apps and bring the device's roku_app_inventory rows in line,
+ * emitting roku:app-installed / roku:app-removed per change. The first
+ * snapshot of a device only records a baseline — a TV joining the fleet
+ * did not just install forty channels.
+ * @returns {Promise<{added:object[], removed:object[], updated:object[], baseline:boolean}>}
+ */
+export async function snapshotAppInventory(ctx, device) {
+  const client = new (await getRokuClient())(device.ip_address);
+  const apps = await client.getApps();
+  const rows = (await ctx.data.query(APP_INVENTORY_TABLE).where('device_id', '=', device.id).get()) || [];
+  const diff = diffInventory(rows, apps);
+  const now = new Date().toISOString();
+
+  for (const app of diff.added) {
+    // eslint-disable-next-line no-await-in-loop
+    await ctx.data.query(APP_INVENTORY_TABLE).insert({
+      id: inventoryRowId(device.id, app.id),
+      device_id: device.id,
+      app_id: app.id,
+      name: app.name,
+      type: app.type,
+      version: app.version,
+      first_seen: now,
+      updated_at: now,
+    });
+  }
+  for (const { app, row } of diff.updated) {
+    // eslint-disable-next-line no-await-in-loop
+    await ctx.data.query(APP_INVENTORY_TABLE).where('id', '=', row.id)
+      .update({ name: app.name, version: app.version, updated_at: now });
+  }
+  for (const row of diff.removed) {
+    // eslint-disable-next-line no-await-in-loop
+    await ctx.data.query(APP_INVENTORY_TABLE).where('id', '=', row.id).delete();
+  }
+
+  const baseline = rows.length === 0;
+  if (!baseline) {
+    const deviceName = device.friendly_name || device.name || device.id;
+    const events = [
+      ...diff.added.map((app) => ['roku:app-installed', { app_id: app.id, app_name: app.name, version: app.version }]),
+      ...diff.removed.map((row) => ['roku:app-removed', { app_id: row.app_id, app_name: row.name, version: row.version }]),
+    ];
+    for (const [event, app] of events) {
+      const payload = { deviceId: device.id, device_id: device.id, device_name: deviceName, ...app };
+      ctx.log(`App inventory: ${app.app_name || app.app_id} ${event === 'roku:app-installed' ? 'installed on' : 'removed from'} ${deviceName}`, 'info');
+      ctx.emit(event, payload);
+      ctx.broadcast(event, payload);
+    }
+  }
+  return { ...diff, baseline };
+}
+
+// ============================================
+// Channel store installs (ECP /install)
+// ============================================
+
+// The store's install page needs a few seconds on screen before its
+// "Add channel" button takes the confirming Select.
+const STORE_PAGE_SETTLE_MS = 5000;
+// Download + install of a typical channel; past this the install is
+// reported unconfirmed (still downloading, paid, or PIN-protected).
+const INSTALL_CONFIRM_WAIT_MS = 90 * 1000;
+const INSTALL_CHECK_INTERVAL_MS = 3000;
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Make sure `appId` is installed on `device`. When getApps() lacks it, open
+ * the store install page (POST /install), press Select to add it unless
+ * `confirm` is false, then poll getApps() until it shows up. Works for free
+ * channels; a paid or PIN-protected one stops at the store and comes back
+ * 'unconfirmed'. Errors reaching the device throw.
+ * @returns {Promise<{app_id:string, status:'already-installed'|'installed'|'unconfirmed',
+ *   version:string|null}>}
+ */
+export async function ensureAppInstalled(device, appId, {
+  confirm = true,
+  settleMs = STORE_PAGE_SETTLE_MS,
+  waitMs = INSTALL_CONFIRM_WAIT_MS,
+  intervalMs = INSTALL_CHECK_INTERVAL_MS,
+} = {}) {
+  const client = new (await getRokuClient())(device.ip_address);
+  const findApp = async () => (await client.getApps()).find((app) => String(app.id) === String(appId)) || null;
+  const existing = await findApp();
+  if (existing) return { app_id: String(appId), status: 'already-installed', version: existing.version };
+
+  await client.installApp(appId);
+  if (confirm) {
+    await sleep(settleMs);
+    await client.keypress('Select');
+  }
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(intervalMs);
+    // eslint-disable-next-line no-await-in-loop
+    const app = await findApp().catch(() => null); // busy installing → try again
+    if (app) {
+      // Snapshot the inventory on the next poll rather than in up to 30 min.
+      appInventorySchedule.delete(device.device_id || device.id);
+      return { app_id: String(appId), status: 'installed', version: app.version };
+    }
+    if (Date.now() >= deadline) return { app_id: String(appId), status: 'unconfirmed', version: null };
+  }
+}
+
+/** Every inventory row, or [] when the table can't be read. */
+async function readInventoryRows(ctx) {
+  try {
+    const rows = await ctx.data.query(APP_INVENTORY_TABLE).get();
+    return Array.isArray(rows) ? rows : [];
+  } catch (err) {
+    ctx.log(`App inventory: failed to read ${APP_INVENTORY_TABLE}: ${err.message}`, 'warn');
+    return [];
+  }
+}
+
+// ============================================
+// Firmware history (firmware.js)
+// ============================================
+
+// device id -> { running, nextAt } — when the poll may re-read device-info.
+const firmwareSchedule = new Map();
+// Set by startFirmwareWatch(); null means firmware tracking is off.
+let firmwareCtx = null;
+
+/**
+ * Track Roku OS updates unless settings.firmware_history === false. The poll
+ * re-reads device-info at most every FIRMWARE_CHECK_INTERVAL_MS per device.
+ */
+export async function startFirmwareWatch(ctx) {
+  stopFirmwareWatch();
+  let settings = {};
+  try {
+    settings = (await ctx.config.get('settings')) || {};
+  } catch {
+    // unreadable settings → defaults
+  }
+  if (settings.firmware_history === false) {
+    ctx.log('Firmware history tracking disabled in settings', 'info');
+    return;
+  }
+  firmwareCtx = ctx;
+}
+
+export function stopFirmwareWatch() {
+  firmwareCtx = null;
+  firmwareSchedule.clear();
+}
+
+/** Re-read the device's firmware when it is due. Fire-and-forget from the poll. */
+function ensureFirmwareCheck(device) {
+  const ctx = firmwareCtx;
+  if (!ctx) return;
+  runWhenDue(firmwareSchedule, device.id, async () => {
+    const client = new (await getRokuClient())(device.ip_address);
+    await recordFirmware(ctx, device, await client.getDeviceInfo());
+  }, {
+    intervalMs: FIRMWARE_CHECK_INTERVAL_MS,
+    retryMs: FIRMWARE_RETRY_MS,
+    onError: (err) => ctx.log(`Firmware check of ${device.friendly_name || device.id} failed: ${err.message}`, 'debug'),
+  });
+}
+
+/**
+ * Append a roku_firmware_history row when `info` (getDeviceInfo()) reports a
+ * version/build other than the device's latest row, and emit
+ * roku:firmware-changed. The first row for a device is a silent baseline.
+ * Runs under a per-device `firmware:` lock: the poll's check and
+ * GET /devices/:id/info both record, and two read-compare-inserts racing on
+ * an update would log (and emit) it twice.
+ *
+ * This history is the only place the CURRENT firmware is kept: the registry
+ * row's firmware_version is what the discovery probe saw when the device was
+ * claimed, and is not refreshed (the registry is core-owned; see the readCore
+ * grant).
+ * @returns {Promise<{changed:boolean, from:object|null, to:object|null}>}
+ */
+export async function recordFirmware(ctx, device, info) {
+  const firmware = firmwareFromInfo(info);
+  if (!firmware) return { changed: false, from: null, to: null };
+  const deviceId = device.id || device.device_id;
+  return withDeviceLock(`firmware:${deviceId}`, () => appendFirmware(ctx, device, deviceId, firmware));
+}
+
+async function appendFirmware(ctx, device, deviceId, firmware) {
+  const rows = (await ctx.data.query(FIRMWARE_TABLE).where('device_id', '=', deviceId).get()) || [];
+  const [latest] = sortHistory(rows);
+  if (latest && !firmwareChanged(latest, firmware)) return { changed: false, from: latest, to: latest };
+
+  const now = new Date().toISOString();
+  const row = {
+    id: `${deviceId}|${now}`, device_id: deviceId, ...firmware, first_seen: now,
+  };
+  await ctx.data.query(FIRMWARE_TABLE).insert(row);
+  if (!latest) return { changed: false, from: null, to: row };
+
+  const deviceName = device.friendly_name || device.name || deviceId;
+  ctx.log(`Firmware on ${deviceName} changed: ${formatFirmware(latest)} → ${formatFirmware(firmware)}`, 'info');
+  const payload = {
+    deviceId,
+    device_id: deviceId,
+    device_name: deviceName,
+    from_version: latest.version,
+    from_build: latest.build || null,
+    to_version: firmware.version,
+    to_build: firmware.build,
+  };
+  ctx.emit('roku:firmware-changed', payload);
+  ctx.broadcast('roku:firmware-changed', payload);
+  return { changed: true, from: latest, to: row };
+}
+
+/** A device's firmware history, newest first; [] when unreadable. */
+async function readFirmwareHistory(ctx, deviceId) {
+  try {
+    const rows = await ctx.data.query(FIRMWARE_TABLE).where('device_id', '=', deviceId).get();
+    return sortHistory(rows).map((row) => ({
+      version: row.version, build: row.build || null, ui_version: row.ui_version || null, first_seen: row.first_seen,
+    }));
+  } catch (err) {
+    ctx.log(`Failed to read ${FIRMWARE_TABLE}: ${err.message}`, 'warn');
+    return [];
+  }
+}
+
+// ============================================
+// Reboot detection (reboots.js)
+// ============================================
+
+// device id -> last uptime sample { uptime, at }. In memory only: after this
+// extension restarts, a device's first sample is a fresh baseline.
+const uptimeSamples = new Map();
+const uptimeSchedule = new Map();
+// Set by startRebootDetection(); null means reboot detection is off.
+let rebootCtx = null;
+// settings.reboot_scripts — per-profile keypress overrides for rebootDevice().
+let rebootScripts = null;
+// device id -> expiry (ms) of a reboot we commanded; the reboot that
+// recordUptime() sees before then is tagged cause 'command'.
+const expectedReboots = new Map();
+// Set once an insert found roku_reboots created without its `cause` column.
+let rebootTableLacksCause = false;
+
+/**
+ * Detect Roku reboots unless settings.reboot_detection === false. The poll
+ * samples uptime at most every UPTIME_SAMPLE_INTERVAL_MS per device.
+ */
+export async function startRebootDetection(ctx) {
+  stopRebootDetection();
+  let settings = {};
+  try {
+    settings = (await ctx.config.get('settings')) || {};
+  } catch {
+    // unreadable settings → defaults
+  }
+  rebootScripts = settings.reboot_scripts && typeof settings.reboot_scripts === 'object'
+    ? settings.reboot_scripts : null;
+  if (settings.reboot_detection === false) {
+    ctx.log('Reboot detection disabled in settings', 'info');
+    return;
+  }
+  rebootCtx = ctx;
+}
+
+export function stopRebootDetection() {
+  rebootCtx = null;
+  uptimeSchedule.clear();
+  uptimeSamples.clear();
+  expectedReboots.clear();
+  rebootTableLacksCause = false;
+}
+
+/** Sample the device's uptime when it is due. Fire-and-forget from the poll. */
+function ensureUptimeSample(device) {
+  const ctx = rebootCtx;
+  if (!ctx) return;
+  runWhenDue(uptimeSchedule, device.id, async () => {
+    const client = new (await getRokuClient())(device.ip_address);
+    await recordUptime(ctx, device, await client.getUptime());
+  }, {
+    intervalMs: UPTIME_SAMPLE_INTERVAL_MS,
+    retryMs: UPTIME_RETRY_MS,
+    onError: (err) => ctx.log(`Uptime sample of ${device.friendly_name || device.id} failed: ${err.message}`, 'debug'),
+  });
+}
+
+/**
+ * Feed one uptime sample (seconds) for the device. When it is lower than the
+ * previous sample, record a roku_reboots row and emit roku:rebooted.
+ * @returns {Promise<object|null>} the detected reboot, or null
+ */
+export async function recordUptime(ctx, device, uptime, at = Date.now()) {
+  if (!Number.isFinite(uptime)) return null;
+  const deviceId = device.id || device.device_id;
+  const sample = { uptime, at };
+  const reboot = detectReboot(uptimeSamples.get(deviceId), sample);
+  uptimeSamples.set(deviceId, sample);
+  if (!reboot) return null;
+
+  const expected = expectedReboots.get(deviceId);
+  expectedReboots.delete(deviceId);
+  reboot.cause = expected && expected >= at ? 'command' : null;
+  await insertRebootRow(ctx, {
+    id: `${deviceId}|${reboot.rebooted_at}`,
+    device_id: deviceId,
+    ...reboot,
+    detected_at: new Date(at).toISOString(),
+  });
+  const deviceName = device.friendly_name || device.name || deviceId;
+  ctx.log(
+    `${deviceName} ${reboot.cause ? 'restarted on command' : 'rebooted'} around ${reboot.rebooted_at} (uptime ${reboot.previous_uptime}s → ${uptime}s)`,
+    reboot.cause ? 'info' : 'warn',
+  );
+  const payload = {
+    deviceId, device_id: deviceId, device_name: deviceName, ...reboot,
+  };
+  ctx.emit('roku:rebooted', payload);
+  ctx.broadcast('roku:rebooted', payload);
+  return reboot;
+}
+
+/**
+ * Insert a roku_reboots row. The table first shipped without `cause`, and
+ * declared tables are only created when missing (and ctx.data has no ALTER
+ * in the isolated runtime — see init()), so a box that ran that version
+ * keeps the old table: its inserts are retried without `cause` (reads treat
+ * a missing cause as null), with one warning about how to get the column.
+ */
+async function insertRebootRow(ctx, row) {
+  if (!rebootTableLacksCause) {
+    try {
+      await ctx.data.query(REBOOT_TABLE).insert(row);
+      return;
+    } catch (err) {
+      if (!/\bcause\b/.test(err.message)) throw err;
+      rebootTableLacksCause = true;
+      ctx.log(`${REBOOT_TABLE} predates its cause column (${err.message}); recording reboots without it — drop the table to recreate it with the column`, 'warn');
+    }
+  }
+  const legacyRow = { ...row };
+  delete legacyRow.cause;
+  await ctx.data.query(REBOOT_TABLE).insert(legacyRow);
+}
+
+/** Reboot rows (all devices, or one), or [] when unreadable. */
+async function readRebootRows(ctx, deviceId = null) {
+  try {
+    let query = ctx.data.query(REBOOT_TABLE);
+    if (deviceId) query = query.where('device_id', '=', deviceId);
+    const rows = await query.get();
+    return Array.isArray(rows) ? rows : [];
+  } catch (err) {
+    ctx.log(`Failed to read ${REBOOT_TABLE}: ${err.message}`, 'warn');
+    return [];
+  }
+}
+
+// After the last keypress ECP must go away within REBOOT_DOWN_WAIT_MS (else
+// the menu walk missed) and come back within REBOOT_UP_WAIT_MS.
+const REBOOT_DOWN_WAIT_MS = 60 * 1000;
+const REBOOT_UP_WAIT_MS = 3 * 60 * 1000;
+const REBOOT_CHECK_INTERVAL_MS = 2000;
+const REBOOT_PROBE_TIMEOUT_MS = 1500;
+// How long to let a standby Roku light its UI before walking the menu.
+const REBOOT_WAKE_SETTLE_MS = 5000;
+// What the screen must show before the walk's last (confirming) key.
+const REBOOT_SCREEN_TEXT = 'System restart';
+
+function rebootError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Restart a Roku. ECP has no reboot endpoint, so this walks the on-screen
+ * menu to System restart (reboots.js REBOOT_SCRIPTS, by model) and then
+ * verifies it took. The walk's last key confirms, so it is only pressed
+ * once /query/app-ui shows REBOOT_SCREEN_TEXT; otherwise the walk went
+ * somewhere else, and rather than Select whatever is there it presses Home
+ * and throws REBOOT_MENU_NOT_FOUND (502). After the confirm, ECP has to stop
+ * answering within waitDownMs and answer again within waitUpMs. A walk that
+ * never takes ECP down presses Home (to leave the menus) and throws
+ * REBOOT_NOT_STARTED (502); a Roku that does not come back throws
+ * REBOOT_NOT_BACK (504). Callers hold withDeviceLock so nothing else drives
+ * the remote meanwhile. `pace` is a test seam for the delays.
+ * @returns {Promise<{success:true, profile:'tv'|'player', down_after_ms:number,
+ *   back_after_ms:number, uptime:number|null}>}
+ */
+export async function rebootDevice(device, {
+  script = null,
+  waitDownMs = REBOOT_DOWN_WAIT_MS,
+  waitUpMs = REBOOT_UP_WAIT_MS,
+  intervalMs = REBOOT_CHECK_INTERVAL_MS,
+  pace = sleep,
+} = {}) {
+  const deviceId = device.id || device.device_id;
+  const RokuClient = await getRokuClient();
+  const client = new RokuClient(device.ip_address);
+  const info = await client.getDeviceInfo();
+  const profile = rebootProfile(info);
+  const steps = script || rebootScriptFor(info, rebootScripts);
+  // A fresh baseline, so the uptime drop is seen however recent the last sample.
+  if (rebootCtx && info.uptime != null) await recordUptime(rebootCtx, device, Number(info.uptime));
+
+  // Typing (POST /devices/:id/text) queues under its own `text:` lock, so
+  // the walk takes it too: a stray keypress mid-walk would move the cursor
+  // before the confirming key.
+  await withDeviceLock(`text:${deviceId}`, async () => {
+    if (info.powerMode && info.powerMode !== 'PowerOn') {
+      await client.powerOn();
+      await pace(REBOOT_WAKE_SETTLE_MS);
+    }
+    const walk = steps.slice(0, -1);
+    const confirm = steps[steps.length - 1];
+    for (const { key, delayMs } of walk) {
+      // eslint-disable-next-line no-await-in-loop
+      await client.keypress(key);
+      // eslint-disable-next-line no-await-in-loop
+      await pace(delayMs);
+    }
+    const texts = await client.getAppUi().then((ui) => ui.texts, () => []);
+    if (!RokuClient.textsContain(texts, REBOOT_SCREEN_TEXT)) {
+      await client.keypress('Home').catch(() => {});
+      throw rebootError(
+        `${device.friendly_name || device.name || deviceId}: "${REBOOT_SCREEN_TEXT}" is not on screen after the ${profile} menu walk — it may differ on this firmware (settings.reboot_scripts)`,
+        'REBOOT_MENU_NOT_FOUND',
+        502,
+      );
+    }
+    if (rebootCtx) expectedReboots.set(deviceId, Date.now() + waitDownMs + waitUpMs + 60 * 1000);
+    await client.keypress(confirm.key);
+    await pace(confirm.delayMs);
+  });
+
+  const probe = new RokuClient(device.ip_address);
+  probe.setTimeout(REBOOT_PROBE_TIMEOUT_MS);
+  const started = Date.now();
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const up = await probe.getPowerMode().then(() => true, () => false);
+    if (!up) break;
+    if (Date.now() - started >= waitDownMs) {
+      expectedReboots.delete(deviceId);
+      await client.keypress('Home').catch(() => {});
+      throw rebootError(
+        `${device.friendly_name || device.name || deviceId} did not restart — the ${profile} menu path may differ on this firmware (settings.reboot_scripts)`,
+        'REBOOT_NOT_STARTED',
+        502,
+      );
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await pace(intervalMs);
+  }
+  const downAfterMs = Date.now() - started;
+
+  let uptime = null;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    await pace(intervalMs);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      uptime = await probe.getUptime();
+      break;
+    } catch {
+      if (Date.now() - started - downAfterMs >= waitUpMs) {
+        throw rebootError(
+          `${device.friendly_name || device.name || deviceId} went down but did not come back within ${Math.round(waitUpMs / 1000)}s`,
+          'REBOOT_NOT_BACK',
+          504,
+        );
+      }
+    }
+  }
+  const backAfterMs = Date.now() - started;
+  if (rebootCtx && Number.isFinite(uptime)) await recordUptime(rebootCtx, device, uptime);
+  return {
+    success: true, profile, down_after_ms: downAfterMs, back_after_ms: backAfterMs, uptime,
+  };
+}
+
+// ============================================
+// Reachability history (health.js)
+// ============================================
+
+// device id -> health.js history. In memory only: a restart starts empty.
+const deviceHealth = new Map();
+
+/** Feed one ECP read outcome for the device into its history. */
+export function recordReachability(deviceId, { ok, latencyMs = null, error = null }, at = Date.now()) {
+  if (!deviceId) return;
+  let history = deviceHealth.get(deviceId);
+  if (!history) {
+    history = createHistory();
+    deviceHealth.set(deviceId, history);
+  }
+  addSample(history, {
+    at, ok, latencyMs, error,
+  });
+}
+
+/** Score/status for the device plus a `points`-point sparkline over `spanMs`. */
+export function deviceHealthSummary(deviceId, { now = Date.now(), spanMs, points } = {}) {
+  const history = deviceHealth.get(deviceId);
+  return {
+    ...healthScore(history, { now }),
+    series: healthSeries(history, { now, spanMs, points }),
+  };
+}
+
+// ============================================
+// IP rebinding (rebind.js)
+// ============================================
+
+// device id -> { running, nextAt } — when a failing device may be searched for.
+const rebindSchedule = new Map();
+// Set by startIpRebind(); null means automatic rebinding is off.
+let rebindCtx = null;
+const REBIND_PROBE_TIMEOUT_MS = 800;
+// How long rebindDevice waits for the platform's claim to move the row.
+const REBIND_CLAIM_WAIT_MS = 5000;
+const REBIND_CLAIM_CHECK_MS = 250;
+// serial -> { ip, at }: where device-discovery last had us probe a Roku. Every
+// candidate with port 8060 open goes through the manifest probe, so this is
+// device-discovery's candidate list as far as Rokus go, without reading its
+// discovery_candidates table.
+const probedAddresses = new Map();
+
+/**
+ * Re-locate Rokus whose IP changed unless settings.ip_rebind === false. The
+ * poll starts a search once a device has failed for REBIND_AFTER_MS.
+ */
+export async function startIpRebind(ctx) {
+  stopIpRebind();
+  let settings = {};
+  try {
+    settings = (await ctx.config.get('settings')) || {};
+  } catch {
+    // unreadable settings → defaults
+  }
+  if (settings.ip_rebind === false) {
+    ctx.log('Automatic IP rebinding disabled in settings', 'info');
+    return;
+  }
+  rebindCtx = ctx;
+}
+
+export function stopIpRebind() {
+  rebindCtx = null;
+  rebindSchedule.clear();
+}
+
+/** Search for the device when it has been unreachable long enough. Fire-and-forget from the poll. */
+function ensureIpRebind(device) {
+  const ctx = rebindCtx;
+  if (!ctx || !device.serial_number) return;
+  const since = openOutageStart(deviceHealth.get(device.id));
+  if (since == null || Date.now() - since < REBIND_AFTER_MS) return;
+  runWhenDue(rebindSchedule, device.id, async () => {
+    const moved = await relocateDevice(ctx, device);
+    if (!moved) ctx.log(`${device.friendly_name || device.id} is unreachable and was not found at another address`, 'debug');
+  }, {
+    intervalMs: REBIND_RETRY_MS,
+    retryMs: REBIND_RETRY_MS,
+    onError: (err) => ctx.log(`IP rebind of ${device.friendly_name || device.id} failed: ${err.message}`, 'warn'),
+  });
+}
+
+/** The serial of the Roku answering ECP at `ip`, or null. */
+async function probeSerial(ip) {
+  try {
+    // One-off: most sweep addresses are not a Roku we will talk to again.
+    const client = new (await getRokuClient())(ip);
+    client.setPooled(false);
+    client.setTimeout(REBIND_PROBE_TIMEOUT_MS);
+    const info = await client.getDeviceInfo();
+    return info.serialNumber || info.deviceId || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find a registered Roku by serial at a new address: an SSDP answer, then the
+ * address device-discovery last had us probe it at, then a unicast sweep of
+ * the old IP's /24 (`sweep` false skips it). Every lead is confirmed over ECP
+ * before the registry row is rebound. `search` and `probe` are test seams.
+ * @returns {Promise<{old_ip:string, new_ip:string, method:string}|null>}
+ */
+export async function relocateDevice(ctx, device, { search = searchRokus, probe = probeSerial, sweep = true } = {}) {
+  const serial = device.serial_number;
+  if (!serial) return null;
+  const tried = new Set([device.ip_address]);
+  const confirm = async (ip) => {
+    if (!ip || tried.has(ip)) return false;
+    tried.add(ip);
+    return (await probe(ip)) === serial;
+  };
+
+  const answers = await search().catch(() => []);
+  const ssdpIp = answers.find((r) => r.serial === serial)?.ip;
+  if (await confirm(ssdpIp)) return rebindDevice(ctx, device, ssdpIp, 'ssdp');
+
+  const candidateIp = probedAddresses.get(serial)?.ip;
+  if (await confirm(candidateIp)) return rebindDevice(ctx, device, candidateIp, 'candidate');
+
+  if (!sweep) return null;
+  const hosts = subnetHosts(device.ip_address).filter((ip) => !tried.has(ip));
+  const swept = await sweepForSerial(hosts, serial, probe);
+  return swept ? rebindDevice(ctx, device, swept, 'sweep') : null;
+}
+
+/**
+ * Point the device's registry row at `newIp` and emit roku:ip-changed. The
+ * registry is core-owned (we only hold a readCore grant), so the new address
+ * goes through the SAME pipeline as POST /devices/add: a candidate-matched
+ * event the platform DeviceTypeHost probes, admits (via_scan — the device was
+ * already approved) and claims; the probe answers with the same
+ * `roku:<serial>` id, so the claim updates the existing row. Waits up to
+ * REBIND_CLAIM_WAIT_MS for the row to show the new address and throws if it
+ * doesn't. The row object handed in (the poll's, or a findDevice() result)
+ * is updated too, so the current poll cycle already uses the new address.
+ */
+async function rebindDevice(ctx, device, newIp, method) {
+  const deviceId = device.id || device.device_id;
+  const oldIp = device.ip_address;
+  ctx.emit('discovery:candidate-matched', {
+    matchedInterest: { extensionName: 'roku-integration', deviceType: 'roku' },
+    candidate: {
+      ip: newIp,
+      ip_address: newIp,
+      mac_address: null,
+      discovery_method: 'rebind',
+      serial_number: device.serial_number,
+      device_type: 'Roku',
+      via_scan: true,
+      raw_data: { rebind: { device_id: deviceId, old_ip: oldIp, method } },
+    },
+  });
+  const deadline = Date.now() + REBIND_CLAIM_WAIT_MS;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const row = await findDevice(ctx, deviceId);
+    if (row && row.ip_address === newIp) break;
+    if (Date.now() >= deadline) {
+      throw new Error(`Registry claim of ${newIp} for ${deviceId} did not complete`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((r) => { setTimeout(r, REBIND_CLAIM_CHECK_MS); });
+  }
+  device.ip_address = newIp;
+  rebindSchedule.delete(deviceId);
+
+  const deviceName = device.friendly_name || device.name || deviceId;
+  ctx.log(`${deviceName} moved from ${oldIp} to ${newIp} (found via ${method}); registry updated`, 'info');
+  const payload = {
+    deviceId, device_id: deviceId, device_name: deviceName, old_ip: oldIp, new_ip: newIp, method,
+  };
+  ctx.emit('roku:ip-changed', payload);
+  ctx.broadcast('roku:ip-changed', payload);
+  return { old_ip: oldIp, new_ip: newIp, method };
+}
+
+// ============================================
+// App icons
+// ============================================
+
+const ICON_FETCH_TIMEOUT_MS = 3000;
+
+// Set by startIconCache(); null (the host gave no data directory) means icons
+// are fetched from the device on every request, uncached.
+let iconCache = null;
+// iconKey-ish app@version strings with a background revalidation in flight.
+const iconRefreshes = new Set();
+
+/**
+ * Keep app icons under `<ctx.dataDir>/icons`. Feature-detected with `in`, like
+ * ctx.platform in init(): an isolated ctx throws for keys it doesn't have.
+ */
+export function startIconCache(ctx) {
+  const dataDir = 'dataDir' in ctx ? ctx.dataDir : null;
+  setIconCache(dataDir ? new IconCache({ dir: path.join(dataDir, 'icons') }) : null);
+  if (!dataDir) ctx.log('Icon cache: no data directory from the host, icons are not cached', 'warn');
+}
+
+/** Swap the icon cache (tests). */
+export function setIconCache(cache) {
+  iconCache = cache;
+  iconRefreshes.clear();
+}
+
+/** `appId`'s version in `deviceId`'s last app inventory snapshot, or null. */
+async function inventoryVersion(ctx, deviceId, appId) {
+  try {
+    const rows = await ctx.data.query(APP_INVENTORY_TABLE).where('device_id', '=', deviceId).get();
+    return (rows || []).find((row) => String(row.app_id) === appId)?.version || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /query/icon/{appId} from the device. With `etag` it is a conditional
+ * GET and a 304 resolves { notModified: true }. HTTP errors carry err.status.
+ */
+async function fetchDeviceIcon(ip, appId, etag = null) {
+  const response = await fetch(`http://${ip}:${ROKU_ECP_PORT}/query/icon/${encodeURIComponent(appId)}`, {
+    headers: etag ? { 'If-None-Match': etag } : {},
+    signal: AbortSignal.timeout(ICON_FETCH_TIMEOUT_MS),
+  });
+  if (response.status === 304) return { notModified: true };
+  if (!response.ok) {
+    const err = new Error(`HTTP ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || 'image/jpeg',
+    etag: response.headers.get('etag'),
+  };
+}
+
+/** Revalidate a stale cached icon against `device`; best-effort, deduped. */
+function refreshIconInBackground(ctx, device, appId, version, etag) {
+  const key = `${appId}@${version || ''}`;
+  if (iconRefreshes.has(key)) return;
+  iconRefreshes.add(key);
+  const cache = iconCache;
+  fetchDeviceIcon(device.ip_address, appId, etag)
+    .then((icon) => (icon.notModified ? cache.touch(appId, version) : cache.put(appId, version, icon)))
+    .catch((err) => ctx.log(`Icon cache: refresh of ${appId} from ${device.name} failed: ${err.message}`, 'debug'))
+    .finally(() => iconRefreshes.delete(key));
+}
+
+// ============================================
+// Wake-on-LAN (deep standby)
+// ============================================
+
+// How long a woken Roku gets to start answering ECP again (deep standby
+// resume is typically 10–20s) and how often we check.
+const WOL_WAKE_TIMEOUT_MS = 40 * 1000;
+const WOL_CHECK_INTERVAL_MS = 2000;
+// The first PowerOn gets a short timeout: a device in deep standby never
+// answers, and the magic packet shouldn't wait out the 5s default twice.
+const POWER_ON_PROBE_TIMEOUT_MS = 2500;
+
+// serial -> MACs worth waking, in-use interface first. Filled at probe time;
+// the registry row's mac_address (persisted from the probe) covers restarts.
+const wakeMacsBySerial = new Map();
+
+/**
+ * Record the MACs a magic packet can wake for `serial` from device-info:
+ * the in-use interface first, then ethernet (wired NICs wake from standby),
+ * then Wi-Fi only when the model reports supports-wake-on-wlan.
+ */
+function rememberWakeMacs(serial, info) {
+  const wifi = normalizeMac(info.wifiMac);
+  const ethernet = normalizeMac(info.ethernetMac);
+  const inUse = info.networkType === 'wifi' ? wifi : ethernet;
+  const macs = [...new Set([
+    inUse, ethernet, info.supportsWakeOnWlan ? wifi : null,
+  ].filter(Boolean))];
+  if (macs.length > 0) wakeMacsBySerial.set(serial, macs);
+  return macs;
+}
+
+/** MACs to wake a registry device: its persisted mac_address + probed ones. */
+function wakeMacsFor(device) {
+  return [...new Set([
+    normalizeMac(device.mac_address),
+    ...(wakeMacsBySerial.get(device.serial_number) || []),
+  ].filter(Boolean))];
+}
+
+/**
+ * Power on, waking the Roku over the network first when ECP doesn't answer
+ * (deep standby): magic packet to the device's subnet broadcast, wait for
+ * ECP to come back, then PowerOn. The first attempt is a single PowerOn
+ * keypress — RokuClient.powerOn()'s Home fallback would sit out a second
+ * timeout on a sleeping device before the packet goes out. An HTTP error
+ * means ECP is up and refused the key: Home is tried instead (boxes without
+ * PowerOn), never "asleep". `wake` is a test seam.
+ * @returns {Promise<{success: true, woke: boolean}>}
+ */
+export async function powerOnDevice(device, { wake = sendMagicPackets, waitMs = WOL_WAKE_TIMEOUT_MS } = {}) {
+  const RokuClient = await getRokuClient();
+  const client = new RokuClient(device.ip_address);
+  client.setTimeout(POWER_ON_PROBE_TIMEOUT_MS);
+  try {
+    await client.keypress('PowerOn');
+    return { success: true, woke: false };
+  } catch (err) {
+    if (/^HTTP \d/.test(err.message)) {
+      await client.keypress('Home');
+      return { success: true, woke: false };
+    }
+    const macs = wakeMacsFor(device);
+    if (macs.length === 0) throw err;
+    await wake(macs, { address: broadcastAddressFor(device.ip_address) });
+    const deadline = Date.now() + waitMs;
+    for (;;) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await client.getPowerMode();
+        break;
+      } catch {
+        if (Date.now() >= deadline) {
+          throw new Error(`Sent Wake-on-LAN but ${device.ip_address} did not answer within ${Math.round(waitMs / 1000)}s`);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => { setTimeout(resolve, WOL_CHECK_INTERVAL_MS); });
+      }
+    }
+    client.setTimeout(5000);
+    await client.powerOn();
+    return { success: true, woke: true };
+  }
+}
+
+// ============================================
+// BrightScript debug consoles (port 8085)
+// ============================================
+
+// Recent console output kept per device for post-mortems, and the crash
+// reports (parsed backtraces) kept alongside it.
+const DEBUG_CONSOLE_BUFFER_LINES = 500;
+const DEBUG_CONSOLE_MAX_CRASHES = 10;
+// Developer mode off or 8085 refused → try again this much later; a console
+// that DROPPED (reboot, channel sideload) is reattached sooner.
+const DEBUG_CONSOLE_RETRY_MS = 10 * 60 * 1000;
+const DEBUG_CONSOLE_RECONNECT_MS = 30 * 1000;
+
+// device id -> { ip, console, status: 'connecting'|'attached'|'down', retryAt,
+//                lines: [{ at, text }], crashes: [{ at, error, …, lines }] }
+// Buffers outlive reconnects — the output before a crash-reboot is the point.
+const debugConsoles = new Map();
+// Set by startDebugConsoles(); null means consoles are off.
+let debugConsoleCtx = null;
+let createDebugConsole = (ip, opts) => new DebugConsole(ip, opts);
+
+/**
+ * Enable debug consoles when settings.debug_console === true. Opt-in: an
+ * attached console answers a crashed player's debugger prompt with `exit`,
+ * which is only wanted on screens someone is developing for. Like ECP-2
+ * sessions they attach lazily from each device's poll. `createConsole` is a
+ * test seam for the DebugConsole constructor.
+ */
+export async function startDebugConsoles(ctx, { createConsole } = {}) {
+  stopDebugConsoles();
+  if (createConsole) createDebugConsole = createConsole;
+  let settings = {};
+  try {
+    settings = (await ctx.config.get('settings')) || {};
+  } catch {
+    // unreadable settings → defaults
+  }
+  if (settings.debug_console !== true) {
+    ctx.log('BrightScript debug consoles off (settings.debug_console is not true)', 'debug');
+    return;
+  }
+  debugConsoleCtx = ctx;
+}
+
+export function stopDebugConsoles() {
+  debugConsoleCtx = null;
+  for (const entry of debugConsoles.values()) {
+    if (entry.console) entry.console.close();
+  }
+  debugConsoles.clear();
+  createDebugConsole = (ip, opts) => new DebugConsole(ip, opts);
+}
+
+/**
+ * Attach (or reattach, once its retry time has passed) to the device's
+ * 8085 console when device-info reports developer mode on — nothing else
+ * serves one, and there is no point knocking on 8085 of every Roku on the
+ * LAN. Fire-and-forget from the poll.
+ */
+function ensureDebugConsole(device) {
+  const ctx = debugConsoleCtx;
+  if (!ctx) return;
+  let entry = debugConsoles.get(device.id);
+  if (entry && entry.ip === device.ip_address) {
+    if (entry.status !== 'down' || Date.now() < entry.retryAt) return;
+  }
+  if (entry?.console) entry.console.close();
+  if (!entry) {
+    entry = { lines: [], crashes: [] };
+    debugConsoles.set(device.id, entry);
+  }
+  Object.assign(entry, {
+    ip: device.ip_address, console: null, status: 'connecting', retryAt: 0,
+  });
+  const name = device.friendly_name || device.name || device.id;
+  const current = () => debugConsoles.get(device.id) === entry && entry.ip === device.ip_address;
+  attachDebugConsole(ctx, device, entry, current).catch((err) => {
+    if (!current() || entry.status !== 'connecting') return;
+    entry.status = 'down';
+    entry.retryAt = Date.now() + DEBUG_CONSOLE_RETRY_MS;
+    ctx.log(`Debug console unavailable on ${name} (${err.message})`, 'debug');
+  });
+}
+
+async function attachDebugConsole(ctx, device, entry, current) {
+  const info = await new (await getRokuClient())(device.ip_address).getDeviceInfo();
+  if (!current()) return;
+  if (!info.developerEnabled) throw new Error('developer mode is off');
+  const name = device.friendly_name || device.name || device.id;
+  const con = createDebugConsole(device.ip_address, {
+    onLines: (texts) => {
+      if (entry.console !== con) return;
+      const at = Date.now();
+      const lines = texts.map((text) => ({ at, text }));
+      entry.lines.push(...lines);
+      if (entry.lines.length > DEBUG_CONSOLE_BUFFER_LINES) {
+        entry.lines.splice(0, entry.lines.length - DEBUG_CONSOLE_BUFFER_LINES);
+      }
+      ctx.broadcast('roku:console-lines', { deviceId: device.id, lines });
+    },
+    onCrash: (report) => {
+      if (entry.console !== con) return;
+      const crash = { at: new Date().toISOString(), ...report };
+      entry.crashes.push(crash);
+      if (entry.crashes.length > DEBUG_CONSOLE_MAX_CRASHES) entry.crashes.shift();
+      const where = crash.file ? ` at ${crash.file}(${crash.line})` : '';
+      ctx.log(`BrightScript crash on ${name}: ${crash.error || 'debugger entered'}${where}`, 'warn');
+      ctx.broadcast('roku:player-crashed', { deviceId: device.id, crash });
+    },
+    onClose: () => {
+      if (entry.console !== con) return;
+      entry.status = 'down';
+      entry.retryAt = Date.now() + DEBUG_CONSOLE_RECONNECT_MS;
+      ctx.log(`Debug console on ${name} dropped; reattaching`, 'debug');
+    },
+  });
+  entry.console = con;
+  await con.connect().catch((err) => {
+    if (entry.console === con) throw err;
+  });
+  if (entry.console !== con || debugConsoles.get(device.id) !== entry) {
+    con.close();
+    return;
+  }
+  entry.status = 'attached';
+  ctx.log(`Debug console attached on ${name}`, 'info');
+}
+
+/** The device's console buffer and crash reports, or null when never attached. */
+export function debugConsoleFor(deviceId) {
+  const entry = debugConsoles.get(deviceId);
+  if (!entry) return null;
+  return {
+    status: entry.status,
+    lines: entry.lines.slice(),
+    crashes: entry.crashes.slice(),
+  };
+}
+
 // ============================================
 // Extension Definition
 // ============================================
@@ -475,6 +2154,7 @@ export default {
 
   // === npm dependencies ===
   dependencies: {
+    undici: '^6.29.0',
     xml2js: '^0.6.2',
   },
 
@@ -514,9 +2194,55 @@ export default {
   },
 
   // === Database tables ===
-  // No private tables. device_registry (core) is the single source of truth
-  // for Roku devices; the legacy `roku_devices` mirror table has been removed
-  // (D4) — see init() for the one-time DROP TABLE IF EXISTS.
+  // device_registry (core) is the single source of truth for Roku devices;
+  // the legacy `roku_devices` mirror table has been removed (D4) — see init()
+  // for the one-time DROP TABLE IF EXISTS. Private tables: the installed-app
+  // inventory (appInventory.js), a row per (device, app) rewritten by
+  // snapshotAppInventory, and the firmware history and reboot log below.
+  tables: {
+    roku_app_inventory: {
+      columns: {
+        id: 'TEXT PRIMARY KEY', // "<device_id>|<app_id>"
+        device_id: 'TEXT NOT NULL',
+        app_id: 'TEXT NOT NULL',
+        name: 'TEXT',
+        type: 'TEXT',
+        version: 'TEXT',
+        first_seen: 'TEXT NOT NULL',
+        updated_at: 'TEXT NOT NULL',
+      },
+      indexes: [['device_id'], ['app_id']],
+    },
+    // Append-only: a row per firmware a device has been seen running
+    // (firmware.js), the first being the baseline from when tracking began.
+    roku_firmware_history: {
+      columns: {
+        id: 'TEXT PRIMARY KEY', // "<device_id>|<first_seen>"
+        device_id: 'TEXT NOT NULL',
+        version: 'TEXT NOT NULL',
+        build: 'TEXT',
+        ui_version: 'TEXT',
+        first_seen: 'TEXT NOT NULL',
+      },
+      indexes: [['device_id']],
+    },
+    // A row per detected reboot (reboots.js). rebooted_at is estimated from
+    // the uptime of the sample that noticed it.
+    roku_reboots: {
+      columns: {
+        id: 'TEXT PRIMARY KEY', // "<device_id>|<rebooted_at>"
+        device_id: 'TEXT NOT NULL',
+        rebooted_at: 'TEXT NOT NULL',
+        detected_at: 'TEXT NOT NULL',
+        previous_uptime: 'INTEGER',
+        uptime: 'INTEGER',
+        // 'command' for rebootDevice(); NULL when unplanned. Added after the
+        // table first shipped — insertRebootRow copes with a table without it.
+        cause: 'TEXT',
+      },
+      indexes: [['device_id']],
+    },
+  },
 
   // === Device integration ===
   devices: {
@@ -525,10 +2251,14 @@ export default {
         ports: [ROKU_ECP_PORT],
         probe: async (ip) => {
           try {
+            // One-off: device-discovery hands us every port-8060 candidate.
             const client = new (await getRokuClient())(ip);
+            client.setPooled(false);
             const info = await client.getDeviceInfo();
             const serial = info.serialNumber || info.deviceId;
             if (!serial) return null;
+            const macs = rememberWakeMacs(serial, info);
+            probedAddresses.set(serial, { ip, at: Date.now() });
             return {
               id: `roku:${serial}`,
               name: info.friendlyDeviceName || `Roku ${info.modelName}`,
@@ -536,6 +2266,9 @@ export default {
               model: info.modelName,
               serial,
               firmware: info.softwareVersion,
+              // The MAC of the interface in use — what a magic packet must
+              // target to wake it (see powerOnDevice).
+              mac_address: macs[0] || null,
             };
           } catch {
             return null;
@@ -575,49 +2308,24 @@ export default {
             name: device.friendly_name || device.name || device.id,
           },
         ],
+        // With a live ECP-2 session (ecpSession.js) the device pushes change
+        // notifications and this serves the session's snapshot instead of
+        // hitting the Roku; without one it reads ECP over HTTP as before.
         fn: async (device) => {
-          const ip = device.ip_address;
-          if (!ip) throw new Error(`Device ${device.id} missing ip_address`);
-
-          const client = new (await getRokuClient())(ip);
-          // P1 perf (audit 2026-07-04): the poll loop runs every 750ms across
-          // up to 7 live Rokus. RokuClient's 5s default timeout is sized for
-          // interactive commands (keypress/launch/etc.) and would let one
-          // stuck/unreachable device hold a poll slot for up to 5s; drop it
-          // to ~1.2s here so a dead device fails fast and doesn't starve the
-          // schedule. Interactive commands elsewhere keep the 5s default.
-          client.setTimeout(1200);
-          // P1 perf: getPowerMode() regex-extracts just <power-mode> instead
-          // of running the full xml2js parse getDeviceInfo() does to build
-          // its ~40-field object. Static fields (serial/model/firmware/etc.)
-          // never change poll-to-poll — they're captured once at
-          // discovery/probe time and already live in device_registry.
-          const [powerMode, activeApp] = await Promise.all([
-            client.getPowerMode(),
-            client.getActiveApp(),
-          ]);
-
-          const powerState = interpretPowerState(powerMode, activeApp);
-          const mainState = determineMainState(powerState, activeApp);
-          const slug = slugify(device.friendly_name || device.name || device.id);
-
-          return {
-            [`media_player.${slug}`]: {
-              state: mainState,
-              attributes: {
-                power_mode: powerMode,
-                power_state: powerState,
-                active_app: activeApp?.name || 'Home',
-                active_app_id: activeApp?.id || null,
-                app_type: activeApp?.type || null,
-                app_version: activeApp?.version || null,
-                is_screensaver: activeApp?.type === 'screensaver',
-                screensaver_name: activeApp?.type === 'screensaver' ? activeApp.name : null,
-                device_type: 'roku',
-                friendly_name: device.friendly_name,
-              },
-            },
-          };
+          if (!device.ip_address) throw new Error(`Device ${device.id} missing ip_address`);
+          ensureEcpSession(device);
+          ensureDebugConsole(device);
+          ensureAppInventory(device);
+          ensureFirmwareCheck(device);
+          ensureUptimeSample(device);
+          ensureIpRebind(device);
+          const live = ecpSnapshot(device);
+          if (live) {
+            // No round trip to time, but a live session is a device answering.
+            recordReachability(device.id, { ok: true });
+            return live;
+          }
+          return readRokuState(device);
         },
       },
 
@@ -625,15 +2333,11 @@ export default {
         turn_on: {
           label: 'Power on Roku',
           category: 'media',
-          description: 'Wake up a Roku device from standby',
+          description: 'Wake up a Roku device from standby (over Wake-on-LAN when it is in deep standby)',
           fields: {
             device_id: { type: 'device', label: 'Roku Device', required: true },
           },
-          fn: async (device) => {
-            const client = new (await getRokuClient())(device.ip_address);
-            await client.powerOn();
-            return { success: true };
-          },
+          fn: async (device) => powerOnDevice(device),
         },
         turn_off: {
           label: 'Power off Roku',
@@ -648,6 +2352,15 @@ export default {
             return { success: true };
           },
         },
+        reboot: {
+          label: 'Restart Roku',
+          category: 'media',
+          description: 'Restart a Roku through Settings → System → System restart and wait for it to come back (takes 1-3 minutes)',
+          fields: {
+            device_id: { type: 'device', label: 'Roku Device', required: true },
+          },
+          fn: async (device) => withDeviceLock(device.id, () => rebootDevice(device)),
+        },
         launch_app: {
           label: 'Launch app on Roku',
           category: 'media',
@@ -660,11 +2373,68 @@ export default {
               required: true,
               source: '/api/extensions/roku-integration/devices/{{device_id}}/apps',
             },
+            // Optional deep link: both or neither (see deepLinks.js).
+            content_id: { type: 'text', label: 'Content ID (deep link, optional)' },
+            media_type: {
+              type: 'select',
+              label: 'Media type (deep link)',
+              options: DEEP_LINK_MEDIA_TYPES.map((t) => ({ value: t, label: t })),
+            },
+          },
+          fn: async (device, { app_id, content_id, media_type }) => {
+            const params = buildDeepLinkParams({ contentId: content_id, mediaType: media_type });
+            const client = new (await getRokuClient())(device.ip_address);
+            await client.launchApp(app_id, params);
+            return { success: true, app_id, ...params };
+          },
+        },
+        install_app: {
+          label: 'Install app on Roku',
+          category: 'media',
+          description: 'Install a channel from the Roku store if it is missing (free channels; confirms via the installed-app list)',
+          fields: {
+            device_id: { type: 'device', label: 'Roku Device', required: true },
+            app_id: { type: 'text', label: 'Channel ID (store id, e.g. 837)', required: true },
           },
           fn: async (device, { app_id }) => {
+            const result = await withDeviceLock(device.id, () => ensureAppInstalled(device, app_id));
+            if (result.status === 'unconfirmed') {
+              throw new Error(`Channel ${app_id} did not appear on ${device.friendly_name || device.id} — it may need a PIN or payment on screen`);
+            }
+            return { success: true, ...result };
+          },
+        },
+        search: {
+          label: 'Search on Roku',
+          category: 'media',
+          description: 'Open Roku universal search for a title, optionally launching it in a given channel',
+          fields: {
+            device_id: { type: 'device', label: 'Roku Device', required: true },
+            keyword: { type: 'text', label: 'Search for', required: true, placeholder: 'Bluey' },
+            type: {
+              type: 'select',
+              label: 'Type',
+              options: ROKU_SEARCH_TYPES.map((t) => ({ value: t, label: t })),
+            },
+            provider_id: { type: 'text', label: 'Provider channel id(s) (comma-separated, optional)' },
+            season: { type: 'text', label: 'Season (tv-show, optional)' },
+            launch: {
+              type: 'select',
+              label: 'Launch first match',
+              options: [
+                { value: 'false', label: 'No — show results' },
+                { value: 'true', label: 'Yes — needs a provider' },
+              ],
+            },
+          },
+          fn: async (device, {
+            keyword, type, provider_id, season, launch,
+          }) => {
             const client = new (await getRokuClient())(device.ip_address);
-            await client.launchApp(app_id);
-            return { success: true, app_id };
+            const result = await client.search(keyword, {
+              type, providerId: provider_id, season, launch,
+            });
+            return { success: true, keyword: result.keyword, params: result.params };
           },
         },
         send_keypress: {
@@ -701,6 +2471,57 @@ export default {
             return { success: true, key };
           },
         },
+        send_input: {
+          label: 'Send input to running Roku channel',
+          category: 'media',
+          description: 'Deliver key=value params to the channel on screen (ECP /input) without relaunching it',
+          fields: {
+            device_id: { type: 'device', label: 'Roku Device', required: true },
+            params: {
+              type: 'text', label: 'Parameters (key=value&…)', required: true, placeholder: 'command=playlist&id=42',
+            },
+          },
+          fn: async (device, { params }) => {
+            const client = new (await getRokuClient())(device.ip_address);
+            const result = await client.sendInput(parseInputParams(params));
+            return { success: true, params: result.params };
+          },
+        },
+        select_source: {
+          label: 'Switch Roku TV input',
+          category: 'media',
+          description: 'Switch a Roku TV to an HDMI, AV or antenna input',
+          fields: {
+            device_id: { type: 'device', label: 'Roku TV', required: true },
+            source: {
+              type: 'select',
+              label: 'Input',
+              required: true,
+              source: '/api/extensions/roku-integration/devices/{{device_id}}/sources',
+            },
+          },
+          fn: async (device, { source }) => {
+            const client = new (await getRokuClient())(device.ip_address);
+            await client.keypress(sourceKey(source));
+            return { success: true, source };
+          },
+        },
+        tune_channel: {
+          label: 'Tune Roku TV channel',
+          category: 'media',
+          description: 'Switch a Roku TV to its antenna/cable tuner and tune a channel',
+          fields: {
+            device_id: { type: 'device', label: 'Roku TV', required: true },
+            channel: {
+              type: 'text', label: 'Channel number', required: true, placeholder: '7.1',
+            },
+          },
+          fn: async (device, { channel }) => {
+            const client = new (await getRokuClient())(device.ip_address);
+            const result = await client.tuneChannel(channel);
+            return { success: true, channel: result.channel };
+          },
+        },
       },
     },
   },
@@ -758,6 +2579,58 @@ export default {
         ],
         output: ['entity_id', 'old_state', 'new_state', 'attributes'],
       },
+      {
+        key: 'event',
+        label: 'Roku app installed',
+        description: 'When a channel shows up on a Roku device (seen by the periodic app inventory)',
+        fields: [
+          { key: 'device_id', type: 'device', label: 'Roku Device (optional - blank for any)' },
+          { key: 'app_id', type: 'text', label: 'App ID (optional - blank for any)' },
+          { key: 'event', type: 'hidden', default: 'roku:app-installed' },
+        ],
+        output: ['device_id', 'device_name', 'app_id', 'app_name', 'version'],
+      },
+      {
+        key: 'event',
+        label: 'Roku app removed',
+        description: 'When a channel disappears from a Roku device (seen by the periodic app inventory)',
+        fields: [
+          { key: 'device_id', type: 'device', label: 'Roku Device (optional - blank for any)' },
+          { key: 'app_id', type: 'text', label: 'App ID (optional - blank for any)' },
+          { key: 'event', type: 'hidden', default: 'roku:app-removed' },
+        ],
+        output: ['device_id', 'device_name', 'app_id', 'app_name', 'version'],
+      },
+      {
+        key: 'event',
+        label: 'Roku firmware changed',
+        description: 'When a Roku device is seen running a new Roku OS version or build (e.g. after an overnight auto-update)',
+        fields: [
+          { key: 'device_id', type: 'device', label: 'Roku Device (optional - blank for any)' },
+          { key: 'event', type: 'hidden', default: 'roku:firmware-changed' },
+        ],
+        output: ['device_id', 'device_name', 'from_version', 'from_build', 'to_version', 'to_build'],
+      },
+      {
+        key: 'event',
+        label: 'Roku rebooted',
+        description: 'When a Roku device restarted (its uptime went backwards) — power loss, overheating, a crash, an update, or the Restart command (cause "command")',
+        fields: [
+          { key: 'device_id', type: 'device', label: 'Roku Device (optional - blank for any)' },
+          { key: 'event', type: 'hidden', default: 'roku:rebooted' },
+        ],
+        output: ['device_id', 'device_name', 'rebooted_at', 'previous_uptime', 'uptime', 'cause'],
+      },
+      {
+        key: 'event',
+        label: 'Roku IP address changed',
+        description: 'When a Roku was found at a new IP address (its DHCP lease changed) and its registry entry was updated',
+        fields: [
+          { key: 'device_id', type: 'device', label: 'Roku Device (optional - blank for any)' },
+          { key: 'event', type: 'hidden', default: 'roku:ip-changed' },
+        ],
+        output: ['device_id', 'device_name', 'old_ip', 'new_ip', 'method'],
+      },
     ],
   },
 
@@ -808,6 +2681,7 @@ export default {
               model: d.model,
               manufacturer: d.manufacturer,
               serial_number: d.serial_number,
+              // As probed at discovery; roku_firmware_history has the current one.
               firmware_version: d.firmware_version,
               online: d.online,
               power_mode: stateInfo?.power_mode || null,
@@ -845,12 +2719,11 @@ export default {
       await client.keypress(key);
       return { success: true };
     },
+    // Same path as the turn_on command: wakes a Roku in deep standby.
     powerOn: async (ctx, { deviceId }) => {
       const device = await findDevice(ctx, deviceId);
       if (!device) throw new Error(`Device ${deviceId} not found`);
-      const client = new (await getRokuClient())(device.ip_address);
-      await client.powerOn();
-      return { success: true };
+      return powerOnDevice(device);
     },
     powerOff: async (ctx, { deviceId }) => {
       const device = await findDevice(ctx, deviceId);
@@ -912,6 +2785,7 @@ export default {
               model: d.model,
               manufacturer: d.manufacturer,
               serial_number: d.serial_number,
+              // As probed at discovery; roku_firmware_history has the current one.
               firmware_version: d.firmware_version,
               online: d.online,
               power_mode: stateInfo?.power_mode || null,
@@ -958,95 +2832,352 @@ export default {
       if (!device) return { success: false, error: 'Device not found', status: 404 };
       try {
         const client = new (await getRokuClient())(device.ip_address);
-        const activeApp = await client.getActiveApp();
-        return { success: true, activeApp };
+        const activeApp = await client.getActiveApp();
+        return { success: true, activeApp };
+      } catch (error) {
+        return { success: false, error: error.message, status: 502 };
+      }
+    },
+
+    // GET /devices/:id/info -- full device info
+    'GET /devices/:id/info': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const info = await client.getDeviceInfo();
+        // A fresh device-info is as good as the poll's periodic check.
+        if (firmwareCtx) {
+          await recordFirmware(ctx, { ...device, id: device.device_id }, info)
+            .catch((err) => ctx.log(`Firmware record for ${device.name} failed: ${err.message}`, 'debug'));
+        }
+        if (rebootCtx && info.uptime != null) {
+          await recordUptime(ctx, { ...device, id: device.device_id }, info.uptime)
+            .catch((err) => ctx.log(`Uptime sample for ${device.name} failed: ${err.message}`, 'debug'));
+        }
+        const firmwareHistory = await readFirmwareHistory(ctx, device.device_id);
+        return { success: true, info, firmware_history: firmwareHistory };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    // GET /devices/:id/access -- mobile control access level
+    'GET /devices/:id/access': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const access = await client.checkMobileControlAccess();
+        return { success: true, access };
+      } catch (error) {
+        return { success: true, access: { level: 'disabled', canControl: false, canQueryApps: false } };
+      }
+    },
+
+    // POST /devices/:id/keypress/:key
+    'POST /devices/:id/keypress/:key': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        await client.keypress(ctx.params.key);
+        return { success: true, message: `Sent ${ctx.params.key} to ${device.name}` };
+      } catch (error) {
+        return { success: false, error: `Keypress failed: ${error.message}`, status: 502 };
+      }
+    },
+
+    // POST /devices/:id/keydown/:key -- press and hold (released by keyup,
+    // or by RokuClient's auto-release timer if the keyup never arrives)
+    'POST /devices/:id/keydown/:key': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const result = await client.keydown(ctx.params.key);
+        return { success: true, message: `Holding ${ctx.params.key} on ${device.name}`, autoReleaseMs: result.autoReleaseMs };
+      } catch (error) {
+        return { success: false, error: `Keydown failed: ${error.message}`, status: 502 };
+      }
+    },
+
+    // POST /devices/:id/keyup/:key -- release a held key
+    'POST /devices/:id/keyup/:key': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        await client.keyup(ctx.params.key);
+        return { success: true, message: `Released ${ctx.params.key} on ${device.name}` };
+      } catch (error) {
+        return { success: false, error: `Keyup failed: ${error.message}`, status: 502 };
+      }
+    },
+
+    // POST /devices/:id/launch/:appId
+    // Accepts optional JSON body with launch params (e.g. { serverUrl: "http://..." })
+    // which are forwarded as ECP query params to the Roku device.
+    // { content_id, media_type } (snake_case, like the launch_app command) are
+    // validated and sent as Roku's contentId/mediaType deep-link params.
+    'POST /devices/:id/launch/:appId': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const params = ctx.body && typeof ctx.body === 'object' ? { ...ctx.body } : {};
+      // Remove fields that aren't launch params
+      delete params.app_id;
+      delete params.device_id;
+      if (params.content_id !== undefined || params.media_type !== undefined) {
+        try {
+          Object.assign(params, buildDeepLinkParams({ contentId: params.content_id, mediaType: params.media_type }));
+        } catch (error) {
+          return { success: false, error: error.message, status: error.status || 400 };
+        }
+        delete params.content_id;
+        delete params.media_type;
+      }
+      const { appId } = ctx.params;
+      // #autolaunch-delay: optional pre-launch delay (ms). The power-on auto-launch automation
+      // sets delay_ms so launch/dev fires AFTER the just-woken Roku is ready to foreground and
+      // render the channel — firing the instant the Roku comes on-line pends the launch without
+      // rendering (→ Home). Manual/UI launches omit delay_ms and launch instantly. One launch, no retry.
+      let delayMs = 0;
+      if (params.delay_ms !== undefined) {
+        delayMs = parseInt(params.delay_ms, 10) || 0;
+        delete params.delay_ms;
+      }
+      try {
+        if (delayMs > 0) {
+          ctx.log(`launch ${appId} on ${device.name}: waiting ${delayMs}ms for the Roku to be ready before launch`, 'info');
+          await new Promise((r) => setTimeout(r, Math.min(delayMs, 60000)));
+        }
+        const client = new (await getRokuClient())(device.ip_address);
+        await client.launchApp(appId, params);
+        return { success: true, message: `Launched app ${appId} on ${device.name}${delayMs ? ` (after ${delayMs}ms delay)` : ''}` };
+      } catch (error) {
+        return { success: false, error: `Launch failed: ${error.message}`, status: 502 };
+      }
+    },
+
+    // POST /devices/:id/install/:appId -- body { confirm? }. Install a store
+    // channel when missing and wait (up to 90s) for getApps() to list it.
+    // A 504 means the store page is up but the install was not seen in time
+    // — someone may need to finish it on screen. Streams because that wait
+    // outlasts the host's 30s route ceiling.
+    'POST /devices/:id/install/:appId [stream]': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) { sendJson(ctx, { success: false, error: 'Device not found', status: 404 }); return; }
+      const confirm = !(ctx.body && ctx.body.confirm === false);
+      try {
+        const result = await withDeviceLock(device.device_id, () => ensureAppInstalled(device, ctx.params.appId, { confirm }));
+        if (result.status === 'unconfirmed') {
+          sendJson(ctx, {
+            success: false, ...result, error: `Install of ${ctx.params.appId} not confirmed on ${device.name}`, status: 504,
+          });
+          return;
+        }
+        sendJson(ctx, { success: true, ...result });
+      } catch (error) {
+        sendJson(ctx, { success: false, error: `Install failed: ${error.message}`, status: 502 });
+      }
+    },
+
+    // GET /devices/:id/sources -- the TV inputs this device offers (derived
+    // from device-info is-tv + the tvinput.* pseudo-apps) and the current one.
+    // Non-TV Rokus answer an empty list.
+    'GET /devices/:id/sources': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const [info, apps, activeApp] = await Promise.all([
+          client.getDeviceInfo(),
+          client.getApps().catch(() => null),
+          client.getActiveApp().catch(() => null),
+        ]);
+        const sources = deriveSourceList({ isTv: info.isTv, apps });
+        return { success: true, sources, current: currentSource(activeApp) };
+      } catch (error) {
+        return { success: false, error: error.message, status: 502 };
+      }
+    },
+
+    // POST /devices/:id/source -- body { source } ('hdmi1'..'hdmi4', 'tuner', 'av1')
+    'POST /devices/:id/source': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const source = ctx.body && typeof ctx.body === 'object' ? ctx.body.source : null;
+      let key;
+      try {
+        key = sourceKey(source);
+      } catch (error) {
+        return { success: false, error: error.message, status: 400 };
+      }
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        await client.keypress(key);
+        return { success: true, source, message: `Switched ${device.name} to ${source}` };
+      } catch (error) {
+        return { success: false, error: `Input switch failed: ${error.message}`, status: 502 };
+      }
+    },
+
+    // GET /devices/:id/tv/channels -- tuner channel lineup. Non-TV Rokus have
+    // no tuner and answer an empty list, like /sources.
+    'GET /devices/:id/tv/channels': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const info = await client.getDeviceInfo();
+        const channels = info.isTv ? await client.getTvChannels() : [];
+        return { success: true, channels };
+      } catch (error) {
+        return { success: false, error: error.message, status: 502 };
+      }
+    },
+
+    // GET /devices/:id/tv/active-channel -- tuned channel + current program
+    'GET /devices/:id/tv/active-channel': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const channel = await client.getTvActiveChannel();
+        return { success: true, channel };
+      } catch (error) {
+        return { success: false, error: error.message, status: 502 };
+      }
+    },
+
+    // POST /devices/:id/tv/tune -- body { channel } (e.g. "7.1")
+    'POST /devices/:id/tv/tune': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const channel = ctx.body && typeof ctx.body === 'object' ? ctx.body.channel : null;
+      if (channel == null || channel === '') {
+        return { success: false, error: 'channel required', status: 400 };
+      }
+      try {
+        const client = new (await getRokuClient())(device.ip_address);
+        const result = await client.tuneChannel(channel);
+        return { success: true, channel: result.channel, message: `Tuned ${device.name} to channel ${result.channel}` };
       } catch (error) {
-        return { success: false, error: error.message, status: 502 };
+        if (error.status === 400) return { success: false, error: error.message, status: 400 };
+        return { success: false, error: `Tune failed: ${error.message}`, status: 502 };
       }
     },
 
-    // GET /devices/:id/info -- full device info
-    'GET /devices/:id/info': async (ctx) => {
+    // POST /devices/:id/input -- JSON body of params delivered to the RUNNING
+    // channel as an roInput event (ECP POST /input?...). Unlike
+    // POST /devices/:id/launch/:appId this never relaunches the channel.
+    'POST /devices/:id/input': async (ctx) => {
       const device = await findDevice(ctx, ctx.params.id);
       if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const params = parseInputParams(ctx.body);
+      if (Object.keys(params).length === 0) {
+        return { success: false, error: 'At least one input param is required', status: 400 };
+      }
       try {
         const client = new (await getRokuClient())(device.ip_address);
-        const info = await client.getDeviceInfo();
-        return { success: true, info };
+        const result = await client.sendInput(params);
+        return { success: true, params: result.params, message: `Sent input to ${device.name}` };
       } catch (error) {
-        return { success: false, error: error.message };
+        if (error.status === 400) return { success: false, error: error.message, status: 400 };
+        return { success: false, error: `Input failed: ${error.message}`, status: 502 };
       }
     },
 
-    // GET /devices/:id/access -- mobile control access level
-    'GET /devices/:id/access': async (ctx) => {
+    // POST /devices/:id/search -- { keyword, type?, provider_id?, season?, launch? }
+    // Opens Roku universal search (ECP /search/browse). With launch:true and a
+    // provider_id the Roku jumps straight into that channel's match instead.
+    'POST /devices/:id/search': async (ctx) => {
       const device = await findDevice(ctx, ctx.params.id);
       if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const body = ctx.body && typeof ctx.body === 'object' ? ctx.body : {};
       try {
         const client = new (await getRokuClient())(device.ip_address);
-        const access = await client.checkMobileControlAccess();
-        return { success: true, access };
+        const result = await client.search(body.keyword, {
+          type: body.type,
+          providerId: body.provider_id,
+          season: body.season,
+          launch: body.launch,
+        });
+        return { success: true, params: result.params, message: `Searching "${result.keyword}" on ${device.name}` };
       } catch (error) {
-        return { success: true, access: { level: 'disabled', canControl: false, canQueryApps: false } };
+        if (error.status === 400) return { success: false, error: error.message, status: 400 };
+        return { success: false, error: `Search failed: ${error.message}`, status: 502 };
       }
     },
 
-    // POST /devices/:id/keypress/:key
-    'POST /devices/:id/keypress/:key': async (ctx) => {
+    // POST /devices/:id/text -- { text?, backspace?, enter? } typed into the
+    // on-screen keyboard (Lit_ keypresses; \b → Backspace, \n → Enter).
+    // Requests for one device type in order; { cancelled: true } when a
+    // DELETE /devices/:id/text stopped it part-way. Streams: at a keypress per
+    // character, TEXT_MAX_LENGTH characters outlast the 30s route ceiling.
+    'POST /devices/:id/text [stream]': async (ctx) => {
       const device = await findDevice(ctx, ctx.params.id);
-      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      if (!device) { sendJson(ctx, { success: false, error: 'Device not found', status: 404 }); return; }
+      const sequence = buildTextSequence(ctx.body || {});
+      if (!sequence) { sendJson(ctx, { success: false, error: 'text, backspace or enter is required', status: 400 }); return; }
+      if ([...sequence].length > TEXT_MAX_LENGTH) {
+        sendJson(ctx, { success: false, error: `Text is limited to ${TEXT_MAX_LENGTH} characters`, status: 400 });
+        return;
+      }
+      const { signal } = textAbortFor(device.device_id);
       try {
-        const client = new (await getRokuClient())(device.ip_address);
-        await client.keypress(ctx.params.key);
-        return { success: true, message: `Sent ${ctx.params.key} to ${device.name}` };
+        const result = await withDeviceLock(`text:${device.device_id}`, async () => {
+          const client = new (await getRokuClient())(device.ip_address);
+          return client.inputText(sequence, { signal });
+        });
+        sendJson(ctx, { success: true, typed: result.typed, cancelled: result.cancelled });
       } catch (error) {
-        return { success: false, error: `Keypress failed: ${error.message}`, status: 502 };
+        sendJson(ctx, { success: false, error: `Text entry failed: ${error.message}`, status: 502 });
       }
     },
 
-    // POST /devices/:id/launch/:appId
-    // Accepts optional JSON body with launch params (e.g. { serverUrl: "http://..." })
-    // which are forwarded as ECP query params to the Roku device.
-    'POST /devices/:id/launch/:appId': async (ctx) => {
+    // DELETE /devices/:id/text -- cancel in-flight and queued typing.
+    'DELETE /devices/:id/text': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const controller = textAborts.get(device.device_id);
+      const cancelled = !!controller && !controller.signal.aborted;
+      if (controller) controller.abort();
+      textAborts.delete(device.device_id);
+      return { success: true, cancelled };
+    },
+
+    // GET /devices/:id/screen[?contains=text] -- the visible text of what is
+    // rendered right now (/query/app-ui, flattened). With ?contains= also
+    // answers `matched` (case- and whitespace-insensitive, via
+    // RokuClient.textsContain).
+    'GET /devices/:id/screen': async (ctx) => {
       const device = await findDevice(ctx, ctx.params.id);
       if (!device) return { success: false, error: 'Device not found', status: 404 };
-      const params = ctx.body && typeof ctx.body === 'object' ? { ...ctx.body } : {};
-      // Remove fields that aren't launch params
-      delete params.app_id;
-      delete params.device_id;
-      const { appId } = ctx.params;
-      // #autolaunch-delay: optional pre-launch delay (ms). The power-on auto-launch automation
-      // sets delay_ms so launch/dev fires AFTER the just-woken Roku is ready to foreground and
-      // render the channel — firing the instant the Roku comes on-line pends the launch without
-      // rendering (→ Home). Manual/UI launches omit delay_ms and launch instantly. One launch, no retry.
-      let delayMs = 0;
-      if (params.delay_ms !== undefined) {
-        delayMs = parseInt(params.delay_ms, 10) || 0;
-        delete params.delay_ms;
-      }
       try {
-        if (delayMs > 0) {
-          ctx.log(`launch ${appId} on ${device.name}: waiting ${delayMs}ms for the Roku to be ready before launch`, 'info');
-          await new Promise((r) => setTimeout(r, Math.min(delayMs, 60000)));
-        }
-        const client = new (await getRokuClient())(device.ip_address);
-        await client.launchApp(appId, params);
-        return { success: true, message: `Launched app ${appId} on ${device.name}${delayMs ? ` (after ${delayMs}ms delay)` : ''}` };
+        const RokuClient = await getRokuClient();
+        const ui = await new RokuClient(device.ip_address).getAppUi();
+        const result = {
+          success: true, app_id: ui.appId, texts: ui.texts, node_count: ui.nodeCount,
+        };
+        if (ctx.query && ctx.query.contains) result.matched = RokuClient.textsContain(ui.texts, ctx.query.contains);
+        return result;
       } catch (error) {
-        return { success: false, error: `Launch failed: ${error.message}`, status: 502 };
+        return { success: false, error: `Screen read failed: ${error.message}`, status: 502 };
       }
     },
 
     // POST /devices/:id/power/on
-    'POST /devices/:id/power/on': async (ctx) => {
+    // Streams because waking a device from deep standby waits up to
+    // WOL_WAKE_TIMEOUT_MS for ECP to come back.
+    'POST /devices/:id/power/on [stream]': async (ctx) => {
       const device = await findDevice(ctx, ctx.params.id);
-      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      if (!device) { sendJson(ctx, { success: false, error: 'Device not found', status: 404 }); return; }
       try {
-        const client = new (await getRokuClient())(device.ip_address);
-        await client.powerOn();
-        return { success: true, message: `Powered on ${device.name}` };
+        const { woke } = await powerOnDevice(device);
+        sendJson(ctx, { success: true, woke, message: woke ? `Woke ${device.name} over the network` : `Powered on ${device.name}` });
       } catch (error) {
-        return { success: false, error: `Power on failed: ${error.message}`, status: 502 };
+        sendJson(ctx, { success: false, error: `Power on failed: ${error.message}`, status: 502 });
       }
     },
 
@@ -1063,31 +3194,73 @@ export default {
       }
     },
 
-    // GET /devices/:id/icon/:appId -- proxy Roku app icon to avoid direct device requests
+    // POST /devices/:id/reboot -- restart through the System restart menu
+    // under the per-device mutex. Streams because verifying the restart (ECP
+    // dropping, then answering again) takes a minute or more.
+    'POST /devices/:id/reboot [stream]': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) { sendJson(ctx, { success: false, error: 'Device not found', status: 404 }); return; }
+      sendJson(ctx, await withDeviceLock(device.device_id, async () => {
+        try {
+          const result = await rebootDevice(device);
+          return { ...result, message: `Restarted ${device.name}` };
+        } catch (err) {
+          return {
+            success: false, error: `Restart failed: ${err.message}`, code: err.code, status: err.status || 502,
+          };
+        }
+      }));
+    },
+
+    // GET /devices/:id/icon/:appId[?v=version] -- app icon from the shared
+    // on-disk cache (iconCache.js), so icons render instantly and survive the
+    // Roku being asleep. Without ?v= the version comes from the device's app
+    // inventory, so an app update still misses the old icon. A miss fetches
+    // from the device and stores it; a stale hit is served as-is and
+    // revalidated in the background.
     'GET /devices/:id/icon/:appId [stream]': async (ctx) => {
       const device = await findDevice(ctx, ctx.params.id);
       if (!device) {
         ctx.res.status(404).json({ error: 'Device not found' });
         return;
       }
+      const { appId } = ctx.params;
+      const version = (ctx.query && ctx.query.v) || await inventoryVersion(ctx, device.device_id, appId);
+      const cache = iconCache;
+      const sendIcon = (icon) => {
+        ctx.res.setHeader('Content-Type', icon.contentType);
+        ctx.res.setHeader('Cache-Control', 'public, max-age=86400');
+        ctx.res.end(icon.buffer);
+      };
+
+      const cached = cache && await cache.get(appId, version, { anyVersion: !version }).catch(() => null);
+      if (cached) {
+        sendIcon(cached);
+        if (cached.stale) refreshIconInBackground(ctx, device, appId, cached.version, cached.etag);
+        return;
+      }
       try {
-        const iconUrl = `http://${device.ip_address}:8060/query/icon/${ctx.params.appId}`;
-        const response = await fetch(iconUrl, { signal: AbortSignal.timeout(3000) });
-        if (!response.ok) {
-          ctx.res.status(404).end();
-          return;
+        const icon = await fetchDeviceIcon(device.ip_address, appId);
+        sendIcon(icon);
+        if (cache) {
+          cache.put(appId, version, icon)
+            .catch((err) => ctx.log(`Icon cache: failed to store ${appId}: ${err.message}`, 'debug'));
         }
-        const contentType = response.headers.get('content-type') || 'image/jpeg';
-        ctx.res.setHeader('Content-Type', contentType);
-        ctx.res.setHeader('Cache-Control', 'public, max-age=86400');
-        const buffer = await response.arrayBuffer();
-        ctx.res.end(Buffer.from(buffer));
       } catch (error) {
-        ctx.res.status(502).end();
+        // Asleep/unreachable: the icon of an older version beats a broken image.
+        const fallback = cache && version
+          ? await cache.get(appId, null, { anyVersion: true }).catch(() => null)
+          : null;
+        if (fallback) {
+          sendIcon(fallback);
+          return;
+        }
+        ctx.res.status(error.status ? 404 : 502).end();
       }
     },
 
-    // POST /devices/add -- manual registration by IP
+    // POST /devices/add -- manual registration by IP. A Roku whose serial is
+    // already registered at another address is rebound to this one.
     'POST /devices/add': async (ctx) => {
       const { ip_address } = ctx.body;
       if (!ip_address) return { success: false, error: 'IP address required', status: 400 };
@@ -1108,6 +3281,32 @@ export default {
           return { success: false, error: 'Device is not a Roku (no serial number or device ID in ECP response)', status: 400 };
         }
 
+        // Already registered under its old address (the DHCP lease moved):
+        // rebind that row instead of claiming a duplicate.
+        const serial = info.serialNumber || info.deviceId;
+        const [known] = (await queryRokuDevices(ctx)).filter((d) => d.serial_number === serial);
+        if (known) {
+          let moved;
+          try {
+            moved = await rebindDevice(ctx, known, ip_address, 'manual');
+          } catch (err) {
+            ctx.log(`Manual add: ${err.message}`, 'warn');
+            return { success: false, error: 'Device probe/claim did not complete — check logs', status: 502 };
+          }
+          return {
+            success: true,
+            rebound: moved,
+            device: {
+              device_id: known.id,
+              ip_address,
+              name: known.friendly_name || known.name || 'Unknown Roku',
+              model: known.model,
+              serial_number: known.serial_number,
+              firmware_version: known.firmware_version,
+            },
+          };
+        }
+
         // Manual add is an explicit user action — auto-admit (via_scan marker).
         // Route through the SAME pipeline as network discovery: a synthetic
         // candidate-matched event that the platform DeviceTypeHost probes,
@@ -1186,6 +3385,16 @@ export default {
 
       ctx.broadcast('roku:device-removed', { deviceId: ctx.params.id });
 
+      deviceHealth.delete(device.device_id);
+      rebindSchedule.delete(device.device_id);
+
+      // Its inventory rows would otherwise count it in the fleet app rollup.
+      try {
+        await ctx.data.query(APP_INVENTORY_TABLE).where('device_id', '=', device.device_id).delete();
+      } catch (err) {
+        ctx.log(`App inventory: failed to clear rows for ${device.device_id}: ${err.message}`, 'warn');
+      }
+
       return { success: true, message: `Removed ${device.name}` };
     },
 
@@ -1217,6 +3426,56 @@ export default {
       };
     },
 
+    // GET /ecp-sessions -- which devices are event-driven (ECP-2 session
+    // 'live') vs. HTTP-polled ('connecting' / 'down').
+    'GET /ecp-sessions': async () => ({ success: true, enabled: ecpSessionCtx !== null, sessions: ecpSessionStatus() }),
+
+    // GET /deep-links[?app_id=] -- the saved deep-link library (all apps, or one)
+    'GET /deep-links': async (ctx) => {
+      const appId = ctx.query && ctx.query.app_id ? String(ctx.query.app_id) : null;
+      const links = await readDeepLinks(ctx);
+      return {
+        success: true,
+        media_types: DEEP_LINK_MEDIA_TYPES,
+        deep_links: appId ? links.filter((l) => l.app_id === appId) : links,
+      };
+    },
+
+    // POST /deep-links -- body { app_id, label?, content_id, media_type }
+    'POST /deep-links': async (ctx) => {
+      let entry;
+      try {
+        entry = normalizeDeepLink(ctx.body && typeof ctx.body === 'object' ? ctx.body : {});
+      } catch (error) {
+        return { success: false, error: error.message, status: error.status || 400 };
+      }
+      const link = { id: randomUUID(), ...entry, created_at: new Date().toISOString() };
+      try {
+        const links = await readDeepLinks(ctx);
+        await ctx.config.set('deep_links', [...links, link]);
+      } catch (err) {
+        ctx.log(`Failed to save deep link: ${err.message}`, 'error');
+        return { success: false, error: 'Failed to save deep link', status: 500 };
+      }
+      return { success: true, deep_link: link };
+    },
+
+    // DELETE /deep-links/:linkId
+    'DELETE /deep-links/:linkId': async (ctx) => {
+      const links = await readDeepLinks(ctx);
+      const remaining = links.filter((l) => l.id !== ctx.params.linkId);
+      if (remaining.length === links.length) {
+        return { success: false, error: 'Deep link not found', status: 404 };
+      }
+      try {
+        await ctx.config.set('deep_links', remaining);
+      } catch (err) {
+        ctx.log(`Failed to delete deep link: ${err.message}`, 'error');
+        return { success: false, error: 'Failed to delete deep link', status: 500 };
+      }
+      return { success: true };
+    },
+
     // GET /settings
     'GET /settings': async (ctx) => {
       try {
@@ -1245,6 +3504,12 @@ export default {
           Object.entries(existing).filter(([k]) => k.length > 1 || isNaN(k)),
         );
         await ctx.config.set('settings', { ...cleaned, ...ctx.body });
+        if (ctx.body.ecp_sessions !== undefined) await startEcpSessions(ctx);
+        if (ctx.body.debug_console !== undefined) await startDebugConsoles(ctx);
+        if (ctx.body.app_inventory !== undefined) await startAppInventory(ctx);
+        if (ctx.body.firmware_history !== undefined) await startFirmwareWatch(ctx);
+        if (ctx.body.reboot_detection !== undefined || ctx.body.reboot_scripts !== undefined) await startRebootDetection(ctx);
+        if (ctx.body.ip_rebind !== undefined) await startIpRebind(ctx);
         return { success: true };
       } catch (err) {
         ctx.log(`Failed to save settings: ${err.message}`, 'error');
@@ -1260,77 +3525,86 @@ export default {
     // plaintext secret and never its real length. Presence is computed per-scope
     // straight from the encrypted secrets store (`roku_dev_password` fleet
     // default + `roku_dev_password:<serial>` per device) — never a config blob.
-    'GET /fleet/dev-credentials': async (ctx) => {
-      const rows = await queryRokuDevices(ctx);
-      const fleetValue = await ctx.secrets.get('roku_dev_password');
-      const fleetSet = fleetValue != null;
-      const devices = await Promise.all(rows.map(async (d) => {
-        const serial = d.serial_number || null;
-        const set = serial != null && (await ctx.secrets.get(`roku_dev_password:${serial}`)) != null;
-        return {
-          device_id: d.id,
-          serial,
-          name: d.friendly_name || d.name || 'Unknown Roku',
-          set,
-          masked: set ? DEV_PW_MASK : null,
-        };
-      }));
-      return {
-        success: true,
-        user: 'rokudev',
-        fleet: { set: fleetSet, masked: fleetSet ? DEV_PW_MASK : null },
-        devices,
-      };
-    },
+    'GET /fleet/dev-credentials': async (ctx) => ({
+      success: true,
+      user: 'rokudev',
+      ...(await scopedSecretPresence(ctx, 'roku_dev_password')),
+    }),
 
     // PUT /fleet/dev-credentials — body { scope:'fleet'|'device', device_id?,
     // password|null }. Writes/clears the per-scope encrypted secret directly
     // (`roku_dev_password` fleet default, `roku_dev_password:<serial>` per
     // device); password:null|'' deletes the secret. Never echoes it back.
-    'PUT /fleet/dev-credentials': async (ctx) => {
-      const body = ctx.body && typeof ctx.body === 'object' ? ctx.body : {};
-      const { scope } = body;
-      if (scope !== 'fleet' && scope !== 'device') {
-        return { success: false, error: "Invalid scope: expected 'fleet' or 'device'", status: 400 };
-      }
-      if (!Object.prototype.hasOwnProperty.call(body, 'password')) {
-        return { success: false, error: 'password field required (string to set, null to clear)', status: 400 };
-      }
-      const { password } = body;
-      if (password != null && typeof password !== 'string') {
-        return { success: false, error: 'password must be a string or null', status: 400 };
-      }
-      const clearing = password == null || password === '';
-      let targetSerial = null;
-      let key;
-      if (scope === 'fleet') {
-        key = 'roku_dev_password';
-      } else {
-        if (!body.device_id) {
-          return { success: false, error: 'device_id required for device scope', status: 400 };
-        }
-        const device = await findDevice(ctx, body.device_id);
-        if (!device) return { success: false, error: 'Device not found', status: 404 };
-        targetSerial = device.serial_number;
-        if (!targetSerial) {
-          return { success: false, error: 'Device has no serial number; cannot set a per-device password', status: 400 };
-        }
-        key = `roku_dev_password:${targetSerial}`;
-      }
+    'PUT /fleet/dev-credentials': async (ctx) => putScopedSecret(ctx, ctx.body, {
+      baseKey: 'roku_dev_password', field: 'password', noun: 'dev credentials',
+    }),
+
+    // GET /fleet/packaging/passphrase — presence + mask of the developer-key
+    // passphrase (`roku_package_passphrase` fleet default +
+    // `roku_package_passphrase:<serial>` per device), like dev-credentials.
+    'GET /fleet/packaging/passphrase': async (ctx) => ({
+      success: true,
+      ...(await scopedSecretPresence(ctx, 'roku_package_passphrase')),
+    }),
+
+    // PUT /fleet/packaging/passphrase — body { scope, device_id?,
+    // passphrase|null }; null/'' clears.
+    'PUT /fleet/packaging/passphrase': async (ctx) => putScopedSecret(ctx, ctx.body, {
+      baseKey: 'roku_package_passphrase', field: 'passphrase', noun: 'package passphrase',
+    }),
+
+    // POST /fleet/packaging/package — body { device_id, app_name? }. Signs the
+    // channel currently sideloaded on that Roku into a .pkg with the box's
+    // developer key and answers with the file itself. app_name defaults to
+    // "<dev channel name>/<version>" as the installer page does.
+    'POST /fleet/packaging/package [stream]': async (ctx) => {
+      const body = ctx.body || {};
+      const device = body.device_id ? await findDevice(ctx, body.device_id) : null;
+      if (!device) { sendJson(ctx, { success: false, error: 'Device not found', status: 404 }); return; }
+      let pkg;
       try {
-        if (clearing) await ctx.secrets.delete(key);
-        else await ctx.secrets.set(key, password);
+        pkg = await withDeviceLock(device.device_id, async () => {
+          const passphrase = await requirePackagePassphrase(ctx, device);
+          const appName = body.app_name ? String(body.app_name) : await defaultPackageName(device);
+          return makeDevClient(ctx, device).package({ appName, passphrase });
+        });
       } catch (err) {
-        ctx.log(`Fleet: failed to persist dev credential '${key}': ${err.message}`, 'error');
-        return { success: false, error: 'Failed to save dev credentials', status: 500 };
+        sendJson(ctx, devErrorResponse(err));
+        return;
       }
-      const fleetSet = scope === 'fleet'
-        ? !clearing
-        : (await ctx.secrets.get('roku_dev_password')) != null;
-      const deviceSet = scope === 'device' ? !clearing : undefined;
-      return {
-        success: true, scope, fleet: { set: fleetSet }, device: scope === 'device' ? { serial: targetSerial, set: deviceSet } : undefined,
-      };
+      ctx.log(`Fleet: packaged the dev channel on ${device.name} (${pkg.filename})`, 'info');
+      ctx.res.setHeader('Content-Type', 'application/octet-stream');
+      ctx.res.setHeader('Content-Disposition', `attachment; filename="${pkg.filename}"`);
+      ctx.res.end(pkg.buffer);
+    },
+
+    // POST /fleet/packaging/rekey — body { device_id, package (base64 .pkg),
+    // passphrase? }. Rekeys the Roku with the developer key inside a package
+    // signed earlier, so its future packages carry the same (store) identity.
+    // passphrase defaults to the stored one for that device.
+    'POST /fleet/packaging/rekey': async (ctx) => {
+      const body = ctx.body || {};
+      if (!body.device_id) return { success: false, error: 'device_id required', status: 400 };
+      if (!body.package || typeof body.package !== 'string') {
+        return { success: false, error: 'package (base64-encoded .pkg) required', status: 400 };
+      }
+      const device = await findDevice(ctx, body.device_id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const pkgBuffer = Buffer.from(body.package, 'base64');
+      if (pkgBuffer.length === 0) return { success: false, error: 'package is empty', status: 400 };
+      return withDeviceLock(device.device_id, async () => {
+        try {
+          const passphrase = body.passphrase ? String(body.passphrase) : await requirePackagePassphrase(ctx, device);
+          const result = await makeDevClient(ctx, device).rekey(pkgBuffer, { passphrase });
+          if (!result.success) {
+            return { success: false, error: `Rekey failed: ${result.message}`, rekey: result, status: 502 };
+          }
+          ctx.log(`Fleet: rekeyed ${device.name}`, 'info');
+          return { success: true, message: `Rekeyed ${device.name}` };
+        } catch (err) {
+          return devErrorResponse(err);
+        }
+      });
     },
 
     // GET /fleet/release/latest — cached (30s TTL) release metadata backing the
@@ -1359,6 +3633,7 @@ export default {
       const rows = await queryRokuDevices(ctx);
       const tokenRows = await readTokenRows(ctx);
       const screenLinks = await readScreenLinks(ctx);
+      const reboots = rebootStats(await readRebootRows(ctx));
       let latestMeta = null;
       try {
         latestMeta = await releaseClient.getLatestMeta({ force: wantsReleaseRefresh(ctx) });
@@ -1371,16 +3646,177 @@ export default {
           name: d.friendly_name || d.name || 'Unknown Roku',
           ip_address: d.ip_address,
           serial_number: d.serial_number || null,
+          mac_address: d.mac_address || null,
           online: d.online,
         };
         const hasPassword = (await resolveDevPassword(ctx, device.serial_number)) != null;
-        return buildPlayerStatus(ctx, device, {
+        const status = await buildPlayerStatus(ctx, device, {
           tokenRows, screenLinks, latestMeta, hasPassword,
         });
+        const rebootsFor = reboots.get(device.device_id);
+        return {
+          ...status,
+          reboots_7d: rebootsFor?.count || 0,
+          last_reboot: rebootsFor?.last || null,
+          health: deviceHealthSummary(device.device_id, { points: 24 }),
+        };
       }));
       return { success: true, latest_tag: latestMeta ? latestMeta.tag : null, players };
     },
 
+    // GET /fleet/apps[?q=] -- installed-app rollup across the fleet from the
+    // app inventory: per app, how many devices carry it and which versions.
+    'GET /fleet/apps': async (ctx) => {
+      const rows = await readInventoryRows(ctx);
+      const q = String(ctx.query?.q || '').trim().toLowerCase();
+      const apps = summarizeInventory(rows).filter((app) => !q
+        || String(app.app_id).toLowerCase().includes(q)
+        || String(app.name || '').toLowerCase().includes(q));
+      const devices = new Set(rows.map((row) => row.device_id));
+      return { success: true, apps, devices_tracked: devices.size };
+    },
+
+    // GET /fleet/apps/:appId -- which devices have the app (and at which
+    // version), and which tracked Rokus do not.
+    'GET /fleet/apps/:appId': async (ctx) => {
+      const { appId } = ctx.params;
+      const [rows, registry] = await Promise.all([readInventoryRows(ctx), queryRokuDevices(ctx)]);
+      const names = new Map(registry.map((d) => [d.id, d.friendly_name || d.name || 'Unknown Roku']));
+      const tracked = new Set(rows.map((row) => row.device_id));
+      const matching = rows.filter((row) => String(row.app_id) === appId);
+      const installed = matching.map((row) => ({
+        device_id: row.device_id,
+        name: names.get(row.device_id) || row.device_id,
+        version: row.version || null,
+        first_seen: row.first_seen,
+      }));
+      const have = new Set(installed.map((d) => d.device_id));
+      // Only devices with an inventory count as "missing" — one never
+      // snapshotted (offline since it joined) is unknown, not missing.
+      const missing = registry
+        .filter((d) => tracked.has(d.id) && !have.has(d.id))
+        .map((d) => ({ device_id: d.id, name: names.get(d.id) }));
+      return {
+        success: true,
+        app_id: appId,
+        name: matching[0]?.name || null,
+        installed,
+        missing,
+      };
+    },
+
+    // POST /fleet/apps/install — body { app_id, device_ids?, confirm? }. Make
+    // sure a store channel is on every listed Roku (all of them when
+    // device_ids is omitted; the Roku page sends a tag's devices). Under the
+    // global fleet lock, one device at a time: each store install ties up the
+    // TV's screen and the LAN, and a PIN prompt must not stall the rest.
+    'POST /fleet/apps/install [stream]': async (ctx) => {
+      const appId = ctx.body && ctx.body.app_id != null ? String(ctx.body.app_id).trim() : '';
+      if (!appId) {
+        sendJson(ctx, { success: false, error: 'app_id is required', status: 400 });
+        return;
+      }
+      const deviceIds = ctx.body && Array.isArray(ctx.body.device_ids) ? ctx.body.device_ids : null;
+      const confirm = ctx.body.confirm !== false;
+      try {
+        sendJson(ctx, await runFleetOp(async () => {
+          let rows = await queryRokuDevices(ctx);
+          if (deviceIds) rows = rows.filter((d) => deviceIds.includes(d.id));
+          if (rows.length === 0) {
+            return { success: false, error: 'No matching devices', status: 400 };
+          }
+          const results = await runSerial(rows, (d) => {
+            const device = {
+              device_id: d.id,
+              name: d.friendly_name || d.name || 'Unknown Roku',
+              ip_address: d.ip_address,
+            };
+            return withDeviceLock(device.device_id, async () => {
+              try {
+                const result = await ensureAppInstalled(device, appId, { confirm });
+                return {
+                  id: device.device_id,
+                  name: device.name,
+                  ok: result.status !== 'unconfirmed',
+                  status: result.status,
+                  version: result.version,
+                  error: result.status === 'unconfirmed' ? 'Not confirmed — finish on screen (PIN or payment?)' : null,
+                };
+              } catch (err) {
+                return {
+                  id: device.device_id, name: device.name, ok: false, status: 'failed', version: null, error: err.message,
+                };
+              }
+            });
+          }, { timeoutMs: 150000 });
+          const count = (status) => results.filter((r) => r.status === status).length;
+          return {
+            success: true,
+            app_id: appId,
+            total: results.length,
+            installed: count('installed'),
+            already_installed: count('already-installed'),
+            failed: results.filter((r) => !r.ok).length,
+            results,
+          };
+        }));
+      } catch (err) {
+        if (err.code === 'FLEET_BUSY') {
+          sendJson(ctx, { success: false, error: 'A fleet operation is already in progress', status: 409 });
+          return;
+        }
+        sendJson(ctx, { success: false, error: err.message, status: err.status || 500 });
+      }
+    },
+
+    // GET /devices/:id/health[?hours=24&points=48] — ECP reachability from the
+    // poll: score (0-100) and status over the last hour, a latency /
+    // availability series and the outage windows over `hours` (max 24; the
+    // history is in memory and starts empty after a restart).
+    'GET /devices/:id/health': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const hours = Math.min(24, Math.max(1, Number(ctx.query?.hours) || 24));
+      const points = Math.min(240, Math.max(1, Number(ctx.query?.points) || 48));
+      const spanMs = hours * 60 * 60 * 1000;
+      const now = Date.now();
+      return {
+        success: true,
+        device_id: device.device_id,
+        online: device.online,
+        hours,
+        ...deviceHealthSummary(device.device_id, { now, spanMs, points }),
+        outage_windows: outageWindows(deviceHealth.get(device.device_id), { now, spanMs }),
+      };
+    },
+
+    // GET /fleet/health — score, status and a 24-point (hourly) sparkline for
+    // every Roku, keyed by device id. Backs the device-card sparklines.
+    'GET /fleet/health': async (ctx) => {
+      const rows = await queryRokuDevices(ctx);
+      const now = Date.now();
+      const devices = {};
+      for (const row of rows) devices[row.id] = deviceHealthSummary(row.id, { now, points: 24 });
+      return { success: true, devices };
+    },
+
+    // GET /devices/:id/reboots — detected reboots, newest first.
+    'GET /devices/:id/reboots': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const rows = await readRebootRows(ctx, device.device_id);
+      const reboots = rows
+        .sort((a, b) => String(b.rebooted_at).localeCompare(String(a.rebooted_at)))
+        .map((row) => ({
+          rebooted_at: row.rebooted_at,
+          detected_at: row.detected_at,
+          previous_uptime: row.previous_uptime,
+          uptime: row.uptime,
+          cause: row.cause || null,
+        }));
+      return { success: true, device_id: device.device_id, reboots };
+    },
+
     // GET /devices/:id/player — single-device player detail (same shape as one
     // /fleet/players row).
     'GET /devices/:id/player': async (ctx) => {
@@ -1401,6 +3837,90 @@ export default {
       return { success: true, player };
     },
 
+    // GET /devices/:id/player/diagnostics — SceneGraph node census, channel
+    // CPU/memory and texture memory for the Waiveo player, straight from the
+    // dev-only ECP queries (sgnodes / chanperf / r2d2-bitmaps). They only
+    // answer for the sideloaded channel while it is running, so anything else
+    // on screen returns dev_channel_active:false rather than an error. Each
+    // section is best-effort: one failing query nulls its section and lands
+    // in `errors`.
+    'GET /devices/:id/player/diagnostics': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const client = new (await getRokuClient())(device.ip_address);
+      let activeApp;
+      try {
+        activeApp = await client.getActiveApp();
+      } catch (err) {
+        return { success: false, error: `Device unreachable: ${err.message}`, status: 502 };
+      }
+      if (activeApp?.id !== 'dev') {
+        return {
+          success: true,
+          dev_channel_active: false,
+          active_app: activeApp?.name || 'Home',
+          message: `The Waiveo player is not running on ${device.name}`,
+        };
+      }
+      const sections = {
+        sgnodes: () => client.getSgNodes('all'),
+        sgnode_roots: () => client.getSgNodes('roots'),
+        chanperf: () => client.getChanPerf(),
+        textures: () => client.getTextureMemory(),
+      };
+      const names = Object.keys(sections);
+      const settled = await Promise.allSettled(names.map((name) => sections[name]()));
+      const result = {
+        success: true, dev_channel_active: true, collected_at: new Date().toISOString(), errors: {},
+      };
+      settled.forEach((r, i) => {
+        result[names[i]] = r.status === 'fulfilled' ? r.value : null;
+        if (r.status === 'rejected') result.errors[names[i]] = r.reason.message;
+      });
+      return result;
+    },
+
+    // GET /devices/:id/player/screenshot — what the dev channel is showing
+    // right now, as the image itself (digest :80, Screenshot + /pkgs/dev.jpg).
+    // Under the per-device mutex so it never interleaves with an install.
+    // Errors are JSON, mapped like the other dev-installer routes.
+    'GET /devices/:id/player/screenshot [stream]': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) { sendJson(ctx, { success: false, error: 'Device not found', status: 404 }); return; }
+      let shot;
+      try {
+        shot = await withDeviceLock(device.device_id, () => makeDevClient(ctx, device).screenshot());
+      } catch (err) {
+        sendJson(ctx, devErrorResponse(err));
+        return;
+      }
+      ctx.res.setHeader('Content-Type', shot.contentType);
+      ctx.res.setHeader('Cache-Control', 'no-store');
+      ctx.res.end(shot.buffer);
+    },
+
+    // GET /devices/:id/player/console[?limit=n] — the buffered BrightScript
+    // console output (8085) and recent crash reports; live lines arrive as
+    // roku:console-lines broadcasts, crashes as roku:player-crashed.
+    'GET /devices/:id/player/console': async (ctx) => {
+      const device = await findDevice(ctx, ctx.params.id);
+      if (!device) return { success: false, error: 'Device not found', status: 404 };
+      const buffered = debugConsoleFor(device.device_id);
+      if (!buffered) {
+        return {
+          success: true, enabled: debugConsoleCtx !== null, status: 'detached', lines: [], crashes: [],
+        };
+      }
+      const limit = Math.max(0, parseInt(ctx.query?.limit, 10) || DEBUG_CONSOLE_BUFFER_LINES);
+      return {
+        success: true,
+        enabled: debugConsoleCtx !== null,
+        status: buffered.status,
+        lines: buffered.lines.slice(-limit),
+        crashes: buffered.crashes,
+      };
+    },
+
     // POST /devices/:id/player/update — body { tag? }. Under the per-device
     // mutex: download the release zip (once, cached Buffer), digest-install via
     // :80, gate on "Install Success", then re-read the version over ECP.
@@ -1553,6 +4073,13 @@ export default {
       label: 'Roku dev-connection password (fleet default)',
       description: 'rokudev digest password used to sideload/control Rokus',
     });
+    // Same for the developer-key passphrase (package signing / rekey), with
+    // per-device 'roku_package_passphrase:<serial>' overrides set via PUT
+    // /fleet/packaging/passphrase.
+    await ctx.secrets.require('roku_package_passphrase', {
+      label: 'Roku developer-key passphrase (fleet default)',
+      description: 'genkey passphrase used to sign packages and rekey Rokus',
+    });
 
     // One-time migration off the legacy plaintext ctx.config 'dev_credentials'
     // blob onto the per-scope encrypted secrets read above.
@@ -1561,7 +4088,20 @@ export default {
     // Discovery, polling, and command dispatch are handled ENTIRELY by the
     // platform DeviceTypeHost consuming the declarative `devices:` block above
     // (docs/architecture/device-automation-standard.md). This extension no
-    // longer wires polling adapters or discovery listeners itself.
+    // longer wires polling adapters or discovery listeners itself — the
+    // exceptions are its own SSDP roku:ecp sweep, which only FEEDS candidates
+    // into that pipeline (see runSsdpSweep) so Rokus on quiet networks show
+    // up with a serial before device-discovery's nmap/mDNS pass finds them,
+    // and ECP-2 sessions, which only change what poll.fn reads from (the
+    // 8085 debug consoles attach from the same poll).
+    startSsdpDiscovery(ctx);
+    await startEcpSessions(ctx);
+    await startDebugConsoles(ctx);
+    await startAppInventory(ctx);
+    await startFirmwareWatch(ctx);
+    await startRebootDetection(ctx);
+    await startIpRebind(ctx);
+    startIconCache(ctx);
 
     // D4: the private roku_devices mirror table (and the
     // discovery:device-claimed observer that kept it in sync) is gone —
@@ -1630,4 +4170,18 @@ export default {
 
     ctx.log('Roku Integration initialized', 'info');
   },
+
+  // Counterpart to init(): stop the background timers this module started so
+  // a hot-reload doesn't leave the previous copy sweeping alongside the new one.
+  destroy: async () => {
+    stopSsdpDiscovery();
+    stopEcpSessions();
+    stopDebugConsoles();
+    stopAppInventory();
+    stopFirmwareWatch();
+    stopRebootDetection();
+    stopIpRebind();
+    // Close this copy's per-device keep-alive agents (RokuClient.js).
+    _rokuClientModule?.resetRokuConnections();
+  },
 };
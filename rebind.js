@@ -0,0 +1,65 @@
+/**
+ * Re-locating a registered Roku after its DHCP lease moved it to a new IP.
+ *
+ * Every route and the poll talk to the registry row's stored `ip_address`, so
+ * a Roku that came back from a power outage on a different address fails
+ * every command until it is re-added. index.js watches for an outage lasting
+ * REBIND_AFTER_MS (health.js) and then looks for the device's SERIAL —
+ * SSDP answers first, then where device-discovery last had it probed, and
+ * last a unicast ECP sweep of the old address's /24 — and has the platform
+ * re-claim the row at the new address.
+ *
+ * Everything here is PURE apart from the injected `probe`; index.js owns the
+ * searches, the registry claim and the events.
+ */
+
+export const REBIND_AFTER_MS = 90 * 1000;
+// After a search (found or not) the same device is not searched again sooner.
+export const REBIND_RETRY_MS = 10 * 60 * 1000;
+export const REBIND_SWEEP_CONCURRENCY = 16;
+
+/**
+ * The other host addresses of `ip`'s /24, nearest last octet first — DHCP
+ * pools tend to hand a returning device an address close to its old one.
+ * Empty for anything that is not a dotted IPv4 address.
+ */
+export function subnetHosts(ip) {
+  const m = String(ip || '').match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!m || m.slice(1).some((o) => Number(o) > 255)) return [];
+  const prefix = `${m[1]}.${m[2]}.${m[3]}`;
+  const own = Number(m[4]);
+  const hosts = [];
+  for (let n = 1; n <= 254; n += 1) if (n !== own) hosts.push(n);
+  return hosts
+    .sort((a, b) => Math.abs(a - own) - Math.abs(b - own) || a - b)
+    .map((n) => `${prefix}.${n}`);
+}
+
+/**
+ * Probe `hosts` (at most `concurrency` at a time) until one answers with
+ * `serial`. `probe(ip)` resolves the serial answering there, or null.
+ * @returns {Promise<string|null>} the matching IP
+ */
+export async function sweepForSerial(hosts, serial, probe, { concurrency = REBIND_SWEEP_CONCURRENCY } = {}) {
+  let next = 0;
+  let found = null;
+  const worker = async () => {
+    while (!found && next < hosts.length) {
+      const ip = hosts[next];
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      const answer = await Promise.resolve(probe(ip)).catch(() => null);
+      if (answer === serial && !found) found = ip;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+  return found;
+}
+
+export default {
+  REBIND_AFTER_MS,
+  REBIND_RETRY_MS,
+  REBIND_SWEEP_CONCURRENCY,
+  subnetHosts,
+  sweepForSerial,
+};
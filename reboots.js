@@ -0,0 +1,108 @@
+/**
+ * Reboot detection from /query/device-info `uptime` (seconds since boot).
+ *
+ * index.js samples each Roku's uptime from the poll every
+ * UPTIME_SAMPLE_INTERVAL_MS. Uptime only ever grows while the box stays up —
+ * standby does not reset it — so a sample lower than the previous one means
+ * the Roku restarted in between: a power cut, a failing PSU, a thermal
+ * shutdown, a crash or a firmware update. Each one becomes a `roku_reboots`
+ * row and a `roku:rebooted` event.
+ *
+ * ECP has no reboot endpoint, so a commanded reboot walks the on-screen menu
+ * to Settings → System → (Power →) System restart with keypresses. The path
+ * differs by model — see REBOOT_SCRIPTS.
+ *
+ * Everything here is PURE; index.js owns the samples, table, events and the
+ * keypresses.
+ */
+
+export const REBOOT_TABLE = 'roku_reboots';
+export const UPTIME_SAMPLE_INTERVAL_MS = 5 * 60 * 1000;
+// A sample that failed (device off, ECP timeout) is retried this soon.
+export const UPTIME_RETRY_MS = 60 * 1000;
+// The window the fleet page's reboot count covers.
+export const REBOOT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Menu walks to "System restart" and its confirm button, per model profile,
+ * for Roku OS 11-14 menus. Both start from Home (pressed twice: the second
+ * press resets the cursor to the top of the left-hand menu). Settings is the
+ * LAST entry of the Home menu and System the LAST entry of Settings, so Up
+ * wraps to each regardless of which optional entries a model shows above.
+ *  - tv:     Roku TVs keep it under System → Power (3rd entry of System),
+ *            where System restart is the last entry.
+ *  - player: streaming players and sticks list System restart directly in
+ *            System, second from the bottom (above Advanced system settings).
+ * Override per profile with settings.reboot_scripts when a firmware moves it.
+ */
+export const REBOOT_SCRIPTS = {
+  tv: ['Home', 'Home', 'Up', 'Right', 'Up', 'Right', 'Down', 'Down', 'Right', 'Up', 'Right', 'Select'],
+  player: ['Home', 'Home', 'Up', 'Right', 'Up', 'Right', 'Up', 'Up', 'Right', 'Select'],
+};
+
+// How long to let the UI settle after a key: Home redraws the whole screen,
+// Right/Select open a new menu level, anything else just moves the cursor.
+const STEP_DELAYS_MS = { Home: 3000, Right: 1500, Select: 1500 };
+const STEP_DELAY_MS = 700;
+
+/** 'tv' or 'player', from getDeviceInfo(). */
+export function rebootProfile(info) {
+  return info && info.isTv ? 'tv' : 'player';
+}
+
+/**
+ * The keypress script for a device: [{ key, delayMs }], from the profile's
+ * override in `overrides` (settings.reboot_scripts) or REBOOT_SCRIPTS.
+ */
+export function rebootScriptFor(info, overrides = null) {
+  const profile = rebootProfile(info);
+  const custom = overrides && overrides[profile];
+  const keys = Array.isArray(custom) && custom.length > 0 ? custom : REBOOT_SCRIPTS[profile];
+  return keys.map((key) => ({ key: String(key), delayMs: STEP_DELAYS_MS[key] ?? STEP_DELAY_MS }));
+}
+
+/**
+ * Compare a new uptime sample with the previous one.
+ * @param {{uptime:number, at:number}|null} prev
+ * @param {{uptime:number, at:number}} sample at in ms since the epoch
+ * @returns {{rebooted_at:string, previous_uptime:number, uptime:number}|null}
+ *   the reboot (its time estimated as sample time minus uptime) or null
+ */
+export function detectReboot(prev, sample) {
+  if (!prev || !sample || !Number.isFinite(prev.uptime) || !Number.isFinite(sample.uptime)) return null;
+  if (sample.uptime >= prev.uptime) return null;
+  return {
+    rebooted_at: new Date(sample.at - sample.uptime * 1000).toISOString(),
+    previous_uptime: prev.uptime,
+    uptime: sample.uptime,
+  };
+}
+
+/**
+ * Per-device counts of UNPLANNED reboots (rows without a `cause`, i.e. not
+ * commanded from here) within `windowMs` of `now`, plus the latest reboot
+ * time of any kind. @returns {Map<string, {count:number, last:string|null}>}
+ */
+export function rebootStats(rows, { now = Date.now(), windowMs = REBOOT_WINDOW_MS } = {}) {
+  const stats = new Map();
+  const since = now - windowMs;
+  for (const row of rows || []) {
+    const entry = stats.get(row.device_id) || { count: 0, last: null };
+    if (!row.cause && Date.parse(row.rebooted_at) >= since) entry.count += 1;
+    if (!entry.last || String(row.rebooted_at) > entry.last) entry.last = row.rebooted_at;
+    stats.set(row.device_id, entry);
+  }
+  return stats;
+}
+
+export default {
+  REBOOT_TABLE,
+  UPTIME_SAMPLE_INTERVAL_MS,
+  UPTIME_RETRY_MS,
+  REBOOT_WINDOW_MS,
+  REBOOT_SCRIPTS,
+  rebootProfile,
+  rebootScriptFor,
+  detectReboot,
+  rebootStats,
+};
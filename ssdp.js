@@ -0,0 +1,170 @@
+/**
+ * Roku SSDP discovery (M-SEARCH for `roku:ecp`).
+ *
+ * Every Roku answers an SSDP M-SEARCH with search target `roku:ecp`, and the
+ * response already carries what the pending-candidate card needs before any
+ * probe runs:
+ *
+ *   HTTP/1.1 200 OK
+ *   ST: roku:ecp
+ *   LOCATION: http://192.168.1.134:8060/
+ *   USN: uuid:roku:ecp:P0A070000007
+ *
+ * LOCATION gives the ECP base URL (→ IP + port) and USN ends in the device's
+ * serial number. device-discovery's nmap/mDNS sweep only finds Rokus late (or
+ * as nameless "AirPlay Device" candidates — see reprobe.js), so this module
+ * lets the extension look for them itself; index.js feeds the results through
+ * the normal discovery:candidate-matched → probe → admit pipeline as PASSIVE
+ * `ssdp` candidates (so admission.js still holds them pending for approval).
+ *
+ * The message builder and response parsers are pure so they unit-test without
+ * a network; searchRokus() takes an injectable socket factory for the same
+ * reason.
+ */
+
+import dgram from 'node:dgram';
+
+export const SSDP_ADDRESS = '239.255.255.250';
+export const SSDP_PORT = 1900;
+export const ROKU_SSDP_ST = 'roku:ecp';
+
+/** Build the M-SEARCH datagram. `mx` is the max response delay in seconds. */
+export function buildMSearch({ st = ROKU_SSDP_ST, mx = 2 } = {}) {
+  return [
+    'M-SEARCH * HTTP/1.1',
+    `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+    'MAN: "ssdp:discover"',
+    `ST: ${st}`,
+    `MX: ${mx}`,
+    '',
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Parse an SSDP response/notify datagram into a lower-cased header map.
+ * The status line is returned separately as `statusLine`.
+ */
+export function parseSsdpHeaders(text) {
+  const lines = String(text == null ? '' : text).split(/\r?\n/);
+  const headers = {};
+  const statusLine = (lines.shift() || '').trim();
+  for (const line of lines) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    if (!key) continue;
+    headers[key] = line.slice(idx + 1).trim();
+  }
+  return { statusLine, headers };
+}
+
+/**
+ * Extract the Roku serial from a USN header. Rokus send
+ * `uuid:roku:ecp:<SERIAL>`; anything else yields null.
+ */
+export function serialFromUsn(usn) {
+  const m = String(usn || '').match(/roku:ecp:([A-Za-z0-9]+)\s*$/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * Parse one SSDP datagram into a Roku discovery result, or null when it is not
+ * a Roku ECP answer (wrong ST, no USN serial, unparseable LOCATION).
+ *
+ * @param {string} text datagram payload
+ * @param {{address?: string}} [rinfo] sender info; its address is the fallback
+ *   IP when LOCATION cannot be parsed
+ * @returns {{serial:string, ip:string, port:number, location:string|null, usn:string, server:string|null}|null}
+ */
+export function parseRokuSsdpResponse(text, rinfo = {}) {
+  const { headers } = parseSsdpHeaders(text);
+  const target = String(headers.st || headers.nt || '').toLowerCase();
+  if (target !== ROKU_SSDP_ST) return null;
+
+  const serial = serialFromUsn(headers.usn);
+  if (!serial) return null;
+
+  let ip = null;
+  let port = null;
+  if (headers.location) {
+    try {
+      const url = new URL(headers.location);
+      ip = url.hostname;
+      port = url.port ? Number(url.port) : 80;
+    } catch {
+      // fall through to the sender address
+    }
+  }
+  if (!ip && rinfo.address) ip = rinfo.address;
+  if (!ip) return null;
+
+  return {
+    serial,
+    ip,
+    port: port || 8060,
+    location: headers.location || null,
+    usn: headers.usn,
+    server: headers.server || null,
+  };
+}
+
+/**
+ * Send one M-SEARCH for `roku:ecp` and collect answers for `timeoutMs`.
+ * Results are deduped by serial (a Roku can answer more than once, e.g. one
+ * reply per interface). Never rejects on a socket error after bind — a noisy
+ * network just yields whatever answered.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs=3000] how long to listen for answers
+ * @param {number} [opts.mx=2] MX header (max device response delay, seconds)
+ * @param {Function} [opts.createSocket] dgram.createSocket stand-in for tests
+ * @returns {Promise<Array<object>>} parseRokuSsdpResponse() results
+ */
+export function searchRokus({ timeoutMs = 3000, mx = 2, createSocket } = {}) {
+  const makeSocket = createSocket || ((type) => dgram.createSocket(type));
+  return new Promise((resolve, reject) => {
+    const found = new Map(); // serial -> result
+    let socket;
+    let timer = null;
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      try { socket.close(); } catch { /* already closed */ }
+      if (err) reject(err);
+      else resolve([...found.values()]);
+    };
+
+    try {
+      socket = makeSocket({ type: 'udp4', reuseAddr: true });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    socket.on('message', (msg, rinfo) => {
+      const result = parseRokuSsdpResponse(msg.toString('utf8'), rinfo);
+      if (result && !found.has(result.serial)) found.set(result.serial, result);
+    });
+    socket.on('error', (err) => finish(found.size > 0 ? null : err));
+
+    socket.bind(0, () => {
+      const payload = Buffer.from(buildMSearch({ mx }), 'utf8');
+      socket.send(payload, 0, payload.length, SSDP_PORT, SSDP_ADDRESS, (err) => {
+        if (err) finish(err);
+      });
+      timer = setTimeout(() => finish(null), timeoutMs);
+    });
+  });
+}
+
+export default {
+  buildMSearch,
+  parseSsdpHeaders,
+  serialFromUsn,
+  parseRokuSsdpResponse,
+  searchRokus,
+};
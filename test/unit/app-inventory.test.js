@@ -0,0 +1,268 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  diffInventory, inventoryApps, summarizeInventory, APP_INVENTORY_TABLE,
+} from 'roku-integration/appInventory.js';
+import roku, { snapshotAppInventory, ensureAppInstalled } from 'roku-integration/index.js';
+import { ROKU_COALESCE_WINDOW_MS } from 'roku-integration/RokuClient.js';
+
+// RokuClient reuses a device's GET answers for ROKU_COALESCE_WINDOW_MS; wait
+// that out before reading a device whose stubbed answer just changed.
+const pastCoalesceWindow = () => new Promise((r) => { setTimeout(r, ROKU_COALESCE_WINDOW_MS + 10); });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const NETFLIX = {
+  id: '12', name: 'Netflix', type: 'appl', version: '5.1.2',
+};
+const YOUTUBE = {
+  id: '837', name: 'YouTube', type: 'appl', version: '2.20.1',
+};
+const HDMI = {
+  id: 'tvinput.hdmi1', name: 'HDMI 1', type: 'tvin', version: '1.0.0',
+};
+
+describe('app inventory diff', () => {
+  it('leaves TV inputs out of the inventory', () => {
+    expect(inventoryApps([NETFLIX, HDMI, { id: null, name: 'junk' }])).toEqual([NETFLIX]);
+  });
+
+  it('reports installs, removals and version changes', () => {
+    const rows = [
+      { id: 'r:1|12', app_id: '12', name: 'Netflix', version: '5.0.0' },
+      { id: 'r:1|2285', app_id: '2285', name: 'Hulu', version: '7.0' },
+    ];
+    const diff = diffInventory(rows, [NETFLIX, YOUTUBE, HDMI]);
+    expect(diff.added).toEqual([YOUTUBE]);
+    expect(diff.removed.map((r) => r.app_id)).toEqual(['2285']);
+    expect(diff.updated).toEqual([{ app: NETFLIX, row: rows[0] }]);
+  });
+
+  it('rolls rows up per app, most widely installed first', () => {
+    const rows = [
+      { device_id: 'a', app_id: '837', name: 'YouTube', version: '2.20.1' },
+      { device_id: 'a', app_id: '12', name: 'Netflix', version: '5.1.2' },
+      { device_id: 'b', app_id: '12', name: 'Netflix', version: '5.0.0' },
+    ];
+    expect(summarizeInventory(rows)).toEqual([
+      {
+        app_id: '12', name: 'Netflix', device_count: 2, versions: ['5.0.0', '5.1.2'],
+      },
+      {
+        app_id: '837', name: 'YouTube', device_count: 1, versions: ['2.20.1'],
+      },
+    ]);
+  });
+});
+
+// In-memory stand-in for the ctx.data query builder over a few tables.
+function memoryData(tables) {
+  return {
+    query: (table) => {
+      const filters = [];
+      const rows = () => (tables[table] ||= []);
+      const matches = (row) => filters.every(([col, val]) => row[col] === val);
+      const q = {
+        where: (col, op, val) => { filters.push([col, val]); return q; },
+        get: async () => rows().filter(matches),
+        first: async () => rows().find(matches),
+        insert: async (row) => { rows().push({ ...row }); },
+        update: async (patch) => { rows().filter(matches).forEach((row) => Object.assign(row, patch)); },
+        delete: async () => { tables[table] = rows().filter((row) => !matches(row)); },
+      };
+      return q;
+    },
+  };
+}
+
+function stubApps(apps) {
+  const xml = `<apps>${apps.map((a) => `<app id="${a.id}" type="${a.type}" version="${a.version}">${a.name}</app>`).join('')}</apps>`;
+  vi.stubGlobal('fetch', vi.fn(async () => ({
+    ok: true, status: 200, statusText: 'OK', text: async () => xml,
+  })));
+}
+
+describe('snapshotAppInventory', () => {
+  const device = { id: 'roku:inv1', ip_address: '10.0.0.61', friendly_name: 'Bar TV' };
+
+  function inventoryCtx(tables) {
+    const emitted = [];
+    return {
+      emitted,
+      ctx: {
+        data: memoryData(tables),
+        emit: (event, payload) => emitted.push({ event, payload }),
+        broadcast: () => {},
+        log: () => {},
+      },
+    };
+  }
+
+  it('records a silent baseline on the first snapshot', async () => {
+    const tables = {};
+    const { ctx, emitted } = inventoryCtx(tables);
+    stubApps([NETFLIX, HDMI]);
+    const result = await snapshotAppInventory(ctx, device);
+    expect(result.baseline).toBe(true);
+    expect(tables[APP_INVENTORY_TABLE]).toEqual([expect.objectContaining({
+      id: 'roku:inv1|12', device_id: 'roku:inv1', app_id: '12', version: '5.1.2',
+    })]);
+    expect(emitted).toEqual([]);
+  });
+
+  it('emits installs and removals against the stored inventory', async () => {
+    const tables = {};
+    const { ctx, emitted } = inventoryCtx(tables);
+    stubApps([NETFLIX]);
+    await snapshotAppInventory(ctx, device);
+    stubApps([{ ...NETFLIX, version: '5.2.0' }, YOUTUBE]);
+    await pastCoalesceWindow();
+    await snapshotAppInventory(ctx, device);
+    expect(emitted).toEqual([{
+      event: 'roku:app-installed',
+      payload: {
+        deviceId: 'roku:inv1', device_id: 'roku:inv1', device_name: 'Bar TV', app_id: '837', app_name: 'YouTube', version: '2.20.1',
+      },
+    }]);
+    expect(tables[APP_INVENTORY_TABLE].find((r) => r.app_id === '12').version).toBe('5.2.0');
+
+    stubApps([YOUTUBE]);
+    await pastCoalesceWindow();
+    await snapshotAppInventory(ctx, device);
+    expect(emitted[1]).toMatchObject({ event: 'roku:app-removed', payload: { app_id: '12', app_name: 'Netflix' } });
+    expect(tables[APP_INVENTORY_TABLE].map((r) => r.app_id)).toEqual(['837']);
+  });
+});
+
+describe('fleet app queries', () => {
+  const tables = {
+    device_registry: [
+      { id: 'roku:a', friendly_name: 'Lobby', device_type: 'roku' },
+      { id: 'roku:b', friendly_name: 'Bar', device_type: 'roku' },
+      { id: 'roku:c', friendly_name: 'New TV', device_type: 'roku' },
+    ],
+    [APP_INVENTORY_TABLE]: [
+      {
+        device_id: 'roku:a', app_id: '12', name: 'Netflix', version: '5.1.2', first_seen: '2026-10-01T00:00:00.000Z',
+      },
+      {
+        device_id: 'roku:b', app_id: '837', name: 'YouTube', version: '2.20.1', first_seen: '2026-10-01T00:00:00.000Z',
+      },
+    ],
+  };
+  const ctx = { data: memoryData(tables), log: () => {} };
+
+  it('lists apps across the fleet with a name filter', async () => {
+    const all = await roku.routes['GET /fleet/apps']({ ...ctx, query: {} });
+    expect(all).toMatchObject({ success: true, devices_tracked: 2 });
+    expect(all.apps.map((a) => a.app_id).sort()).toEqual(['12', '837']);
+    const filtered = await roku.routes['GET /fleet/apps']({ ...ctx, query: { q: 'netf' } });
+    expect(filtered.apps).toEqual([{
+      app_id: '12', name: 'Netflix', device_count: 1, versions: ['5.1.2'],
+    }]);
+  });
+
+  it('answers which devices have an app and which tracked ones lack it', async () => {
+    const r = await roku.routes['GET /fleet/apps/:appId']({ ...ctx, params: { appId: '12' } });
+    expect(r.installed).toEqual([{
+      device_id: 'roku:a', name: 'Lobby', version: '5.1.2', first_seen: '2026-10-01T00:00:00.000Z',
+    }]);
+    // roku:c has never been snapshotted, so it is not reported missing.
+    expect(r.missing).toEqual([{ device_id: 'roku:b', name: 'Bar' }]);
+  });
+});
+
+// A Roku whose store adds `pending` apps once Select is pressed on the
+// install page (or never, for a channel that wants a PIN).
+function stubStore(state) {
+  const posts = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    if (init.method === 'POST') {
+      posts.push(pathname);
+      if (pathname.startsWith('/install/')) state.storeOpen = pathname.slice('/install/'.length);
+      if (pathname === '/keypress/Select' && state.storeOpen && !state.needsPin) state.apps.push(state.storeOpen);
+    }
+    const xml = `<apps>${state.apps.map((id) => `<app id="${id}" type="appl" version="1.0">App ${id}</app>`).join('')}</apps>`;
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => xml,
+    };
+  }));
+  return posts;
+}
+
+describe('ensureAppInstalled', () => {
+  const device = { device_id: 'roku:inst1', ip_address: '10.0.0.62', name: 'Patio' };
+  const fast = { settleMs: 0, intervalMs: 0, waitMs: 0 };
+
+  afterEach(pastCoalesceWindow);
+
+  it('does nothing when the app is already there', async () => {
+    const posts = stubStore({ apps: ['837'] });
+    expect(await ensureAppInstalled(device, '837', fast)).toEqual({ app_id: '837', status: 'already-installed', version: '1.0' });
+    expect(posts).toEqual([]);
+  });
+
+  it('opens the store, confirms with Select and checks getApps', async () => {
+    const posts = stubStore({ apps: [] });
+    expect(await ensureAppInstalled(device, '837', fast)).toEqual({ app_id: '837', status: 'installed', version: '1.0' });
+    expect(posts).toEqual(['/install/837', '/keypress/Select']);
+  });
+
+  it('reports unconfirmed when the app never appears', async () => {
+    const posts = stubStore({ apps: [], needsPin: true });
+    expect(await ensureAppInstalled(device, '2285', fast)).toMatchObject({ status: 'unconfirmed' });
+    stubStore({ apps: [] });
+    expect(await ensureAppInstalled(device, '2285', { ...fast, confirm: false })).toMatchObject({ status: 'unconfirmed' });
+    expect(posts).toEqual(['/install/2285', '/keypress/Select']);
+  });
+
+  it('answers the streamed device route with the install outcome', async () => {
+    stubStore({ apps: ['837'] });
+    const tables = {
+      device_registry: [{
+        id: 'roku:inst2', friendly_name: 'Patio', ip_address: '10.0.0.67', device_type: 'roku', integration: 'roku-integration',
+      }],
+    };
+    let sent;
+    const res = { status: (code) => ({ json: (body) => { sent = { code, body }; } }) };
+    await roku.routes['POST /devices/:id/install/:appId [stream]']({
+      res, params: { id: 'roku:inst2', appId: '837' }, body: {}, data: memoryData(tables), log: () => {},
+    });
+    expect(sent).toEqual({ code: 200, body: { success: true, app_id: '837', status: 'already-installed', version: '1.0' } });
+  });
+});
+
+describe('POST /fleet/apps/install', () => {
+  it('rejects a request without app_id', async () => {
+    let sent;
+    const res = { status: (code) => ({ json: (body) => { sent = { code, body }; } }) };
+    await roku.routes['POST /fleet/apps/install [stream]']({ res, body: {}, log: () => {} });
+    expect(sent).toEqual({ code: 400, body: { success: false, error: 'app_id is required', status: 400 } });
+  });
+
+  it('reports per-device outcomes for the selected devices', async () => {
+    stubStore({ apps: ['837'] });
+    const tables = {
+      device_registry: [
+        { id: 'roku:a', friendly_name: 'Lobby', ip_address: '10.0.0.63', device_type: 'roku' },
+        { id: 'roku:b', friendly_name: 'Bar', ip_address: '10.0.0.64', device_type: 'roku' },
+      ],
+    };
+    let sent;
+    const res = { status: (code) => ({ json: (body) => { sent = { code, body }; } }) };
+    await roku.routes['POST /fleet/apps/install [stream]']({
+      res, body: { app_id: '837', device_ids: ['roku:b'] }, data: memoryData(tables), log: () => {},
+    });
+    expect(sent.code).toBe(200);
+    expect(sent.body).toMatchObject({
+      success: true, app_id: '837', total: 1, installed: 0, already_installed: 1, failed: 0,
+    });
+    expect(sent.body.results).toEqual([{
+      id: 'roku:b', name: 'Bar', ok: true, status: 'already-installed', version: '1.0', error: null,
+    }]);
+  });
+});
@@ -0,0 +1,247 @@
+import net from 'node:net';
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  splitLines, isDebuggerPrompt, parseCrash, CrashDetector, DebugConsole,
+} from 'roku-integration/debugConsole.js';
+import roku, {
+  startDebugConsoles, stopDebugConsoles, debugConsoleFor, stopEcpSessions,
+} from 'roku-integration/index.js';
+
+// Trimmed from a real 8085 capture.
+const CRASH = [
+  'BrightScript Micro Debugger.',
+  'Enter any BrightScript statement, debug commands, or HELP.',
+  '',
+  'Suspending threads...',
+  'Thread selected:  1*   pkg:/components/MainScene.brs(42)       total = label + 1',
+  '',
+  'Current Function:',
+  '042:*     total = label + 1',
+  'Type Mismatch. Operator "+" can\'t be applied to "String" and "Integer". (runtime error &h18) in pkg:/components/MainScene.brs(42)',
+  'Backtrace:',
+  '#1  Function onkeyevent(key As String, press As Boolean) As Boolean',
+  '   file/line: pkg:/components/MainScene.brs(42)',
+  '#0  Function main() As Void',
+  '   file/line: pkg:/source/main.brs(10)',
+  'Local Variables:',
+  'key              String (VT_STR_CONST) val:"OK"',
+  'Brightscript Debugger> ',
+];
+
+describe('debug console parsing', () => {
+  it('splits lines and keeps the unterminated remainder', () => {
+    expect(splitLines('a\r\nb\nc\rpartial')).toEqual({ lines: ['a', 'b', 'c'], rest: 'partial' });
+    expect(splitLines('done\n')).toEqual({ lines: ['done'], rest: '' });
+  });
+
+  it('recognizes the debugger prompt', () => {
+    expect(isDebuggerPrompt('Brightscript Debugger> ')).toBe(true);
+    expect(isDebuggerPrompt('print "Brightscript Debugger>"')).toBe(false);
+  });
+
+  it('parses the error, location and backtrace of a crash block', () => {
+    expect(parseCrash(CRASH)).toEqual({
+      error: 'Type Mismatch. Operator "+" can\'t be applied to "String" and "Integer".',
+      code: '&h18',
+      file: 'pkg:/components/MainScene.brs',
+      line: 42,
+      backtrace: [
+        {
+          frame: 1, function: 'onkeyevent(key As String, press As Boolean) As Boolean', file: 'pkg:/components/MainScene.brs', line: 42,
+        },
+        {
+          frame: 0, function: 'main() As Void', file: 'pkg:/source/main.brs', line: 10,
+        },
+      ],
+    });
+  });
+
+  it('detects a crash block from the banner through the prompt', () => {
+    const detector = new CrashDetector();
+    const done = ['[player] started', ...CRASH].map((line) => detector.push(line)).filter(Boolean);
+    expect(done).toHaveLength(1);
+    expect(done[0]).toEqual(CRASH);
+  });
+
+  it('closes a block that never reaches the prompt', () => {
+    const detector = new CrashDetector({ maxLines: 3 });
+    expect(detector.push('oops (runtime error &hec) in pkg:/source/main.brs(3)')).toBeNull();
+    expect(detector.push('Backtrace:')).toBeNull();
+    expect(detector.push('#0  Function main() As Void')).toHaveLength(3);
+  });
+});
+
+// One-connection TCP server on loopback standing in for port 8085.
+function startConsoleServer() {
+  return new Promise((resolve) => {
+    const received = [];
+    let client = null;
+    let gotClient;
+    const connected = new Promise((done) => { gotClient = done; });
+    const server = net.createServer((sock) => {
+      client = sock;
+      sock.on('data', (chunk) => received.push(chunk.toString()));
+      gotClient();
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        received,
+        connected,
+        write: (text) => client.write(text),
+        stop: () => new Promise((done) => {
+          if (client) client.destroy();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+describe('DebugConsole', () => {
+  it('streams lines, reports a crash and answers the prompt with exit', async () => {
+    const server = await startConsoleServer();
+    const lines = [];
+    const crashes = [];
+    const con = new DebugConsole('127.0.0.1', {
+      port: server.port,
+      onLines: (batch) => lines.push(...batch),
+      onCrash: (crash) => crashes.push(crash),
+    });
+    await con.connect();
+    await server.connected;
+    server.write('[player] boot\r\n[player] pai');
+    server.write('ring\r\n');
+    server.write(`${CRASH.slice(0, -1).join('\r\n')}\r\n`);
+    server.write(CRASH[CRASH.length - 1]); // the prompt has no newline
+    await vi.waitFor(() => expect(crashes).toHaveLength(1));
+    expect(lines.slice(0, 2)).toEqual(['[player] boot', '[player] pairing']);
+    expect(crashes[0]).toMatchObject({ code: '&h18', line: 42 });
+    expect(crashes[0].lines).toHaveLength(CRASH.length);
+    await vi.waitFor(() => expect(server.received.join('')).toBe('exit\r\n'));
+    con.close();
+    await server.stop();
+  });
+
+  it('rejects when the port refuses (developer mode off)', async () => {
+    const server = await startConsoleServer();
+    const { port } = server;
+    await server.stop();
+    await expect(new DebugConsole('127.0.0.1', { port }).connect()).rejects.toThrow();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// index.js: consoles attach from the poll and buffer output per device.
+// ---------------------------------------------------------------------------
+
+const { fn: poll } = roku.devices.roku.poll;
+
+function stubRokuHttp({ developerEnabled = true } = {}) {
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const { pathname } = new URL(url);
+    let body = '';
+    if (pathname === '/query/device-info') {
+      body = `<device-info><power-mode>PowerOn</power-mode><developer-enabled>${developerEnabled}</developer-enabled></device-info>`;
+    }
+    if (pathname === '/query/active-app') body = '<active-app><app id="dev">Waiveo</app></active-app>';
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => body,
+    };
+  }));
+}
+
+afterEach(() => {
+  stopDebugConsoles();
+  stopEcpSessions();
+  vi.unstubAllGlobals();
+});
+
+describe('debug console manager', () => {
+  it('attaches from the poll, buffers lines and broadcasts crashes', async () => {
+    stubRokuHttp();
+    const broadcasts = [];
+    const ctx = {
+      config: { get: async () => ({ debug_console: true }) },
+      broadcast: (event, data) => broadcasts.push({ event, data }),
+      log: () => {},
+    };
+    let handlers;
+    await startDebugConsoles(ctx, {
+      createConsole: (ip, opts) => {
+        handlers = opts;
+        return { connect: async () => {}, close: () => {} };
+      },
+    });
+    await poll({ id: 'roku:dc1', ip_address: '10.0.0.71', friendly_name: 'Atrium' });
+    await vi.waitFor(() => expect(debugConsoleFor('roku:dc1').status).toBe('attached'));
+
+    handlers.onLines(['[player] boot']);
+    handlers.onCrash({ ...parseCrash(CRASH), lines: CRASH });
+    const buffered = debugConsoleFor('roku:dc1');
+    expect(buffered.lines.map((l) => l.text)).toEqual(['[player] boot']);
+    expect(buffered.crashes[0]).toMatchObject({ file: 'pkg:/components/MainScene.brs', line: 42 });
+    expect(broadcasts.map((b) => b.event)).toEqual(['roku:console-lines', 'roku:player-crashed']);
+
+    const route = await roku.routes['GET /devices/:id/player/console']({
+      ...ctx,
+      params: { id: 'roku:dc1' },
+      query: { limit: '5' },
+      data: {
+        query: () => {
+          const q = {
+            where: () => q,
+            get: async () => [{
+              id: 'roku:dc1', ip_address: '10.0.0.71', friendly_name: 'Atrium', integration: 'roku-integration',
+            }],
+            first: async () => (await q.get())[0],
+          };
+          return q;
+        },
+      },
+    });
+    expect(route).toMatchObject({ success: true, enabled: true, status: 'attached' });
+    expect(route.lines).toHaveLength(1);
+  });
+
+  it('keeps the buffer when a dropped console reattaches', async () => {
+    stubRokuHttp();
+    const ctx = { config: { get: async () => ({ debug_console: true }) }, broadcast: () => {}, log: () => {} };
+    const opened = [];
+    await startDebugConsoles(ctx, {
+      createConsole: (ip, opts) => {
+        opened.push(opts);
+        return { connect: async () => {}, close: () => {} };
+      },
+    });
+    const device = { id: 'roku:dc2', ip_address: '10.0.0.72', friendly_name: 'Hall' };
+    await poll(device);
+    await vi.waitFor(() => expect(debugConsoleFor('roku:dc2').status).toBe('attached'));
+    opened[0].onLines(['before reboot']);
+    opened[0].onClose();
+    expect(debugConsoleFor('roku:dc2').status).toBe('down');
+    expect(debugConsoleFor('roku:dc2').lines).toHaveLength(1);
+  });
+
+  it('does not attach unless settings.debug_console is true', async () => {
+    stubRokuHttp();
+    const createConsole = vi.fn();
+    await startDebugConsoles({ config: { get: async () => ({}) }, log: () => {} }, { createConsole });
+    await poll({ id: 'roku:dc3', ip_address: '10.0.0.73', friendly_name: 'Annex' });
+    await startDebugConsoles({ config: { get: async () => ({ debug_console: false }) }, log: () => {} }, { createConsole });
+    await poll({ id: 'roku:dc3', ip_address: '10.0.0.73', friendly_name: 'Annex' });
+    expect(createConsole).not.toHaveBeenCalled();
+    expect(debugConsoleFor('roku:dc3')).toBeNull();
+  });
+
+  it('leaves devices without developer mode alone', async () => {
+    stubRokuHttp({ developerEnabled: false });
+    const createConsole = vi.fn();
+    await startDebugConsoles({ config: { get: async () => ({ debug_console: true }) }, log: () => {} }, { createConsole });
+    await poll({ id: 'roku:dc4', ip_address: '10.0.0.74', friendly_name: 'Foyer' });
+    await vi.waitFor(() => expect(debugConsoleFor('roku:dc4').status).toBe('down'));
+    expect(createConsole).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildDeepLinkParams,
+  normalizeMediaType,
+  normalizeDeepLink,
+} from 'roku-integration/deepLinks.js';
+import roku from 'roku-integration/index.js';
+
+describe('normalizeMediaType', () => {
+  it('canonicalizes case and treats empty as no deep link', () => {
+    expect(normalizeMediaType('SERIES')).toBe('series');
+    expect(normalizeMediaType('shortformvideo')).toBe('shortFormVideo');
+    expect(normalizeMediaType('')).toBeNull();
+    expect(normalizeMediaType(undefined)).toBeNull();
+  });
+
+  it('rejects types Roku does not define with a 400', () => {
+    let caught;
+    try { normalizeMediaType('podcast'); } catch (e) { caught = e; }
+    expect(caught.message).toContain('Invalid media_type "podcast"');
+    expect(caught.status).toBe(400);
+  });
+});
+
+describe('buildDeepLinkParams', () => {
+  it('maps content_id/media_type to Roku contentId/mediaType', () => {
+    expect(buildDeepLinkParams({ contentId: ' 81234567 ', mediaType: 'Episode' }))
+      .toEqual({ contentId: '81234567', mediaType: 'episode' });
+  });
+
+  it('no deep link when neither is set; 400 when only one is', () => {
+    expect(buildDeepLinkParams({})).toEqual({});
+    expect(() => buildDeepLinkParams({ contentId: 'x' })).toThrow('media_type is required');
+    expect(() => buildDeepLinkParams({ mediaType: 'movie' })).toThrow('content_id is required');
+  });
+});
+
+describe('normalizeDeepLink', () => {
+  it('requires app_id and a full deep link; label defaults to the content id', () => {
+    expect(normalizeDeepLink({ app_id: '12', content_id: 'abc', media_type: 'movie' }))
+      .toEqual({
+        app_id: '12', label: 'abc', content_id: 'abc', media_type: 'movie',
+      });
+    expect(() => normalizeDeepLink({ content_id: 'abc', media_type: 'movie' })).toThrow('app_id is required');
+    expect(() => normalizeDeepLink({ app_id: '12' })).toThrow('content_id and media_type are required');
+  });
+});
+
+// In-memory ctx.config for the deep-link library routes.
+function makeCtx(initial = {}) {
+  const store = { ...initial };
+  return {
+    store,
+    ctx: {
+      params: {},
+      query: {},
+      body: null,
+      config: {
+        get: async (key) => (key in store ? store[key] : null),
+        set: async (key, value) => { store[key] = value; },
+      },
+      log: () => {},
+    },
+  };
+}
+
+describe('deep-link library routes', () => {
+  it('POST saves to ctx.config deep_links, GET filters by app_id, DELETE removes', async () => {
+    const { ctx, store } = makeCtx();
+    ctx.body = {
+      app_id: '12', label: 'Kids playlist', content_id: 'p-99', media_type: 'series',
+    };
+    const saved = await roku.routes['POST /deep-links'](ctx);
+    expect(saved.success).toBe(true);
+    expect(saved.deep_link).toMatchObject({
+      app_id: '12', label: 'Kids playlist', content_id: 'p-99', media_type: 'series',
+    });
+    expect(store.deep_links).toHaveLength(1);
+
+    ctx.query = { app_id: '13' };
+    expect((await roku.routes['GET /deep-links'](ctx)).deep_links).toEqual([]);
+    ctx.query = { app_id: '12' };
+    expect((await roku.routes['GET /deep-links'](ctx)).deep_links).toHaveLength(1);
+
+    ctx.params = { linkId: saved.deep_link.id };
+    expect(await roku.routes['DELETE /deep-links/:linkId'](ctx)).toEqual({ success: true });
+    expect(store.deep_links).toEqual([]);
+    expect((await roku.routes['DELETE /deep-links/:linkId'](ctx)).status).toBe(404);
+  });
+
+  it('POST rejects an invalid media type with a 400 and saves nothing', async () => {
+    const { ctx, store } = makeCtx();
+    ctx.body = { app_id: '12', content_id: 'p-99', media_type: 'podcast' };
+    const result = await roku.routes['POST /deep-links'](ctx);
+    expect(result.success).toBe(false);
+    expect(result.status).toBe(400);
+    expect(store.deep_links).toBeUndefined();
+  });
+});
@@ -15,7 +15,9 @@
  * -> repo root), same pattern as roku-platform-lite.test.js.
  */
 import { describe, it, expect } from 'vitest';
-import roku, { resolveDevPassword, migrateDevCredentialsToSecrets, DEV_PW_MASK } from 'roku-integration/index.js';
+import roku, {
+  resolveDevPassword, resolvePackagePassphrase, migrateDevCredentialsToSecrets, DEV_PW_MASK,
+} from 'roku-integration/index.js';
 
 /** A minimal `ctx.data.query(table)` stand-in — mirrors roku-platform-lite.test.js. */
 function makeMockDataQuery(rowsByTable) {
@@ -255,6 +257,54 @@ describe('GET /fleet/dev-credentials — reports set/masked from ctx.secrets, ne
   });
 });
 
+// ---------------------------------------------------------------------------
+// Package passphrase — same scoped-secret shape under roku_package_passphrase
+// ---------------------------------------------------------------------------
+
+describe('package passphrase — scoped secrets like the dev password', () => {
+  it('resolvePackagePassphrase prefers the per-device key', async () => {
+    const { secrets } = makeSecretsStore({
+      roku_package_passphrase: 'fleetpass',
+      'roku_package_passphrase:SER1': 'boxpass',
+    });
+    await expect(resolvePackagePassphrase({ secrets }, 'SER1')).resolves.toBe('boxpass');
+    await expect(resolvePackagePassphrase({ secrets }, 'SER2')).resolves.toBe('fleetpass');
+  });
+
+  it('PUT/GET /fleet/packaging/passphrase write and report presence, never the value', async () => {
+    const { secrets, calls } = makeSecretsStore();
+    const ctx = {
+      secrets,
+      data: makeMockDataQuery({
+        device_registry: [{
+          id: 'roku:1', device_type: 'roku', serial_number: 'SER1', friendly_name: 'Lobby',
+        }],
+      }),
+      body: { scope: 'fleet', passphrase: 'signme' },
+      log: () => {},
+    };
+    const put = await roku.routes['PUT /fleet/packaging/passphrase'](ctx);
+    expect(put).toEqual({
+      success: true, scope: 'fleet', fleet: { set: true }, device: undefined,
+    });
+    expect(calls.set).toEqual([['roku_package_passphrase', 'signme']]);
+
+    const get = await roku.routes['GET /fleet/packaging/passphrase'](ctx);
+    expect(get.fleet).toEqual({ set: true, masked: DEV_PW_MASK });
+    expect(get.devices[0]).toMatchObject({ serial: 'SER1', set: false });
+    expect(JSON.stringify(get)).not.toContain('signme');
+  });
+
+  it('PUT rejects a body without the passphrase field', async () => {
+    const { secrets } = makeSecretsStore();
+    const result = await roku.routes['PUT /fleet/packaging/passphrase']({
+      secrets, body: { scope: 'fleet', password: 'x' }, log: () => {},
+    });
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(result.error).toContain('passphrase');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // migrateDevCredentialsToSecrets — one-time blob -> secrets migration
 // ---------------------------------------------------------------------------
@@ -338,8 +388,8 @@ describe('migrateDevCredentialsToSecrets — moves the legacy blob to per-scope
 // init() — registers the fleet-default need
 // ---------------------------------------------------------------------------
 
-describe('init() — registers the roku_dev_password fleet-default need via ctx.secrets.require', () => {
-  it('calls ctx.secrets.require with the documented key/label/description', async () => {
+describe('init() — registers the fleet-default secret needs via ctx.secrets.require', () => {
+  it('calls ctx.secrets.require with the documented keys/labels/descriptions', async () => {
     const { secrets, calls } = makeSecretsStore();
     const ctx = {
       secrets,
@@ -353,6 +403,12 @@ describe('init() — registers the roku_dev_password fleet-default need via ctx.
         label: 'Roku dev-connection password (fleet default)',
         description: 'rokudev digest password used to sideload/control Rokus',
       },
+    ], [
+      'roku_package_passphrase',
+      {
+        label: 'Roku developer-key passphrase (fleet default)',
+        description: 'genkey passphrase used to sign packages and rekey Rokus',
+      },
     ]]);
   });
 
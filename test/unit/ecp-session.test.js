@@ -0,0 +1,286 @@
+import net from 'node:net';
+import { createHash } from 'node:crypto';
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  acceptKeyFor, encodeFrame, decodeFrame, openWebSocket,
+} from 'roku-integration/wsClient.js';
+import {
+  EcpSession, authResponse, ECP2_AUTH_KEY, ECP_SESSION_EVENTS,
+} from 'roku-integration/ecpSession.js';
+import roku, {
+  startEcpSessions, stopEcpSessions, ecpSessionStatus, deviceHealthSummary,
+} from 'roku-integration/index.js';
+import { ROKU_COALESCE_WINDOW_MS } from 'roku-integration/RokuClient.js';
+
+describe('wsClient frames', () => {
+  it('round-trips masked text frames of every length class', () => {
+    for (const size of [5, 300, 70000]) {
+      const text = 'x'.repeat(size);
+      const frame = decodeFrame(encodeFrame(0x1, text));
+      expect(frame.opcode).toBe(0x1);
+      expect(frame.fin).toBe(true);
+      expect(frame.payload.toString()).toBe(text);
+    }
+  });
+
+  it('returns null for an incomplete frame', () => {
+    expect(decodeFrame(encodeFrame(0x1, 'hello').subarray(0, 4))).toBeNull();
+  });
+});
+
+// A one-connection WebSocket server on loopback: answers the upgrade, then
+// hands unmasked server frames to the test. `firstText` rides in the same
+// write (TCP chunk) as the 101.
+const serverText = (text) => {
+  const payload = Buffer.from(text);
+  return Buffer.concat([Buffer.from([0x81, payload.length]), payload]);
+};
+
+function startWsServer({ status = 101, firstText = null } = {}) {
+  return new Promise((resolve) => {
+    const received = [];
+    let client = null;
+    const server = net.createServer((sock) => {
+      client = sock;
+      let buf = Buffer.alloc(0);
+      let upgraded = false;
+      sock.on('data', (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        if (!upgraded) {
+          const end = buf.indexOf('\r\n\r\n');
+          if (end === -1) return;
+          const head = buf.subarray(0, end).toString();
+          buf = buf.subarray(end + 4);
+          const key = /Sec-WebSocket-Key: (.*)/i.exec(head)[1].trim();
+          if (status !== 101) {
+            sock.end(`HTTP/1.1 ${status} Not Found\r\nContent-Length: 0\r\n\r\n`);
+            return;
+          }
+          upgraded = true;
+          const head101 = Buffer.from(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${acceptKeyFor(key)}\r\n\r\n`);
+          sock.write(firstText ? Buffer.concat([head101, serverText(firstText)]) : head101);
+        }
+        for (let f = decodeFrame(buf); f; f = decodeFrame(buf)) {
+          buf = buf.subarray(f.length);
+          received.push({ opcode: f.opcode, text: f.payload.toString() });
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `ws://127.0.0.1:${server.address().port}/ecp-session`,
+        received,
+        sendText: (text) => { client.write(serverText(text)); },
+        close: () => new Promise((r) => { if (client) client.destroy(); server.close(r); }),
+      });
+    });
+  });
+}
+
+describe('openWebSocket', () => {
+  it('upgrades, exchanges text messages and reports the server closing', async () => {
+    const server = await startWsServer();
+    const ws = await openWebSocket(server.url, { protocol: 'ecp-2' });
+    const messages = [];
+    const closed = new Promise((r) => { ws.onclose = r; });
+    ws.onmessage = (text) => messages.push(text);
+    ws.send('{"hello":1}');
+    server.sendText('{"notify":"x"}');
+    await vi.waitFor(() => expect(messages).toEqual(['{"notify":"x"}']));
+    await vi.waitFor(() => expect(server.received).toEqual([{ opcode: 1, text: '{"hello":1}' }]));
+    await server.close();
+    await closed;
+  });
+
+  it('keeps a frame that arrived in the same chunk as the 101 until onmessage is set', async () => {
+    const server = await startWsServer({ firstText: '{"notify":"authenticate","param-challenge":"abc"}' });
+    const ws = await openWebSocket(server.url, { protocol: 'ecp-2' });
+    await new Promise((r) => { setTimeout(r, 20); });
+    const messages = [];
+    ws.onmessage = (text) => messages.push(text);
+    expect(messages).toEqual(['{"notify":"authenticate","param-challenge":"abc"}']);
+    ws.close();
+    await server.close();
+  });
+
+  it('rejects with the HTTP status when the upgrade is refused', async () => {
+    const server = await startWsServer({ status: 404 });
+    await expect(openWebSocket(server.url)).rejects.toMatchObject({ status: 404 });
+    await server.close();
+  });
+});
+
+// In-memory socket for EcpSession: `roku(msg)` plays the Roku's side.
+function fakeEcpSocket(respond) {
+  const sent = [];
+  const socket = {
+    onmessage: null,
+    onclose: null,
+    closed: false,
+    send(text) {
+      const msg = JSON.parse(text);
+      sent.push(msg);
+      const reply = respond(msg);
+      if (reply) setImmediate(() => socket.onmessage(JSON.stringify(reply)));
+    },
+    close() { socket.closed = true; },
+  };
+  const openSocket = async () => {
+    setImmediate(() => socket.onmessage(JSON.stringify({ notify: 'authenticate', 'param-challenge': 'abc123' })));
+    return socket;
+  };
+  return { socket, sent, openSocket };
+}
+
+const ok = (msg) => ({ response: msg.request, 'response-id': msg['request-id'], status: '200' });
+
+describe('EcpSession', () => {
+  it('answers the challenge with SHA-1(challenge + key) and subscribes to events', async () => {
+    const { sent, openSocket } = fakeEcpSocket(ok);
+    const session = await new EcpSession('10.0.0.50', { openSocket }).connect();
+    expect(session.url).toBe('ws://10.0.0.50:8060/ecp-session');
+    expect(sent[0]).toEqual({
+      request: 'authenticate',
+      'request-id': '1',
+      'param-response': createHash('sha1').update(`abc123${ECP2_AUTH_KEY}`).digest('base64'),
+    });
+    expect(sent[0]['param-response']).toBe(authResponse('abc123'));
+    expect(sent[1].request).toBe('request-events');
+    expect(sent[1]['param-events'].split(',')).toEqual(ECP_SESSION_EVENTS.map((e) => `+${e}`));
+  });
+
+  it('delivers notifications with param- prefixes stripped', async () => {
+    const { socket, openSocket } = fakeEcpSocket(ok);
+    const notes = [];
+    await new EcpSession('10.0.0.50', { openSocket, onNotify: (n, p) => notes.push([n, p]) }).connect();
+    socket.onmessage(JSON.stringify({ notify: 'power-mode-changed', 'param-power-mode': 'PowerOn', timestamp: '1' }));
+    expect(notes).toEqual([['power-mode-changed', { 'power-mode': 'PowerOn' }]]);
+  });
+
+  it('rejects and closes when authentication is refused', async () => {
+    const { socket, openSocket } = fakeEcpSocket((msg) => ({ ...ok(msg), status: '401', 'status-msg': 'Unauthorized' }));
+    await expect(new EcpSession('10.0.0.50', { openSocket }).connect()).rejects.toThrow('ECP-2 authenticate failed: 401');
+    expect(socket.closed).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// index.js session manager: poll.fn serves the session snapshot instead of
+// hitting the Roku, and falls back to HTTP when ECP-2 is unavailable.
+// ---------------------------------------------------------------------------
+
+const { fn: poll } = roku.devices.roku.poll;
+
+function stubRokuHttp() {
+  const paths = [];
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const { pathname } = new URL(url);
+    paths.push(pathname);
+    let body = '';
+    if (pathname === '/query/device-info') body = '<device-info><power-mode>PowerOn</power-mode></device-info>';
+    if (pathname === '/query/active-app') body = '<active-app><app type="home">Home</app></active-app>';
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => body,
+    };
+  }));
+  return paths;
+}
+
+function makeCtx() {
+  const broadcasts = [];
+  return {
+    broadcasts,
+    ctx: {
+      config: { get: async () => ({}) },
+      broadcast: (event, data) => broadcasts.push({ event, data }),
+      log: () => {},
+    },
+  };
+}
+
+afterEach(() => {
+  stopEcpSessions();
+  vi.unstubAllGlobals();
+});
+
+describe('ECP-2 session manager', () => {
+  it('serves the pushed snapshot while the session is live, refreshing on notifications', async () => {
+    const paths = stubRokuHttp();
+    const { ctx, broadcasts } = makeCtx();
+    let handlers;
+    await startEcpSessions(ctx, {
+      createSession: (ip, opts) => {
+        handlers = opts;
+        return { connect: async () => {}, close: () => {} };
+      },
+    });
+    const device = { id: 'roku:ws1', ip_address: '10.0.0.51', friendly_name: 'Loft' };
+
+    await poll(device); // opens the session; this poll still reads HTTP
+    await vi.waitFor(() => expect(broadcasts).toHaveLength(1)); // session-open refresh
+    expect(ecpSessionStatus()['roku:ws1'].status).toBe('live');
+
+    const before = paths.length;
+    const result = await poll(device);
+    await poll(device);
+    expect(paths.length).toBe(before); // no HTTP while the snapshot is fresh
+    expect(result['media_player.loft'].state).toBe('on');
+
+    handlers.onNotify('plugin-ui-run', {});
+    await vi.waitFor(() => expect(broadcasts).toHaveLength(2));
+    expect(broadcasts[1]).toMatchObject({ event: 'roku:state-changed', data: { deviceId: 'roku:ws1', reason: 'plugin-ui-run' } });
+    expect(paths.length).toBeGreaterThan(before);
+  });
+
+  it('feeds live-snapshot polls and session drops into the health history', async () => {
+    stubRokuHttp();
+    const { ctx, broadcasts } = makeCtx();
+    let handlers;
+    await startEcpSessions(ctx, {
+      createSession: (ip, opts) => {
+        handlers = opts;
+        return { connect: async () => {}, close: () => {} };
+      },
+    });
+    const device = { id: 'roku:ws4', ip_address: '10.0.0.54', friendly_name: 'Cellar' };
+    await poll(device);
+    await vi.waitFor(() => expect(broadcasts).toHaveLength(1));
+    const before = deviceHealthSummary('roku:ws4').samples;
+
+    await poll(device);
+    await poll(device);
+    expect(deviceHealthSummary('roku:ws4')).toMatchObject({ samples: before + 2, failures: 0 });
+
+    handlers.onClose();
+    expect(deviceHealthSummary('roku:ws4')).toMatchObject({ samples: before + 3, failures: 1 });
+  });
+
+  it('falls back to HTTP polling when the firmware has no ECP-2', async () => {
+    const paths = stubRokuHttp();
+    const { ctx } = makeCtx();
+    await startEcpSessions(ctx, {
+      createSession: () => ({
+        connect: async () => { throw Object.assign(new Error('WebSocket upgrade refused'), { status: 404 }); },
+        close: () => {},
+      }),
+    });
+    const device = { id: 'roku:ws2', ip_address: '10.0.0.52', friendly_name: 'Garage' };
+    await poll(device);
+    await vi.waitFor(() => expect(ecpSessionStatus()['roku:ws2'].status).toBe('down'));
+    const before = paths.length;
+    // Past RokuClient's window, so the second poll's GETs reach the device.
+    await new Promise((r) => { setTimeout(r, ROKU_COALESCE_WINDOW_MS + 10); });
+    await poll(device);
+    expect(paths.length).toBeGreaterThan(before);
+  });
+
+  it('does not open sessions when settings.ecp_sessions is false', async () => {
+    stubRokuHttp();
+    const createSession = vi.fn();
+    await startEcpSessions({ config: { get: async () => ({ ecp_sessions: false }) }, log: () => {} }, { createSession });
+    await poll({ id: 'roku:ws3', ip_address: '10.0.0.53', friendly_name: 'Shed' });
+    expect(createSession).not.toHaveBeenCalled();
+  });
+});
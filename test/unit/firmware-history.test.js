@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  firmwareFromInfo, firmwareChanged, formatFirmware, sortHistory, FIRMWARE_TABLE,
+} from 'roku-integration/firmware.js';
+import { recordFirmware } from 'roku-integration/index.js';
+
+describe('firmware helpers', () => {
+  it('reads version, build and UI version from device-info', () => {
+    expect(firmwareFromInfo({ softwareVersion: '14.0.4', softwareBuild: '4200', uiSoftwareVersion: '14.0.55' }))
+      .toEqual({ version: '14.0.4', build: '4200', ui_version: '14.0.55' });
+    expect(firmwareFromInfo({ modelName: 'Ultra' })).toBeNull();
+  });
+
+  it('treats a new build of the same version as a change', () => {
+    const a = { version: '14.0.4', build: '4200' };
+    expect(firmwareChanged(a, { version: '14.0.4', build: '4200' })).toBe(false);
+    expect(firmwareChanged(a, { version: '14.0.4', build: '4211' })).toBe(true);
+    expect(firmwareChanged(null, a)).toBe(false);
+    expect(formatFirmware(a)).toBe('14.0.4 build 4200');
+  });
+
+  it('sorts history newest first', () => {
+    const rows = [{ first_seen: '2026-09-01T00:00:00.000Z' }, { first_seen: '2026-10-01T00:00:00.000Z' }];
+    expect(sortHistory(rows)[0].first_seen).toBe('2026-10-01T00:00:00.000Z');
+  });
+});
+
+// Minimal ctx.data over one table: where(...).get() and insert().
+function historyCtx() {
+  const rows = [];
+  const emitted = [];
+  const ctx = {
+    data: {
+      query: (table) => {
+        expect(table).toBe(FIRMWARE_TABLE);
+        const filters = [];
+        const q = {
+          where: (col, op, val) => { filters.push([col, val]); return q; },
+          get: async () => rows.filter((r) => filters.every(([c, v]) => r[c] === v)),
+          insert: async (row) => { rows.push(row); },
+        };
+        return q;
+      },
+    },
+    emit: (event, payload) => emitted.push({ event, payload }),
+    broadcast: () => {},
+    log: () => {},
+  };
+  return { ctx, rows, emitted };
+}
+
+describe('recordFirmware', () => {
+  const device = { id: 'roku:fw1', friendly_name: 'Gym TV' };
+
+  it('baselines silently, ignores repeats and emits on an update', async () => {
+    const { ctx, rows, emitted } = historyCtx();
+    const before = { softwareVersion: '14.0.4', softwareBuild: '4200' };
+    expect(await recordFirmware(ctx, device, before)).toMatchObject({ changed: false });
+    expect(await recordFirmware(ctx, device, before)).toMatchObject({ changed: false });
+    expect(rows).toHaveLength(1);
+    expect(emitted).toEqual([]);
+
+    await new Promise((resolve) => { setTimeout(resolve, 2); }); // distinct first_seen
+    const result = await recordFirmware(ctx, device, { softwareVersion: '14.1.0', softwareBuild: '1100' });
+    expect(result.changed).toBe(true);
+    expect(rows).toHaveLength(2);
+    expect(emitted).toEqual([{
+      event: 'roku:firmware-changed',
+      payload: {
+        deviceId: 'roku:fw1',
+        device_id: 'roku:fw1',
+        device_name: 'Gym TV',
+        from_version: '14.0.4',
+        from_build: '4200',
+        to_version: '14.1.0',
+        to_build: '1100',
+      },
+    }]);
+  });
+
+  it('records an update once when the poll and the Info tab see it together', async () => {
+    const { ctx, rows, emitted } = historyCtx();
+    await recordFirmware(ctx, device, { softwareVersion: '14.0.4', softwareBuild: '4200' });
+    await new Promise((resolve) => { setTimeout(resolve, 2); });
+    const update = { softwareVersion: '14.1.0', softwareBuild: '1100' };
+    const results = await Promise.all([recordFirmware(ctx, device, update), recordFirmware(ctx, device, update)]);
+    expect(results.map((r) => r.changed)).toEqual([true, false]);
+    expect(rows).toHaveLength(2);
+    expect(emitted).toHaveLength(1);
+  });
+
+  it('skips devices that report no software version', async () => {
+    const { ctx, rows } = historyCtx();
+    expect(await recordFirmware(ctx, device, {})).toEqual({ changed: false, from: null, to: null });
+    expect(rows).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createHistory, addSample, healthScore, healthSeries, outageWindows, HEALTH_HISTORY_MS,
+} from 'roku-integration/health.js';
+import { recordReachability, deviceHealthSummary } from 'roku-integration/index.js';
+
+const t0 = Date.parse('2026-10-19T12:00:00.000Z');
+
+// One poll every `everyMs` for `minutes`, failing where `fails(i)` says so.
+function feed(history, {
+  start = t0, minutes = 60, everyMs = 15000, latencyMs = 40, fails = () => false,
+} = {}) {
+  const n = (minutes * 60000) / everyMs;
+  for (let i = 0; i < n; i += 1) {
+    const failed = fails(i);
+    addSample(history, {
+      at: start + i * everyMs, ok: !failed, latencyMs: failed ? null : latencyMs, error: failed ? 'fetch failed' : null,
+    });
+  }
+  return start + n * everyMs;
+}
+
+describe('healthScore', () => {
+  it('scores a steady, fast device as healthy', () => {
+    const history = createHistory();
+    const now = feed(history);
+    expect(healthScore(history, { now })).toMatchObject({
+      score: 100, status: 'healthy', samples: 240, failures: 0, latency_avg_ms: 40, outages: 0, down_since: null,
+    });
+  });
+
+  it('calls a device that keeps dropping polls flaky', () => {
+    const history = createHistory();
+    // Drops two polls in every twenty — six separate outages an hour.
+    const now = feed(history, { latencyMs: 600, fails: (i) => i % 40 === 10 || i % 40 === 11 });
+    const health = healthScore(history, { now });
+    expect(health.status).toBe('flaky');
+    expect(health.outages).toBe(6);
+    expect(health.score).toBeLessThan(90);
+    expect(health.score).toBeGreaterThan(40);
+  });
+
+  it('calls a device that stopped answering down', () => {
+    const history = createHistory();
+    const now = feed(history, { fails: (i) => i >= 200 });
+    const health = healthScore(history, { now });
+    expect(health.status).toBe('down');
+    expect(health.down_since).toBe(new Date(t0 + 200 * 15000).toISOString());
+  });
+
+  it('is unknown without samples', () => {
+    expect(healthScore(createHistory(), { now: t0 })).toMatchObject({ score: null, status: 'unknown', samples: 0 });
+    expect(healthScore(undefined, { now: t0 }).status).toBe('unknown');
+  });
+});
+
+describe('history', () => {
+  it('keeps 24 hours of minute buckets and closes outage windows', () => {
+    const history = createHistory();
+    const now = feed(history, {
+      minutes: 26 * 60, everyMs: 60000, fails: (i) => i >= 1500 && i < 1505,
+    });
+    expect(history.buckets).toHaveLength(HEALTH_HISTORY_MS / 60000);
+    expect(outageWindows(history, { now })).toEqual([{
+      start: new Date(t0 + 1500 * 60000).toISOString(),
+      end: new Date(t0 + 1505 * 60000).toISOString(),
+      duration_ms: 5 * 60000,
+      failures: 5,
+      error: 'fetch failed',
+    }]);
+  });
+
+  it('resamples into sparkline points with gaps where nothing was polled', () => {
+    const history = createHistory();
+    feed(history, { minutes: 60, fails: (i) => i >= 120 });
+    const series = healthSeries(history, { now: t0 + 2 * 3600000, spanMs: 2 * 3600000, points: 4 });
+    expect(series.map((pt) => pt.availability)).toEqual([1, 0, null, null]);
+    expect(series[0]).toEqual({ t: '2026-10-19T12:00:00.000Z', availability: 1, latency_ms: 40 });
+  });
+});
+
+describe('recordReachability', () => {
+  it('builds a per-device summary from poll outcomes', () => {
+    recordReachability('roku:hl1', { ok: true, latencyMs: 30 }, t0);
+    recordReachability('roku:hl1', { ok: false, error: 'timeout' }, t0 + 1000);
+    const summary = deviceHealthSummary('roku:hl1', { now: t0 + 2000, points: 24 });
+    expect(summary).toMatchObject({ samples: 2, failures: 1, availability: 0.5 });
+    expect(summary.series).toHaveLength(24);
+    expect(deviceHealthSummary('roku:nope', { now: t0 }).status).toBe('unknown');
+  });
+});
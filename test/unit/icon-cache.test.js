@@ -0,0 +1,183 @@
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import {
+  describe, it, expect, vi, beforeEach, afterEach,
+} from 'vitest';
+import { IconCache, iconKey, ICON_REFRESH_MS } from 'roku-integration/iconCache.js';
+import roku, { setIconCache, startIconCache } from 'roku-integration/index.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roku-icons-'));
+});
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  setIconCache(null);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const png = (n, fill = 1) => Buffer.alloc(n, fill);
+
+describe('IconCache', () => {
+  it('makes filesystem-safe keys', () => {
+    expect(iconKey('tvinput.hdmi1', '1.0.0')).toBe('tvinput.hdmi1@1.0.0');
+    expect(iconKey('../x', null)).toBe('.._x@unknown');
+  });
+
+  it('stores and reads back an icon by app and version', async () => {
+    const cache = new IconCache({ dir });
+    expect(await cache.put('12', '5.1.2', { buffer: png(10), contentType: 'image/png', etag: '"abc"' })).toBe(true);
+    const hit = await cache.get('12', '5.1.2');
+    expect(hit).toMatchObject({
+      contentType: 'image/png', etag: '"abc"', version: '5.1.2', stale: false,
+    });
+    expect(hit.buffer).toEqual(png(10));
+    expect(await cache.get('12', '5.2.0')).toBeNull();
+    expect(await cache.get('12', '5.2.0', { anyVersion: true })).toMatchObject({ version: '5.1.2' });
+  });
+
+  it('replaces the previous version of an app', async () => {
+    const cache = new IconCache({ dir });
+    await cache.put('12', '5.1.2', { buffer: png(10) });
+    await cache.put('12', '5.2.0', { buffer: png(12, 2) });
+    expect(await cache.get('12', '5.1.2')).toBeNull();
+    expect((await cache.get('12', '5.2.0')).buffer).toHaveLength(12);
+    expect(await fs.readdir(dir)).toHaveLength(2);
+  });
+
+  it('refuses oversized icons and evicts least-recently-used past the cap', async () => {
+    let t = 1000;
+    const cache = new IconCache({
+      dir, maxBytes: 25, maxIconBytes: 20, now: () => t,
+    });
+    expect(await cache.put('huge', '1', { buffer: png(21) })).toBe(false);
+    await cache.put('a', '1', { buffer: png(10) });
+    t += 1;
+    await cache.put('b', '1', { buffer: png(10) });
+    t += 1;
+    await cache.get('a', '1'); // a is now more recent than b
+    t += 1;
+    await cache.put('c', '1', { buffer: png(10) });
+    expect(await cache.get('b', '1')).toBeNull();
+    expect(await cache.get('a', '1')).not.toBeNull();
+    expect(await cache.stats()).toMatchObject({ count: 2, bytes: 20 });
+  });
+
+  it('reloads from disk and goes stale after the refresh interval', async () => {
+    let t = 1000;
+    await new IconCache({ dir, now: () => t }).put('12', '5', { buffer: png(4), etag: 'e1' });
+    const reopened = new IconCache({ dir, now: () => t });
+    t += ICON_REFRESH_MS;
+    expect(await reopened.get('12', '5')).toMatchObject({ etag: 'e1', stale: true });
+    await reopened.touch('12', '5');
+    expect(await new IconCache({ dir, now: () => t }).get('12', '5')).toMatchObject({ stale: false });
+  });
+});
+
+describe('GET /devices/:id/icon/:appId', () => {
+  const route = roku.routes['GET /devices/:id/icon/:appId [stream]'];
+
+  function iconCtx(query = {}, inventory = []) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      body: null,
+      setHeader(k, v) { this.headers[k] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; },
+      end(body) { this.body = body ?? null; },
+    };
+    const row = {
+      id: 'roku:ic1', ip_address: '10.0.0.91', friendly_name: 'Lobby', integration: 'roku-integration',
+    };
+    const q = {
+      where: () => q, get: async () => [row], first: async () => row,
+    };
+    const apps = { where: () => apps, get: async () => inventory };
+    return {
+      res,
+      params: { id: 'roku:ic1', appId: '12' },
+      query,
+      data: { query: (table) => (table === 'device_registry' ? q : apps) },
+      log: () => {},
+    };
+  }
+
+  it('fetches on a miss, then serves from disk while the device is down', async () => {
+    setIconCache(new IconCache({ dir }));
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(png(6, 7), {
+      status: 200, headers: { 'content-type': 'image/png', etag: '"v1"' },
+    })));
+    const first = iconCtx({ v: '5.1.2' });
+    await route(first);
+    expect(first.res.headers['Content-Type']).toBe('image/png');
+    expect(first.res.body).toEqual(png(6, 7));
+
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('fetch failed'); }));
+    await vi.waitFor(async () => expect(await fs.readdir(dir)).toHaveLength(2));
+    const second = iconCtx({ v: '5.1.2' });
+    await route(second);
+    expect(second.res.body).toEqual(png(6, 7));
+    expect(fetch).not.toHaveBeenCalled();
+
+    // A newer version the device can't be asked about falls back to the old icon.
+    const newer = iconCtx({ v: '5.2.0' });
+    await route(newer);
+    expect(newer.res.statusCode).toBe(200);
+    expect(newer.res.body).toEqual(png(6, 7));
+  });
+
+  it('keeps the 404/502 answers when nothing is cached', async () => {
+    setIconCache(new IconCache({ dir }));
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })));
+    const missing = iconCtx();
+    await route(missing);
+    expect(missing.res.statusCode).toBe(404);
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('fetch failed'); }));
+    const down = iconCtx();
+    await route(down);
+    expect(down.res.statusCode).toBe(502);
+  });
+
+  it('revalidates a stale icon with If-None-Match in the background', async () => {
+    let t = 1000;
+    const cache = new IconCache({ dir, now: () => t });
+    await cache.put('12', '5', { buffer: png(3), etag: '"v1"' });
+    t += ICON_REFRESH_MS;
+    setIconCache(cache);
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status: 304 })));
+    const ctx = iconCtx({ v: '5' });
+    await route(ctx);
+    expect(ctx.res.body).toEqual(png(3));
+    expect(fetch.mock.calls[0][1].headers).toEqual({ 'If-None-Match': '"v1"' });
+    await vi.waitFor(async () => expect((await cache.get('12', '5')).stale).toBe(false));
+  });
+
+  it('keys an unversioned request by the inventory version', async () => {
+    const cache = new IconCache({ dir });
+    await cache.put('12', '5.1.2', { buffer: png(3) });
+    setIconCache(cache);
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(png(5, 9), { status: 200 })));
+    const ctx = iconCtx({}, [{ device_id: 'roku:ic1', app_id: '12', version: '5.2.0' }]);
+    await route(ctx);
+    expect(ctx.res.body).toEqual(png(5, 9));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await vi.waitFor(async () => expect(await cache.get('12', '5.2.0')).not.toBeNull());
+  });
+
+  it('lives under the host data directory, uncached without one', async () => {
+    startIconCache({ dataDir: dir, log: () => {} });
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(png(4), { status: 200 })));
+    await route(iconCtx({ v: '1' }));
+    await vi.waitFor(async () => expect(await fs.readdir(path.join(dir, 'icons'))).toHaveLength(2));
+
+    startIconCache({ log: () => {} });
+    const ctx = iconCtx({ v: '1' });
+    await route(ctx);
+    expect(ctx.res.body).toEqual(png(4));
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,164 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import { subnetHosts, sweepForSerial } from 'roku-integration/rebind.js';
+import roku, {
+  relocateDevice, runSsdpSweep, startIpRebind, stopIpRebind,
+} from 'roku-integration/index.js';
+
+afterEach(() => {
+  stopIpRebind();
+  vi.unstubAllGlobals();
+});
+
+describe('rebind helpers', () => {
+  it('lists the other /24 hosts nearest first', () => {
+    const hosts = subnetHosts('192.168.1.50');
+    expect(hosts).toHaveLength(253);
+    expect(hosts.slice(0, 4)).toEqual(['192.168.1.49', '192.168.1.51', '192.168.1.48', '192.168.1.52']);
+    expect(hosts).not.toContain('192.168.1.50');
+    expect(subnetHosts('roku.local')).toEqual([]);
+    expect(subnetHosts('10.0.0.300')).toEqual([]);
+  });
+
+  it('sweeps until the serial answers', async () => {
+    const probed = [];
+    const probe = async (ip) => {
+      probed.push(ip);
+      if (ip === '10.0.0.7') return 'MOVED1';
+      if (ip === '10.0.0.3') throw new Error('ECONNREFUSED');
+      return null;
+    };
+    const hosts = ['10.0.0.3', '10.0.0.4', '10.0.0.7', '10.0.0.8', '10.0.0.9'];
+    expect(await sweepForSerial(hosts, 'MOVED1', probe, { concurrency: 1 })).toBe('10.0.0.7');
+    expect(probed).toEqual(['10.0.0.3', '10.0.0.4', '10.0.0.7']);
+    expect(await sweepForSerial(hosts, 'GONE', async () => null)).toBeNull();
+  });
+});
+
+// Read-only device_registry fake. A candidate-matched event stands in for the
+// platform DeviceTypeHost's claim, which moves the row with that serial (or
+// nothing, with `claims: false`). There is no update(): rows only change
+// through the claim.
+function rebindCtx({ registered = [], claims = true } = {}) {
+  const claimed = [];
+  const emitted = [];
+  const ctx = {
+    config: { get: async () => ({}) },
+    data: {
+      query: (table) => {
+        const wheres = [];
+        const builder = {
+          where: (col, op, value) => { wheres.push([col, value]); return builder; },
+          get: async () => (table === 'device_registry'
+            ? registered.filter((row) => wheres.every(([col, value]) => row[col] === value))
+            : []),
+        };
+        return builder;
+      },
+    },
+    emit: (event, payload) => {
+      emitted.push({ event, payload });
+      if (event !== 'discovery:candidate-matched') return;
+      claimed.push(payload.candidate);
+      const row = registered.find((r) => r.serial_number === payload.candidate.serial_number);
+      if (row && claims) row.ip_address = payload.candidate.ip_address;
+    },
+    broadcast: () => {},
+    log: () => {},
+  };
+  return { ctx, claimed, emitted };
+}
+
+describe('relocateDevice', () => {
+  const device = () => ({
+    id: 'roku:MOVED1', friendly_name: 'Den', ip_address: '10.0.0.40', serial_number: 'MOVED1',
+  });
+  const registryRow = () => ({ ...device(), integration: 'roku-integration', device_type: 'roku' });
+
+  it('rebinds to the SSDP answer once ECP confirms the serial', async () => {
+    const registered = [registryRow()];
+    const { ctx, claimed, emitted } = rebindCtx({ registered });
+    const row = device();
+    const moved = await relocateDevice(ctx, row, {
+      search: async () => [{ serial: 'MOVED1', ip: '10.0.0.77' }],
+      probe: async (ip) => (ip === '10.0.0.77' ? 'MOVED1' : null),
+    });
+    expect(moved).toEqual({ old_ip: '10.0.0.40', new_ip: '10.0.0.77', method: 'ssdp' });
+    expect(claimed).toEqual([expect.objectContaining({
+      ip_address: '10.0.0.77', serial_number: 'MOVED1', discovery_method: 'rebind', via_scan: true,
+    })]);
+    expect(registered[0].ip_address).toBe('10.0.0.77');
+    expect(row.ip_address).toBe('10.0.0.77');
+    expect(emitted[1]).toEqual({
+      event: 'roku:ip-changed',
+      payload: {
+        deviceId: 'roku:MOVED1', device_id: 'roku:MOVED1', device_name: 'Den', old_ip: '10.0.0.40', new_ip: '10.0.0.77', method: 'ssdp',
+      },
+    });
+  });
+
+  it('falls back to where discovery last probed it, then a subnet sweep', async () => {
+    const probe = async (ip) => (ip === '10.0.0.43' ? 'MOVED1' : null);
+    const fromSweep = await relocateDevice(rebindCtx({ registered: [registryRow()] }).ctx, device(), { search: async () => [], probe });
+    expect(fromSweep).toMatchObject({ new_ip: '10.0.0.43', method: 'sweep' });
+
+    // device-discovery hands every port-8060 candidate to the manifest probe.
+    vi.stubGlobal('fetch', vi.fn(async () => ({
+      ok: true, status: 200, statusText: 'OK', text: async () => '<device-info><serial-number>MOVED1</serial-number><model-name>Ultra</model-name></device-info>',
+    })));
+    expect(await roku.devices.roku.discover.probe('10.0.0.43')).toMatchObject({ id: 'roku:MOVED1' });
+    const fromCandidate = await relocateDevice(rebindCtx({ registered: [registryRow()] }).ctx, device(), {
+      search: async () => [], probe, sweep: false,
+    });
+    expect(fromCandidate).toMatchObject({ new_ip: '10.0.0.43', method: 'candidate' });
+  });
+
+  it('fails when the platform never claims the new address', async () => {
+    vi.useFakeTimers();
+    try {
+      const { ctx, emitted } = rebindCtx({ registered: [registryRow()], claims: false });
+      const row = device();
+      const moving = relocateDevice(ctx, row, {
+        search: async () => [{ serial: 'MOVED1', ip: '10.0.0.77' }],
+        probe: async () => 'MOVED1',
+      });
+      const failed = expect(moving).rejects.toThrow('did not complete');
+      await vi.advanceTimersByTimeAsync(6000);
+      await failed;
+      expect(row.ip_address).toBe('10.0.0.40');
+      expect(emitted.map((e) => e.event)).toEqual(['discovery:candidate-matched']);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('leaves the row alone when the serial is nowhere to be found', async () => {
+    const { ctx, claimed } = rebindCtx({ registered: [registryRow()] });
+    const stale = await relocateDevice(ctx, device(), {
+      // A stale SSDP lead whose address now answers as another Roku.
+      search: async () => [{ serial: 'MOVED1', ip: '10.0.0.90' }],
+      probe: async (ip) => (ip === '10.0.0.90' ? 'OTHER' : null),
+      sweep: false,
+    });
+    expect(stale).toBeNull();
+    expect(claimed).toEqual([]);
+  });
+});
+
+describe('runSsdpSweep rebinding', () => {
+  it('rebinds a registered Roku answering from a new address', async () => {
+    const registered = [{
+      id: 'roku:KNOWN9', serial_number: 'KNOWN9', ip_address: '10.0.0.9', integration: 'roku-integration', device_type: 'roku',
+    }];
+    const { ctx, emitted } = rebindCtx({ registered });
+    await startIpRebind(ctx);
+    const result = await runSsdpSweep(ctx, {
+      search: async () => [{ serial: 'KNOWN9', ip: '10.0.0.19', port: 8060 }],
+      probe: async () => 'KNOWN9',
+    });
+    expect(result.announced).toBe(0);
+    expect(registered[0].ip_address).toBe('10.0.0.19');
+    expect(emitted.map((e) => e.event)).toEqual(['discovery:candidate-matched', 'roku:ip-changed']);
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import roku from 'roku-integration/index.js';
+
+const { fn } = roku.devices.roku.poll;
+
+// Answers each ECP query by path; counts /query/media-player reads.
+function stubRoku({ activeApp, player }) {
+  const counts = { mediaPlayer: 0 };
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const { pathname } = new URL(url);
+    let body = '';
+    if (pathname === '/query/device-info') body = '<device-info><power-mode>PowerOn</power-mode></device-info>';
+    if (pathname === '/query/active-app') body = `<active-app>${activeApp}</active-app>`;
+    if (pathname === '/query/media-player') {
+      counts.mediaPlayer += 1;
+      body = player;
+    }
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => body,
+    };
+  }));
+  return counts;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe('poll: media player attributes', () => {
+  it('reports paused-in-Netflix with position/duration in seconds', async () => {
+    stubRoku({
+      activeApp: '<app id="12" type="appl" version="5.1">Netflix</app>',
+      player: '<player error="false" state="pause"><plugin id="12" name="Netflix"/><buffering current="1000" max="1000" target="0"/><position>61500 ms</position><duration>1800000 ms</duration><is_live>false</is_live></player>',
+    });
+    const result = await fn({ id: 'roku:mp1', ip_address: '10.0.0.40', friendly_name: 'Den' });
+    const { state, attributes } = result['media_player.den'];
+    expect(state).toBe('playing');
+    expect(attributes).toMatchObject({
+      media_state: 'paused',
+      is_paused: true,
+      is_buffering: false,
+      media_position: 62,
+      media_duration: 1800,
+      buffering_progress: 100,
+      media_plugin_id: '12',
+      media_plugin_name: 'Netflix',
+    });
+  });
+
+  it('reads /query/media-player at a slower cadence than the poll', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const counts = stubRoku({
+      activeApp: '<app id="12" type="appl">Netflix</app>',
+      player: '<player error="false" state="play"><position>1000 ms</position></player>',
+    });
+    const device = { id: 'roku:mp2', ip_address: '10.0.0.41', friendly_name: 'Attic' };
+    await fn(device);
+    await fn(device);
+    expect(counts.mediaPlayer).toBe(1);
+    vi.advanceTimersByTime(3000);
+    await fn(device);
+    expect(counts.mediaPlayer).toBe(2);
+  });
+
+  it('skips the media player on Home and leaves the attributes empty', async () => {
+    const counts = stubRoku({ activeApp: '<app type="home">Home</app>', player: '' });
+    const result = await fn({ id: 'roku:mp3', ip_address: '10.0.0.42', friendly_name: 'Office' });
+    expect(counts.mediaPlayer).toBe(0);
+    expect(result['media_player.office'].attributes).toMatchObject({
+      media_state: null, is_paused: false, media_position: null,
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import roku from 'roku-integration/index.js';
+import { ROKU_COALESCE_WINDOW_MS } from 'roku-integration/RokuClient.js';
+
+// RokuClient reuses a device's GET answers for ROKU_COALESCE_WINDOW_MS; wait
+// that out before reading a device whose stubbed answer just changed.
+const pastCoalesceWindow = () => new Promise((r) => { setTimeout(r, ROKU_COALESCE_WINDOW_MS + 10); });
+
+const ROKU_ROW = {
+  id: 'roku:diag1', integration: 'roku-integration', ip_address: '10.0.0.70', friendly_name: 'Lobby',
+};
+
+const ctx = {
+  params: { id: ROKU_ROW.id },
+  data: {
+    query: () => {
+      const builder = { where: () => builder, get: async () => [ROKU_ROW] };
+      return builder;
+    },
+  },
+  log: () => {},
+};
+
+function stubRoku(bodies) {
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const body = bodies[new URL(url).pathname];
+    if (body === undefined) return { ok: false, status: 404, statusText: 'Not Found', text: async () => '' };
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => body,
+    };
+  }));
+}
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  await pastCoalesceWindow();
+});
+
+describe('GET /devices/:id/player/diagnostics', () => {
+  const route = roku.routes['GET /devices/:id/player/diagnostics'];
+
+  it('reports dev_channel_active:false when the player is not on screen', async () => {
+    stubRoku({ '/query/active-app': '<active-app><app id="12">Netflix</app></active-app>' });
+    expect(await route(ctx)).toMatchObject({ success: true, dev_channel_active: false, active_app: 'Netflix' });
+  });
+
+  it('collects every section, nulling the ones that fail', async () => {
+    stubRoku({
+      '/query/active-app': '<active-app><app id="dev" version="2.8.0">Waiveo</app></active-app>',
+      '/query/sgnodes/all': '<sgnodes><All_Nodes><MainScene><Label/></MainScene></All_Nodes></sgnodes>',
+      '/query/sgnodes/roots': '<sgnodes><Roots><MainScene/></Roots></sgnodes>',
+      '/query/chanperf': '<chanperf><plugin id="dev"><cpu-percent><user>5</user><sys>1</sys></cpu-percent><memory><res>1000</res></memory></plugin><status>OK</status></chanperf>',
+    });
+    const result = await route(ctx);
+    expect(result).toMatchObject({
+      success: true,
+      dev_channel_active: true,
+      sgnodes: { total: 2 },
+      sgnode_roots: { total: 1 },
+      chanperf: { cpu: { user: 5, sys: 1 }, memory: { res: 1000 } },
+      textures: null,
+    });
+    expect(result.errors).toEqual({ textures: 'HTTP 404: Not Found' });
+  });
+});
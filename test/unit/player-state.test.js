@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import {
   compareVersion,
   deriveConnState,
+  isPairingScreen,
   parseVersion,
 } from 'roku-integration/fleet/playerState.js';
 
@@ -62,4 +63,17 @@ describe('deriveConnState', () => {
     expect(deriveConnState({})).toBe('unknown');
     expect(deriveConnState()).toBe('unknown');
   });
+  it('unpaired + dev channel showing its pairing code -> pairing', () => {
+    expect(deriveConnState({ pairing: 'unpaired', devChannelActive: true, pairingScreen: true })).toBe('pairing');
+    expect(deriveConnState({ pairing: 'unpaired', devChannelActive: true, pairingScreen: false })).toBe('stale-token');
+  });
+});
+
+describe('isPairingScreen', () => {
+  it('spots pairing prompts in on-screen text', () => {
+    expect(isPairingScreen(['Slidecast', 'Enter this code at slidecast.app'])).toBe(true);
+    expect(isPairingScreen(['Your pairing code is'])).toBe(true);
+    expect(isPairingScreen(['Now showing: Lobby loop'])).toBe(false);
+    expect(isPairingScreen(undefined)).toBe(false);
+  });
 });
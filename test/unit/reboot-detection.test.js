@@ -0,0 +1,232 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  detectReboot, rebootStats, rebootScriptFor, REBOOT_SCRIPTS, REBOOT_TABLE,
+} from 'roku-integration/reboots.js';
+import roku, {
+  recordUptime, rebootDevice, startRebootDetection, stopRebootDetection,
+} from 'roku-integration/index.js';
+
+afterEach(() => {
+  stopRebootDetection(); // clears the in-memory uptime samples
+  vi.unstubAllGlobals();
+});
+
+describe('detectReboot', () => {
+  const at = Date.parse('2026-10-19T12:00:00.000Z');
+
+  it('flags uptime going backwards and estimates when it happened', () => {
+    expect(detectReboot({ uptime: 86400, at: at - 300000 }, { uptime: 120, at })).toEqual({
+      rebooted_at: '2026-10-19T11:58:00.000Z', previous_uptime: 86400, uptime: 120,
+    });
+  });
+
+  it('ignores growing uptime, a missing baseline and junk samples', () => {
+    expect(detectReboot({ uptime: 100, at }, { uptime: 400, at: at + 300000 })).toBeNull();
+    expect(detectReboot(null, { uptime: 5, at })).toBeNull();
+    expect(detectReboot({ uptime: 100, at }, { uptime: NaN, at })).toBeNull();
+  });
+
+  it('counts reboots per device within the window', () => {
+    const now = Date.parse('2026-10-19T00:00:00.000Z');
+    const rows = [
+      { device_id: 'a', rebooted_at: '2026-10-18T03:00:00.000Z' },
+      { device_id: 'a', rebooted_at: '2026-10-17T03:00:00.000Z' },
+      { device_id: 'a', rebooted_at: '2026-10-16T03:00:00.000Z', cause: 'command' },
+      { device_id: 'a', rebooted_at: '2026-09-01T03:00:00.000Z' },
+      { device_id: 'b', rebooted_at: '2026-08-01T03:00:00.000Z' },
+    ];
+    const stats = rebootStats(rows, { now });
+    expect(stats.get('a')).toEqual({ count: 2, last: '2026-10-18T03:00:00.000Z' });
+    expect(stats.get('b')).toEqual({ count: 0, last: '2026-08-01T03:00:00.000Z' });
+  });
+});
+
+describe('recordUptime', () => {
+  function rebootCtx() {
+    const rows = [];
+    const emitted = [];
+    const ctx = {
+      data: {
+        query: (table) => {
+          expect(table).toBe(REBOOT_TABLE);
+          return { insert: async (row) => { rows.push(row); } };
+        },
+      },
+      emit: (event, payload) => emitted.push({ event, payload }),
+      broadcast: () => {},
+      log: () => {},
+    };
+    return { ctx, rows, emitted };
+  }
+
+  it('records a reboot row and emits roku:rebooted when uptime drops', async () => {
+    const { ctx, rows, emitted } = rebootCtx();
+    const device = { id: 'roku:rb1', friendly_name: 'Kitchen' };
+    const t0 = Date.parse('2026-10-19T12:00:00.000Z');
+    expect(await recordUptime(ctx, device, 5000, t0)).toBeNull();
+    expect(await recordUptime(ctx, device, 5300, t0 + 300000)).toBeNull();
+    const reboot = await recordUptime(ctx, device, 60, t0 + 600000);
+    expect(reboot).toEqual({
+      rebooted_at: '2026-10-19T12:09:00.000Z', previous_uptime: 5300, uptime: 60, cause: null,
+    });
+    expect(rows).toEqual([{
+      id: 'roku:rb1|2026-10-19T12:09:00.000Z',
+      device_id: 'roku:rb1',
+      rebooted_at: '2026-10-19T12:09:00.000Z',
+      previous_uptime: 5300,
+      uptime: 60,
+      cause: null,
+      detected_at: '2026-10-19T12:10:00.000Z',
+    }]);
+    expect(emitted).toEqual([{
+      event: 'roku:rebooted',
+      payload: {
+        deviceId: 'roku:rb1', device_id: 'roku:rb1', device_name: 'Kitchen', ...reboot,
+      },
+    }]);
+  });
+
+  it('records reboots without cause into a table that predates the column', async () => {
+    const { ctx, rows } = rebootCtx();
+    const insert = vi.fn(async (row) => {
+      if ('cause' in row) throw new Error('table roku_reboots has no column named cause');
+      rows.push(row);
+    });
+    ctx.data.query = () => ({ insert });
+    const device = { id: 'roku:rb4' };
+    const t0 = Date.parse('2026-10-19T12:00:00.000Z');
+    await recordUptime(ctx, device, 5000, t0);
+    await recordUptime(ctx, device, 60, t0 + 300000);
+    await recordUptime(ctx, device, 30, t0 + 600000);
+    expect(rows).toHaveLength(2);
+    expect(rows.every((row) => !('cause' in row))).toBe(true);
+    // The missing column is found once, not on every reboot.
+    expect(insert).toHaveBeenCalledTimes(3);
+    stopRebootDetection();
+  });
+
+  it('ignores a device that does not report uptime', async () => {
+    const { ctx, rows } = rebootCtx();
+    expect(await recordUptime(ctx, { id: 'roku:rb2' }, null)).toBeNull();
+    expect(rows).toEqual([]);
+  });
+});
+
+describe('rebootScriptFor', () => {
+  it('picks the TV or player menu walk, with per-profile overrides', () => {
+    expect(rebootScriptFor({ isTv: true }).map((s) => s.key)).toEqual(REBOOT_SCRIPTS.tv);
+    expect(rebootScriptFor({ isTv: false }).map((s) => s.key)).toEqual(REBOOT_SCRIPTS.player);
+    expect(rebootScriptFor({ isTv: false }, { player: ['Home', 'Select'] })).toEqual([
+      { key: 'Home', delayMs: 3000 }, { key: 'Select', delayMs: 1500 },
+    ]);
+    expect(rebootScriptFor({ isTv: true }, { player: ['Home'] }).map((s) => s.key)).toEqual(REBOOT_SCRIPTS.tv);
+  });
+});
+
+describe('rebootDevice', () => {
+  // ECP that goes dark `downFor` probes after the script's last key, then
+  // answers again with a fresh uptime. restarts=false never goes down;
+  // `screen` is the text /query/app-ui shows before that key.
+  function stubRestartingRoku({
+    restarts = true, downFor = 2, powerMode = 'PowerOn', screen = 'System restart',
+  } = {}) {
+    const keys = [];
+    let down = -1;
+    let uptime = 90000;
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+      const { pathname } = new URL(url);
+      if (init.method === 'POST') {
+        keys.push(pathname.replace('/keypress/', ''));
+        if (restarts && pathname === '/keypress/Select') down = downFor;
+      } else if (down > 0) {
+        down -= 1;
+        if (down === 0) uptime = 45;
+        throw new TypeError('fetch failed');
+      } else if (pathname === '/query/app-ui') {
+        return {
+          ok: true, status: 200, statusText: 'OK', text: async () => `<app-ui><topscreen><screen><Label text="${screen}"/></screen></topscreen></app-ui>`,
+        };
+      }
+      const xml = `<device-info><is-tv>false</is-tv><power-mode>${powerMode}</power-mode><uptime>${uptime}</uptime></device-info>`;
+      return {
+        ok: true, status: 200, statusText: 'OK', text: async () => xml,
+      };
+    }));
+    return keys;
+  }
+
+  const device = {
+    id: 'roku:rb3', friendly_name: 'Lobby', ip_address: '10.0.0.83',
+  };
+  const pace = async () => {};
+
+  it('walks the menu, waits for ECP to drop and return, and tags the reboot', async () => {
+    const keys = stubRestartingRoku();
+    const rows = [];
+    const emitted = [];
+    await startRebootDetection({
+      config: { get: async () => ({}) },
+      data: { query: () => ({ insert: async (row) => { rows.push(row); } }) },
+      emit: (event, payload) => emitted.push(payload),
+      broadcast: () => {},
+      log: () => {},
+    });
+    const result = await rebootDevice(device, { pace });
+    expect(keys).toEqual(REBOOT_SCRIPTS.player);
+    expect(result).toMatchObject({ success: true, profile: 'player', uptime: 45 });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      device_id: 'roku:rb3', previous_uptime: 90000, uptime: 45, cause: 'command',
+    });
+    expect(emitted[0].cause).toBe('command');
+  });
+
+  it('wakes a Roku in standby before walking the menu', async () => {
+    const keys = stubRestartingRoku({ powerMode: 'DisplayOff' });
+    await rebootDevice(device, { pace, script: [{ key: 'Select', delayMs: 0 }] });
+    expect(keys).toEqual(['PowerOn', 'Select']);
+  });
+
+  it('backs out and fails when ECP never goes down', async () => {
+    const keys = stubRestartingRoku({ restarts: false });
+    await expect(rebootDevice(device, { pace, waitDownMs: 0 })).rejects.toMatchObject({
+      code: 'REBOOT_NOT_STARTED', status: 502,
+    });
+    expect(keys.at(-1)).toBe('Home');
+  });
+
+  it('backs out without confirming when System restart is not on screen', async () => {
+    const keys = stubRestartingRoku({ screen: 'Network' });
+    await expect(rebootDevice(device, { pace })).rejects.toMatchObject({
+      code: 'REBOOT_MENU_NOT_FOUND', status: 502,
+    });
+    expect(keys).toEqual([...REBOOT_SCRIPTS.player.slice(0, -1), 'Home']);
+  });
+
+  it('holds typing back until the menu walk has confirmed', async () => {
+    const keys = stubRestartingRoku();
+    const macrotask = () => new Promise((r) => { setImmediate(r); });
+    const rebooting = rebootDevice(device, { pace: macrotask });
+    await macrotask();
+    const row = { ...device, integration: 'roku-integration' };
+    const builder = { where: () => builder, get: async () => [row] };
+    const typing = roku.routes['POST /devices/:id/text [stream]']({
+      params: { id: device.id },
+      body: { text: 'ab' },
+      data: { query: () => builder },
+      log: () => {},
+      res: { status: () => ({ json: () => {} }) },
+    });
+    await Promise.all([rebooting, typing]);
+    expect(keys).toEqual([...REBOOT_SCRIPTS.player, 'Lit_a', 'Lit_b']);
+  });
+
+  it('fails when the Roku does not come back', async () => {
+    stubRestartingRoku({ downFor: 1000 });
+    await expect(rebootDevice(device, { pace, waitUpMs: 0 })).rejects.toMatchObject({
+      code: 'REBOOT_NOT_BACK', status: 504,
+    });
+  });
+});
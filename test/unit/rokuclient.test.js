@@ -0,0 +1,496 @@
+import {
+  describe, it, expect, vi, beforeEach, afterEach,
+} from 'vitest';
+// Bare specifier resolved by vitest.config.js resolve.alias (roku-integration/ → repo root).
+import {
+  RokuClient, KEY_HOLD_AUTO_RELEASE_MS, ROKU_MAX_CONCURRENT_REQUESTS, ROKU_COALESCE_WINDOW_MS,
+  rokuConnectionStats, resetRokuConnections,
+} from 'roku-integration/RokuClient.js';
+
+// Records every ECP request the client makes; answers 200 with `body`.
+// A new stub is a new device answer, so answers kept from the last one go.
+function stubFetch(body = '') {
+  resetRokuConnections();
+  const calls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+    calls.push({ url, method: init.method || 'GET' });
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => body,
+    };
+  }));
+  return calls;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+  resetRokuConnections();
+});
+
+describe('RokuClient keydown / keyup', () => {
+  let calls;
+  beforeEach(() => {
+    vi.useFakeTimers();
+    calls = stubFetch();
+  });
+
+  it('keydown posts /keydown/{key} and keyup posts /keyup/{key}', async () => {
+    const client = new RokuClient('10.0.0.5');
+    await expect(client.keydown('Fwd')).resolves.toEqual({
+      success: true, key: 'Fwd', autoReleaseMs: KEY_HOLD_AUTO_RELEASE_MS,
+    });
+    expect(client.isKeyHeld('Fwd')).toBe(true);
+    await client.keyup('Fwd');
+    expect(client.isKeyHeld('Fwd')).toBe(false);
+    expect(calls).toEqual([
+      { url: 'http://10.0.0.5:8060/keydown/Fwd', method: 'POST' },
+      { url: 'http://10.0.0.5:8060/keyup/Fwd', method: 'POST' },
+    ]);
+  });
+
+  it('a keyup on a DIFFERENT instance (as the routes do) disarms the auto-release', async () => {
+    await new RokuClient('10.0.0.6').keydown('VolumeUp');
+    await new RokuClient('10.0.0.6').keyup('VolumeUp');
+    await vi.advanceTimersByTimeAsync(KEY_HOLD_AUTO_RELEASE_MS * 2);
+    expect(calls.filter((c) => c.url.includes('/keyup/'))).toHaveLength(1);
+  });
+
+  it('auto-releases a held key when keyup never arrives', async () => {
+    const client = new RokuClient('10.0.0.7');
+    await client.keydown('Rev', { autoReleaseMs: 500 });
+    await vi.advanceTimersByTimeAsync(499);
+    expect(calls.some((c) => c.url.endsWith('/keyup/Rev'))).toBe(false);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(calls.at(-1)).toEqual({ url: 'http://10.0.0.7:8060/keyup/Rev', method: 'POST' });
+    expect(client.isKeyHeld('Rev')).toBe(false);
+  });
+
+  it('rejects key names outside the ECP grammar before any request', async () => {
+    const client = new RokuClient('10.0.0.8');
+    await expect(client.keydown('../query/apps')).rejects.toThrow('Invalid keydown key');
+    await expect(client.keyup('')).rejects.toThrow('Invalid keyup key');
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('RokuClient TV tuner', () => {
+  it('getTvChannels parses the lineup (single and multiple <channel> nodes)', async () => {
+    stubFetch(`<?xml version="1.0" encoding="UTF-8" ?>
+<tv-channels>
+  <channel><number>2.1</number><name>WCBS-HD</name><type>air-digital</type><user-hidden>false</user-hidden></channel>
+  <channel><number>4.1</number><name>WNBC</name><type>air-digital</type><user-hidden>true</user-hidden></channel>
+</tv-channels>`);
+    const channels = await new RokuClient('10.0.0.9').getTvChannels();
+    expect(channels).toEqual([
+      {
+        number: '2.1', name: 'WCBS-HD', type: 'air-digital', userHidden: false,
+      },
+      {
+        number: '4.1', name: 'WNBC', type: 'air-digital', userHidden: true,
+      },
+    ]);
+
+    stubFetch('<tv-channels><channel><number>7.1</number><name>WABC</name></channel></tv-channels>');
+    expect(await new RokuClient('10.0.0.9').getTvChannels()).toHaveLength(1);
+
+    stubFetch('<tv-channels/>');
+    expect(await new RokuClient('10.0.0.9').getTvChannels()).toEqual([]);
+  });
+
+  it('getTvActiveChannel returns the tuned channel with program info, null when nothing is tuned', async () => {
+    stubFetch(`<tv-channel><channel>
+  <number>7.1</number><name>WABC-HD</name><type>air-digital</type><user-hidden>false</user-hidden>
+  <active-input>true</active-input><signal-state>valid</signal-state><signal-mode>1080i</signal-mode>
+  <signal-quality>92</signal-quality><signal-strength>-48</signal-strength>
+  <program-title>World News Tonight</program-title><program-description></program-description>
+  <program-ratings>TV-PG</program-ratings><program-has-cc>true</program-has-cc>
+</channel></tv-channel>`);
+    const channel = await new RokuClient('10.0.0.9').getTvActiveChannel();
+    expect(channel).toMatchObject({
+      number: '7.1',
+      name: 'WABC-HD',
+      activeInput: true,
+      signalState: 'valid',
+      signalQuality: 92,
+      signalStrength: -48,
+      programTitle: 'World News Tonight',
+      programDescription: null,
+      programHasCc: true,
+    });
+
+    stubFetch('<tv-channel></tv-channel>');
+    expect(await new RokuClient('10.0.0.9').getTvActiveChannel()).toBeNull();
+  });
+
+  it('tuneChannel launches tvinput.dtv with ?ch= and rejects malformed channels', async () => {
+    const calls = stubFetch();
+    const client = new RokuClient('10.0.0.9');
+    await expect(client.tuneChannel(' 7.1 ')).resolves.toEqual({ success: true, channel: '7.1' });
+    expect(calls).toEqual([{ url: 'http://10.0.0.9:8060/launch/tvinput.dtv?ch=7.1', method: 'POST' }]);
+    await expect(client.tuneChannel('7.1&x=1')).rejects.toMatchObject({ message: expect.stringContaining('Invalid TV channel'), status: 400 });
+    expect(calls).toHaveLength(1);
+  });
+});
+
+describe('RokuClient sendInput', () => {
+  it('posts /input with the params as an encoded query string', async () => {
+    const calls = stubFetch();
+    const result = await new RokuClient('10.0.0.10').sendInput({ command: 'message', text: 'Fire drill at 3pm', id: 42 });
+    expect(result).toEqual({ success: true, params: { command: 'message', text: 'Fire drill at 3pm', id: 42 } });
+    expect(calls).toEqual([{
+      url: 'http://10.0.0.10:8060/input?command=message&text=Fire%20drill%20at%203pm&id=42',
+      method: 'POST',
+    }]);
+  });
+
+  it('rejects empty or non-scalar params before any request', async () => {
+    const calls = stubFetch();
+    const client = new RokuClient('10.0.0.10');
+    await expect(client.sendInput({})).rejects.toThrow('At least one input param is required');
+    await expect(client.sendInput({ a: null })).rejects.toThrow('At least one input param is required');
+    await expect(client.sendInput({ nested: { x: 1 } })).rejects.toThrow('must be a string, number or boolean');
+    await expect(client.sendInput('a=1')).rejects.toThrow('Input params must be an object');
+    await expect(client.sendInput({ a: [] })).rejects.toMatchObject({ status: 400 });
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('RokuClient getUptime', () => {
+  it('reads uptime seconds from device-info', async () => {
+    stubFetch('<device-info><power-mode>PowerOn</power-mode><uptime>86123</uptime></device-info>');
+    expect(await new RokuClient('10.0.0.10').getUptime()).toBe(86123);
+    stubFetch('<device-info><power-mode>PowerOn</power-mode></device-info>');
+    expect(await new RokuClient('10.0.0.10').getUptime()).toBeNull();
+  });
+});
+
+describe('RokuClient installApp', () => {
+  it('posts /install/{appId} with optional params', async () => {
+    const calls = stubFetch();
+    const client = new RokuClient('10.0.0.10');
+    expect(await client.installApp(' 837 ')).toEqual({ success: true, appId: '837' });
+    await client.installApp('12', { contentID: 'abc' });
+    expect(calls).toEqual([
+      { url: 'http://10.0.0.10:8060/install/837', method: 'POST' },
+      { url: 'http://10.0.0.10:8060/install/12?contentID=abc', method: 'POST' },
+    ]);
+    await expect(client.installApp('')).rejects.toThrow('App ID is required');
+  });
+});
+
+describe('RokuClient search', () => {
+  it('posts /search/browse with keyword, type, providers, season and launch', async () => {
+    const calls = stubFetch();
+    const result = await new RokuClient('10.0.0.10').search(' Bluey ', {
+      type: 'tv-show', providerId: ['291097', '12'], season: '2', launch: true,
+    });
+    expect(result.keyword).toBe('Bluey');
+    expect(calls).toEqual([{
+      url: 'http://10.0.0.10:8060/search/browse?keyword=Bluey&type=tv-show&provider-id=291097%2C12&season=2&launch=true',
+      method: 'POST',
+    }]);
+  });
+
+  it('defaults to a tv-show search that only shows results', async () => {
+    const calls = stubFetch();
+    await new RokuClient('10.0.0.10').search('Bluey');
+    expect(calls[0].url).toBe('http://10.0.0.10:8060/search/browse?keyword=Bluey&type=tv-show&launch=false');
+  });
+
+  it('rejects bad options with status 400 before any request', async () => {
+    const calls = stubFetch();
+    const client = new RokuClient('10.0.0.10');
+    await expect(client.search('')).rejects.toThrow('Search keyword is required');
+    await expect(client.search('x', { type: 'album' })).rejects.toThrow('Invalid search type');
+    await expect(client.search('x', { season: 2, type: 'movie' })).rejects.toThrow('season only applies');
+    await expect(client.search('x', { season: 0 })).rejects.toThrow('Invalid season');
+    await expect(client.search('x', { launch: true })).rejects.toThrow('launch requires a provider id');
+    await expect(client.search('x', { providerId: '12&launch=true' })).rejects.toMatchObject({ status: 400 });
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('RokuClient inputText', () => {
+  it('types Lit_ keys and maps \\b to Backspace and \\n to Enter', async () => {
+    const calls = stubFetch();
+    const result = await new RokuClient('10.0.0.10').inputText('a \bb\n');
+    expect(result).toMatchObject({ typed: 5, cancelled: false });
+    expect(calls.map((c) => c.url.replace('http://10.0.0.10:8060', ''))).toEqual([
+      '/keypress/Lit_a', '/keypress/Lit_%20', '/keypress/Backspace', '/keypress/Lit_b', '/keypress/Enter',
+    ]);
+  });
+
+  it('stops between keypresses once the signal aborts', async () => {
+    const calls = stubFetch();
+    const controller = new AbortController();
+    const pending = new RokuClient('10.0.0.10').inputText('hello', { signal: controller.signal });
+    await vi.waitFor(() => expect(calls.length).toBe(2));
+    controller.abort();
+    const result = await pending;
+    expect(result).toMatchObject({ cancelled: true });
+    expect(result.typed).toBeLessThan(5);
+    expect(calls).toHaveLength(result.typed);
+  });
+});
+
+describe('RokuClient getMediaPlayer', () => {
+  const PLAYER_XML = `<?xml version="1.0" encoding="UTF-8" ?>
+<player error="false" state="pause">
+  <plugin bandwidth="18228053 bps" id="12" name="Netflix"/>
+  <format audio="aac_adts" captions="webvtt" container="hls" drm="widevine" video="mpeg4_10b" video_res="1920x1080"/>
+  <buffering current="600" max="1000" target="0"/>
+  <new_stream speed="128000 bps"/>
+  <position>11967 ms</position>
+  <duration>1800000 ms</duration>
+  <is_live blocked="false">false</is_live>
+  <runtime>21254 ms</runtime>
+  <stream_segment bitrate="5000000" media_sequence="5" segment_type="mux" time="10000"/>
+</player>`;
+
+  it('parses plugin, format, buffering, stream info and unit-suffixed times', async () => {
+    stubFetch(PLAYER_XML);
+    expect(await new RokuClient('10.0.0.10').getMediaPlayer()).toEqual({
+      error: false,
+      state: 'pause',
+      plugin: { id: '12', name: 'Netflix', bandwidth: 18228053 },
+      format: {
+        audio: 'aac_adts', video: 'mpeg4_10b', captions: 'webvtt', container: 'hls', drm: 'widevine', videoRes: '1920x1080',
+      },
+      buffering: { current: 600, max: 1000, target: 0 },
+      stream: { speed: 128000, bitrate: 5000000, segmentType: 'mux' },
+      position: 11967,
+      duration: 1800000,
+      runtime: 21254,
+      isLive: false,
+    });
+  });
+
+  it('returns nulls for the stream sections when no stream is open', async () => {
+    stubFetch('<player error="false" state="close"><plugin id="12" name="Netflix"/><is_live>false</is_live></player>');
+    expect(await new RokuClient('10.0.0.10').getMediaPlayer()).toMatchObject({
+      state: 'close', format: null, buffering: null, stream: null, position: null, duration: null,
+    });
+  });
+});
+
+describe('RokuClient per-device connection sharing', () => {
+  // fetch that only answers when the test releases it; tracks peak concurrency.
+  function stubDeferredFetch() {
+    const state = { calls: [], waiting: [], active: 0, peak: 0 };
+    vi.stubGlobal('fetch', vi.fn((url, init = {}) => {
+      state.calls.push({ url, method: init.method || 'GET' });
+      state.active += 1;
+      state.peak = Math.max(state.peak, state.active);
+      return new Promise((resolve) => {
+        state.waiting.push(() => {
+          state.active -= 1;
+          resolve({
+            ok: true, status: 200, statusText: 'OK', text: async () => '<active-app><app id="12">Netflix</app></active-app>',
+          });
+        });
+      });
+    }));
+    state.releaseAll = async () => {
+      while (state.waiting.length > 0 || state.active > 0) {
+        state.waiting.splice(0).forEach((release) => release());
+        await new Promise((r) => setImmediate(r));
+      }
+    };
+    return state;
+  }
+
+  it('coalesces identical in-flight GETs across client instances', async () => {
+    const state = stubDeferredFetch();
+    const pending = [
+      new RokuClient('10.0.0.60').getActiveApp(),
+      new RokuClient('10.0.0.60').getActiveApp(),
+      new RokuClient('10.0.0.61').getActiveApp(), // another device is separate
+    ];
+    await new Promise((r) => setImmediate(r));
+    expect(state.calls.map((c) => c.url)).toEqual([
+      'http://10.0.0.60:8060/query/active-app',
+      'http://10.0.0.61:8060/query/active-app',
+    ]);
+    await state.releaseAll();
+    const [a, b] = await Promise.all(pending);
+    expect(a).toEqual(b);
+    expect(a.id).toBe('12');
+    expect(rokuConnectionStats()['http://10.0.0.60:8060']).toEqual({ active: 0, queued: 0, inflight: 0 });
+  });
+
+  it('reuses a GET answer within the window until a POST to the device', async () => {
+    const calls = stubFetch('<active-app><app id="12">Netflix</app></active-app>');
+    await new RokuClient('10.0.0.63').getActiveApp();
+    await new RokuClient('10.0.0.63').getActiveApp();
+    expect(calls).toHaveLength(1);
+
+    const fresh = new RokuClient('10.0.0.63');
+    fresh.setFresh();
+    await fresh.getActiveApp();
+    expect(calls).toHaveLength(2);
+
+    await new RokuClient('10.0.0.63').keypress('Home');
+    await new RokuClient('10.0.0.63').getActiveApp();
+    expect(calls.map((c) => c.method)).toEqual(['GET', 'GET', 'POST', 'GET']);
+  });
+
+  it('reads again once the window has passed', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const calls = stubFetch('<active-app><app id="12">Netflix</app></active-app>');
+    await new RokuClient('10.0.0.64').getActiveApp();
+    vi.setSystemTime(Date.now() + ROKU_COALESCE_WINDOW_MS);
+    await new RokuClient('10.0.0.64').getActiveApp();
+    expect(calls).toHaveLength(2);
+  });
+
+  it('does not coalesce GETs made with different timeouts', async () => {
+    const state = stubDeferredFetch();
+    const poll = new RokuClient('10.0.0.65');
+    poll.setTimeout(1200);
+    const pending = [poll.getActiveApp(), new RokuClient('10.0.0.65').getActiveApp()];
+    await new Promise((r) => setImmediate(r));
+    expect(state.calls).toHaveLength(2);
+    await state.releaseAll();
+    await Promise.all(pending);
+  });
+
+  it('counts the wait for a request slot against the timeout', async () => {
+    const state = stubDeferredFetch();
+    const busy = new RokuClient('10.0.0.66');
+    const pending = [busy.keypress('Up'), busy.keypress('Down')];
+    const poll = new RokuClient('10.0.0.66');
+    poll.setTimeout(50);
+    const started = Date.now();
+    await expect(poll.getActiveApp()).rejects.toThrow('Request timeout');
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(rokuConnectionStats()['http://10.0.0.66:8060']).toMatchObject({ active: 2, queued: 0 });
+    await state.releaseAll();
+    await Promise.all(pending);
+    expect(state.calls).toHaveLength(2);
+  });
+
+  it('caps concurrent requests per device and never coalesces POSTs', async () => {
+    const state = stubDeferredFetch();
+    const client = new RokuClient('10.0.0.62');
+    const pending = [
+      client.keypress('Up'), client.keypress('Up'), client.keypress('Up'), client._get('/query/apps'),
+    ];
+    await new Promise((r) => setImmediate(r));
+    expect(state.active).toBe(ROKU_MAX_CONCURRENT_REQUESTS);
+    expect(rokuConnectionStats()['http://10.0.0.62:8060']).toMatchObject({ active: 2, queued: 2 });
+    await state.releaseAll();
+    await Promise.all(pending);
+    expect(state.peak).toBe(ROKU_MAX_CONCURRENT_REQUESTS);
+    expect(state.calls.filter((c) => c.method === 'POST')).toHaveLength(3);
+  });
+
+  it('drops a device once it has sat idle past the keep-alive', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    stubFetch('<active-app><app id="12">Netflix</app></active-app>');
+    await new RokuClient('10.0.0.67').getActiveApp();
+    expect(rokuConnectionStats()['http://10.0.0.67:8060']).toBeDefined();
+    await vi.advanceTimersByTimeAsync(5000);
+    await new RokuClient('10.0.0.67').keypress('Up'); // activity restarts the idle clock
+    await vi.advanceTimersByTimeAsync(9000);
+    expect(rokuConnectionStats()['http://10.0.0.67:8060']).toBeDefined();
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(rokuConnectionStats()['http://10.0.0.67:8060']).toBeUndefined();
+  });
+
+  it('leaves no per-device state behind for an unpooled probe', async () => {
+    stubFetch('<device-info><serial-number>X1</serial-number></device-info>');
+    const probe = new RokuClient('10.0.0.68');
+    probe.setPooled(false);
+    expect((await probe.getDeviceInfo()).serialNumber).toBe('X1');
+    expect(fetch.mock.calls[0][1].dispatcher).toBeUndefined();
+    expect(rokuConnectionStats()).toEqual({});
+  });
+});
+
+describe('RokuClient dev-channel diagnostics', () => {
+  it('getSgNodes counts nodes by type, skipping the wrapper sections', async () => {
+    const calls = stubFetch(`<?xml version="1.0" encoding="UTF-8" ?>
+<sgnodes>
+  <All_Nodes>
+    <MainScene name="scene">
+      <Group><Label text="a"/><Label text="b"/><Poster/></Group>
+    </MainScene>
+    <ContentNode/>
+  </All_Nodes>
+  <status>OK</status>
+</sgnodes>`);
+    const result = await new RokuClient('10.0.0.10').getSgNodes();
+    expect(calls[0].url).toBe('http://10.0.0.10:8060/query/sgnodes/all');
+    expect(result).toEqual({
+      total: 6,
+      byType: {
+        MainScene: 1, Group: 1, Label: 2, Poster: 1, ContentNode: 1,
+      },
+    });
+    await expect(new RokuClient('10.0.0.10').getSgNodes('leaks')).rejects.toThrow('Invalid sgnodes scope');
+  });
+
+  it('getChanPerf parses CPU percent and memory', async () => {
+    stubFetch(`<chanperf><plugin id="dev"><cpu-percent><durationms>1000</durationms><user>12.5</user><sys>3.0</sys></cpu-percent>
+<memory><used>104857600</used><res>83886080</res><anon>52428800</anon><swap>0</swap><file>31457280</file><shared>1048576</shared></memory></plugin><status>OK</status></chanperf>`);
+    expect(await new RokuClient('10.0.0.10').getChanPerf()).toEqual({
+      appId: 'dev',
+      cpu: { durationMs: 1000, user: 12.5, sys: 3 },
+      memory: {
+        used: 104857600, res: 83886080, anon: 52428800, swap: 0, file: 31457280, shared: 1048576,
+      },
+    });
+  });
+
+  it('getChanPerf returns null when no channel is reported', async () => {
+    stubFetch('<chanperf><status>FAILED</status><error>Channel not running</error></chanperf>');
+    expect(await new RokuClient('10.0.0.10').getChanPerf()).toBeNull();
+  });
+
+  it('getTextureMemory totals bitmaps and lists the largest first', async () => {
+    stubFetch(`<r2d2-bitmaps><sizes><avail>20971520</avail><max>41943040</max><used>20971520</used></sizes>
+<bitmaps><bitmap name="bg.jpg" width="1920" height="1080" size="8294400"/><bitmap name="logo.png" width="200" height="100" size="80000"/></bitmaps></r2d2-bitmaps>`);
+    const tex = await new RokuClient('10.0.0.10').getTextureMemory();
+    expect(tex).toMatchObject({
+      used: 20971520, available: 20971520, max: 41943040, count: 2, bytes: 8374400,
+    });
+    expect(tex.largest.map((b) => b.name)).toEqual(['bg.jpg', 'logo.png']);
+  });
+});
+
+describe('RokuClient getAppUi', () => {
+  const APP_UI = `<?xml version="1.0" encoding="UTF-8" ?>
+<app-ui>
+  <topscreen>
+    <plugin id="dev" name="Slidecast"/>
+    <screen focused="true" type="RSGScreen">
+      <MainScene name="scene">
+        <Label text="Pair this screen" />
+        <Label text="  Enter   this code " />
+        <Group visible="false"><Label text="Hidden menu" /></Group>
+        <Rectangle opacity="0"><Label text="Faded out" /></Rectangle>
+        <Label text="Pair this screen" />
+        <Button title="Help" />
+      </MainScene>
+    </screen>
+  </topscreen>
+  <status>OK</status>
+</app-ui>`;
+
+  it('flattens visible text, skipping hidden subtrees and duplicates', async () => {
+    const calls = stubFetch(APP_UI);
+    const ui = await new RokuClient('10.0.0.10').getAppUi();
+    expect(calls[0].url).toBe('http://10.0.0.10:8060/query/app-ui');
+    expect(ui.appId).toBe('dev');
+    expect(ui.texts).toEqual(['Pair this screen', 'Enter this code', 'Help']);
+    expect(ui.nodeCount).toBe(6);
+  });
+
+  it('textsContain matches case- and whitespace-insensitively', async () => {
+    stubFetch(APP_UI);
+    const { texts } = await new RokuClient('10.0.0.10').getAppUi();
+    expect(RokuClient.textsContain(texts, 'enter this   CODE')).toBe(true);
+    expect(RokuClient.textsContain(texts, 'hidden menu')).toBe(false);
+    expect(RokuClient.textsContain(texts, '  ')).toBe(false);
+  });
+});
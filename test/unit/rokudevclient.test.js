@@ -9,6 +9,9 @@ import {
   selectQop,
   buildMultipartBody,
   parseInstallResult,
+  parseScreenshotPath,
+  parsePackageResult,
+  parseRekeyResult,
   md5,
   RokuDevClient,
 } from 'roku-integration/RokuDevClient.js';
@@ -251,3 +254,137 @@ describe('RokuDevClient.delete (best-effort)', () => {
     expect(r.ignored).toBe(true);
   });
 });
+
+describe('parseScreenshotPath', () => {
+  it('keeps the cache-busting query from the response page', () => {
+    expect(parseScreenshotPath('<img src="pkgs/dev.jpg?time=1602185418">')).toBe('/pkgs/dev.jpg?time=1602185418');
+    expect(parseScreenshotPath("<img src='pkgs/dev.png?time=1'>")).toBe('/pkgs/dev.png?time=1');
+  });
+
+  it('falls back to /pkgs/dev.jpg', () => {
+    expect(parseScreenshotPath('<html>Screenshot ok</html>')).toBe('/pkgs/dev.jpg');
+    expect(parseScreenshotPath(null)).toBe('/pkgs/dev.jpg');
+  });
+});
+
+describe('RokuDevClient.screenshot', () => {
+  const challenge = 'Digest realm="rokudev", nonce="n1", qop="auth"';
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+  function screenshotFetch(imageStatus = 200) {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      calls.push({ url, init });
+      if (!init.headers.Authorization) return makeResponse({ status: 401, wwwAuthenticate: challenge });
+      if (url.endsWith('/plugin_inspect')) {
+        return makeResponse({ body: '<img src="pkgs/dev.jpg?time=42">' });
+      }
+      return {
+        status: imageStatus,
+        ok: imageStatus === 200,
+        headers: { get: (name) => (String(name).toLowerCase() === 'content-type' ? 'image/jpeg' : null) },
+        async arrayBuffer() { return jpeg.buffer.slice(jpeg.byteOffset, jpeg.byteOffset + jpeg.length); },
+      };
+    };
+    return { calls, fetchImpl };
+  }
+
+  it('asks for a Screenshot then digest-GETs the linked image', async () => {
+    const { calls, fetchImpl } = screenshotFetch();
+    const client = new RokuDevClient('10.0.0.9', { passwordResolver: async () => 'abcd', fetchImpl, cnonceFn: () => 'c' });
+    const shot = await client.screenshot();
+    expect(shot.contentType).toBe('image/jpeg');
+    expect(Buffer.compare(shot.buffer, jpeg)).toBe(0);
+    expect(calls.map((c) => `${c.init.method} ${c.url}`)).toEqual([
+      'POST http://10.0.0.9/plugin_inspect',
+      'POST http://10.0.0.9/plugin_inspect',
+      'GET http://10.0.0.9/pkgs/dev.jpg?time=42',
+      'GET http://10.0.0.9/pkgs/dev.jpg?time=42',
+    ]);
+    expect(calls[1].init.body.toString()).toContain('Screenshot');
+    // The digest uri covers the query string, like curl --digest sends it.
+    expect(calls[3].init.headers.Authorization).toContain('uri="/pkgs/dev.jpg?time=42"');
+    expect(calls[3].init.body).toBeUndefined();
+  });
+
+  it('maps a missing image to NO_SCREENSHOT 409', async () => {
+    const { fetchImpl } = screenshotFetch(404);
+    const client = new RokuDevClient('10.0.0.9', { passwordResolver: async () => 'abcd', fetchImpl });
+    await expect(client.screenshot()).rejects.toMatchObject({ code: 'NO_SCREENSHOT', status: 409 });
+  });
+});
+
+describe('parsePackageResult + parseRekeyResult', () => {
+  it('finds the signed package link', () => {
+    expect(parsePackageResult('<a href="pkgs//P3f9e1.pkg">P3f9e1.pkg</a>')).toEqual({
+      success: true, path: '/pkgs/P3f9e1.pkg', filename: 'P3f9e1.pkg',
+    });
+  });
+
+  it('carries the red failure message', () => {
+    expect(parsePackageResult('<font color="red">Failed: Invalid Password.</font>')).toEqual({
+      success: false, message: 'Failed: Invalid Password.',
+    });
+    expect(parsePackageResult('')).toEqual({ success: false, message: 'No package produced' });
+  });
+
+  it('maps rekey Success. / failure', () => {
+    expect(parseRekeyResult('<font color="red">Success.</font>').success).toBe(true);
+    expect(parseRekeyResult('<font color="red">Failed: Invalid password.</font>')).toEqual({
+      success: false, message: 'Failed: Invalid password.',
+    });
+  });
+});
+
+describe('RokuDevClient.package / rekey', () => {
+  const challenge = 'Digest realm="rokudev", nonce="n1", qop="auth"';
+  const pkg = Buffer.from('signed-package-bytes');
+
+  function installerFetch(packageHtml) {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      calls.push({ url, init });
+      if (!init.headers.Authorization) return makeResponse({ status: 401, wwwAuthenticate: challenge });
+      if (url.endsWith('/plugin_package')) return makeResponse({ body: packageHtml });
+      if (url.endsWith('/plugin_inspect')) return makeResponse({ body: '<font color="red">Success.</font>' });
+      return {
+        ...makeResponse({}),
+        async arrayBuffer() { return pkg.buffer.slice(pkg.byteOffset, pkg.byteOffset + pkg.length); },
+      };
+    };
+    return { calls, fetchImpl };
+  }
+
+  it('packages with the passphrase and downloads the linked .pkg', async () => {
+    const { calls, fetchImpl } = installerFetch('<a href="pkgs//Pabc.pkg">Pabc.pkg</a>');
+    const client = new RokuDevClient('10.0.0.9', { passwordResolver: async () => 'abcd', fetchImpl });
+    const result = await client.package({ appName: 'Waiveo/2.7.1', passphrase: 'keypass', pkgTime: 1700000000000 });
+    expect(result.filename).toBe('Pabc.pkg');
+    expect(result.buffer.toString()).toBe('signed-package-bytes');
+    const form = calls[1].init.body.toString();
+    expect(form).toContain('Package');
+    expect(form).toContain('Waiveo/2.7.1');
+    expect(form).toContain('keypass');
+    expect(form).toContain('1700000000000');
+    expect(calls[3].url).toBe('http://10.0.0.9/pkgs/Pabc.pkg');
+  });
+
+  it('throws PACKAGE_FAILED when the installer refuses', async () => {
+    const { fetchImpl } = installerFetch('<font color="red">Failed: Invalid Password.</font>');
+    const client = new RokuDevClient('10.0.0.9', { passwordResolver: async () => 'abcd', fetchImpl });
+    await expect(client.package({ appName: 'x', passphrase: 'bad' })).rejects.toMatchObject({
+      code: 'PACKAGE_FAILED', status: 502, message: 'Packaging failed: Failed: Invalid Password.',
+    });
+  });
+
+  it('rekeys with the package as the archive', async () => {
+    const { calls, fetchImpl } = installerFetch('');
+    const client = new RokuDevClient('10.0.0.9', { passwordResolver: async () => 'abcd', fetchImpl });
+    expect(await client.rekey(pkg, { passphrase: 'keypass' })).toEqual({ success: true, message: 'Rekey Success' });
+    const form = calls[1].init.body.toString();
+    expect(calls[1].url).toBe('http://10.0.0.9/plugin_inspect');
+    expect(form).toContain('Rekey');
+    expect(form).toContain('filename="rekey.pkg"');
+    expect(form).toContain('signed-package-bytes');
+  });
+});
@@ -0,0 +1,180 @@
+import { EventEmitter } from 'node:events';
+import { describe, it, expect } from 'vitest';
+import {
+  buildMSearch,
+  parseSsdpHeaders,
+  serialFromUsn,
+  parseRokuSsdpResponse,
+  searchRokus,
+  SSDP_ADDRESS,
+  SSDP_PORT,
+} from 'roku-integration/ssdp.js';
+import { runSsdpSweep } from 'roku-integration/index.js';
+
+const ROKU_RESPONSE = [
+  'HTTP/1.1 200 OK',
+  'Cache-Control: max-age=3600',
+  'ST: roku:ecp',
+  'LOCATION: http://192.168.1.134:8060/',
+  'USN: uuid:roku:ecp:P0A070000007',
+  'Server: Roku/12.5.0 UPnP/1.0 Roku/12.5.0',
+  '',
+  '',
+].join('\r\n');
+
+describe('buildMSearch', () => {
+  it('targets the SSDP multicast group with ST roku:ecp', () => {
+    const msg = buildMSearch({ mx: 3 });
+    expect(msg.startsWith('M-SEARCH * HTTP/1.1\r\n')).toBe(true);
+    expect(msg).toContain(`HOST: ${SSDP_ADDRESS}:${SSDP_PORT}\r\n`);
+    expect(msg).toContain('MAN: "ssdp:discover"\r\n');
+    expect(msg).toContain('ST: roku:ecp\r\n');
+    expect(msg).toContain('MX: 3\r\n');
+    expect(msg.endsWith('\r\n\r\n')).toBe(true);
+  });
+});
+
+describe('parseSsdpHeaders / serialFromUsn', () => {
+  it('lower-cases header names and keeps colons inside values', () => {
+    const { statusLine, headers } = parseSsdpHeaders(ROKU_RESPONSE);
+    expect(statusLine).toBe('HTTP/1.1 200 OK');
+    expect(headers.location).toBe('http://192.168.1.134:8060/');
+    expect(headers.usn).toBe('uuid:roku:ecp:P0A070000007');
+  });
+
+  it('extracts the serial from a Roku USN and rejects anything else', () => {
+    expect(serialFromUsn('uuid:roku:ecp:P0A070000007')).toBe('P0A070000007');
+    expect(serialFromUsn('uuid:2f402f80-da50-11e1-9b23-001788255acc')).toBeNull();
+    expect(serialFromUsn(undefined)).toBeNull();
+  });
+});
+
+describe('parseRokuSsdpResponse', () => {
+  it('parses LOCATION + USN into serial, ip and port', () => {
+    expect(parseRokuSsdpResponse(ROKU_RESPONSE)).toEqual({
+      serial: 'P0A070000007',
+      ip: '192.168.1.134',
+      port: 8060,
+      location: 'http://192.168.1.134:8060/',
+      usn: 'uuid:roku:ecp:P0A070000007',
+      server: 'Roku/12.5.0 UPnP/1.0 Roku/12.5.0',
+    });
+  });
+
+  it('falls back to the sender address when LOCATION is missing', () => {
+    const text = ROKU_RESPONSE.replace(/LOCATION:[^\r]*\r\n/, '');
+    expect(parseRokuSsdpResponse(text, { address: '10.0.0.7' })).toMatchObject({
+      serial: 'P0A070000007', ip: '10.0.0.7', port: 8060, location: null,
+    });
+  });
+
+  it('ignores non-Roku answers (other ST) and Roku answers with no serial', () => {
+    expect(parseRokuSsdpResponse(ROKU_RESPONSE.replace('ST: roku:ecp', 'ST: upnp:rootdevice'))).toBeNull();
+    expect(parseRokuSsdpResponse(ROKU_RESPONSE.replace(/USN:[^\r]*/, 'USN: uuid:abc'))).toBeNull();
+  });
+});
+
+// Minimal dgram socket stand-in: records sends, lets the test push datagrams.
+function makeFakeSocket() {
+  const socket = new EventEmitter();
+  socket.sent = [];
+  socket.closed = false;
+  socket.bind = (port, cb) => { setImmediate(cb); };
+  socket.send = (buf, offset, length, port, address, cb) => {
+    socket.sent.push({ text: buf.toString('utf8'), port, address });
+    cb(null);
+  };
+  socket.close = () => { socket.closed = true; };
+  return socket;
+}
+
+describe('searchRokus', () => {
+  it('sends one M-SEARCH, collects answers deduped by serial, and closes the socket', async () => {
+    const socket = makeFakeSocket();
+    const pending = searchRokus({ timeoutMs: 20, createSocket: () => socket });
+    await new Promise((r) => setImmediate(r));
+    socket.emit('message', Buffer.from(ROKU_RESPONSE), { address: '192.168.1.134' });
+    socket.emit('message', Buffer.from(ROKU_RESPONSE), { address: '192.168.1.134' });
+    socket.emit('message', Buffer.from('HTTP/1.1 200 OK\r\nST: upnp:rootdevice\r\n\r\n'), { address: '192.168.1.9' });
+    const results = await pending;
+    expect(socket.sent).toHaveLength(1);
+    expect(socket.sent[0]).toMatchObject({ port: SSDP_PORT, address: SSDP_ADDRESS });
+    expect(results.map((r) => r.serial)).toEqual(['P0A070000007']);
+    expect(socket.closed).toBe(true);
+  });
+
+  it('rejects on a socket error when nothing answered', async () => {
+    const socket = makeFakeSocket();
+    const pending = searchRokus({ timeoutMs: 1000, createSocket: () => socket });
+    await new Promise((r) => setImmediate(r));
+    socket.emit('error', new Error('EADDRNOTAVAIL'));
+    await expect(pending).rejects.toThrow('EADDRNOTAVAIL');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// runSsdpSweep (index.js) — feeds SSDP answers into discovery as passive
+// `ssdp` candidates via ctx.emit('discovery:candidate-matched').
+// ---------------------------------------------------------------------------
+
+function makeCtx({ registered = [], settings = {} } = {}) {
+  const emitted = [];
+  return {
+    emitted,
+    ctx: {
+      config: { get: async (key) => (key === 'settings' ? settings : null) },
+      data: {
+        query: () => {
+          const builder = { where: () => builder, get: async () => registered };
+          return builder;
+        },
+      },
+      emit: (event, data) => emitted.push({ event, data }),
+      log: () => {},
+    },
+  };
+}
+
+const found = (serial, ip) => ({
+  serial, ip, port: 8060, location: `http://${ip}:8060/`, usn: `uuid:roku:ecp:${serial}`, server: null,
+});
+
+describe('runSsdpSweep', () => {
+  it('emits a passive ssdp candidate (no via_scan) carrying the serial', async () => {
+    const { ctx, emitted } = makeCtx();
+    const result = await runSsdpSweep(ctx, { search: async () => [found('SWEEP1', '10.0.0.21')] });
+    expect(result).toMatchObject({ found: 1, announced: 1 });
+    expect(emitted).toHaveLength(1);
+    expect(emitted[0].event).toBe('discovery:candidate-matched');
+    expect(emitted[0].data.matchedInterest).toEqual({ extensionName: 'roku-integration', deviceType: 'roku' });
+    const { candidate } = emitted[0].data;
+    expect(candidate).toMatchObject({
+      ip: '10.0.0.21', ip_address: '10.0.0.21', discovery_method: 'ssdp', serial_number: 'SWEEP1',
+    });
+    expect(candidate.via_scan).toBeUndefined();
+  });
+
+  it('skips serials already in device_registry and does not re-announce within the window', async () => {
+    const { ctx, emitted } = makeCtx({ registered: [{ serial_number: 'KNOWN1' }] });
+    const search = async () => [found('KNOWN1', '10.0.0.22'), found('SWEEP2', '10.0.0.23')];
+    await runSsdpSweep(ctx, { search });
+    await runSsdpSweep(ctx, { search });
+    expect(emitted.map((e) => e.data.candidate.serial_number)).toEqual(['SWEEP2']);
+  });
+
+  it('re-announces a serial that moved to a new IP', async () => {
+    const { ctx, emitted } = makeCtx();
+    await runSsdpSweep(ctx, { search: async () => [found('SWEEP3', '10.0.0.24')] });
+    await runSsdpSweep(ctx, { search: async () => [found('SWEEP3', '10.0.0.25')] });
+    expect(emitted.map((e) => e.data.candidate.ip)).toEqual(['10.0.0.24', '10.0.0.25']);
+  });
+
+  it('is a no-op when settings.ssdp_discovery is false', async () => {
+    const { ctx, emitted } = makeCtx({ settings: { ssdp_discovery: false } });
+    let searched = false;
+    const result = await runSsdpSweep(ctx, { search: async () => { searched = true; return []; } });
+    expect(result.skipped).toBe(true);
+    expect(searched).toBe(false);
+    expect(emitted).toEqual([]);
+  });
+});
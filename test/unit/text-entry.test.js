@@ -0,0 +1,88 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import roku from 'roku-integration/index.js';
+
+const ROKU_ROW = {
+  id: 'roku:text1', integration: 'roku-integration', ip_address: '10.0.0.30', friendly_name: 'Den Roku',
+};
+
+function makeCtx(body) {
+  return {
+    params: { id: ROKU_ROW.id },
+    body,
+    data: {
+      query: () => {
+        const builder = { where: () => builder, get: async () => [ROKU_ROW] };
+        return builder;
+      },
+    },
+    log: () => {},
+  };
+}
+
+// Every ECP request, path only.
+function stubFetch() {
+  const paths = [];
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    paths.push(new URL(url).pathname);
+    return {
+      ok: true, status: 200, statusText: 'OK', text: async () => '',
+    };
+  }));
+  return paths;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// POST /devices/:id/text streams: resolves with the JSON body it sent.
+async function postText(body) {
+  let sent;
+  const res = { status: () => ({ json: (json) => { sent = json; } }) };
+  await roku.routes['POST /devices/:id/text [stream]']({ ...makeCtx(body), res });
+  return sent;
+}
+
+describe('POST /devices/:id/text', () => {
+  it('sends backspaces, then the text, then Enter', async () => {
+    const paths = stubFetch();
+    const result = await postText({ text: 'ok', backspace: 2, enter: true });
+    expect(result).toEqual({ success: true, typed: 5, cancelled: false });
+    expect(paths).toEqual([
+      '/keypress/Backspace', '/keypress/Backspace', '/keypress/Lit_o', '/keypress/Lit_k', '/keypress/Enter',
+    ]);
+  });
+
+  it('400s on an empty request or over-long text', async () => {
+    const paths = stubFetch();
+    expect((await postText({})).status).toBe(400);
+    expect((await postText({ text: 'x'.repeat(501) })).status).toBe(400);
+    expect(paths).toEqual([]);
+  });
+
+  it('types requests for one device in order', async () => {
+    const paths = stubFetch();
+    await Promise.all([
+      postText({ text: 'ab' }),
+      postText({ text: 'cd' }),
+    ]);
+    expect(paths).toEqual(['/keypress/Lit_a', '/keypress/Lit_b', '/keypress/Lit_c', '/keypress/Lit_d']);
+  });
+
+  it('DELETE cancels the in-flight request and anything queued behind it', async () => {
+    const paths = stubFetch();
+    const first = postText({ text: 'abcdef' });
+    const second = postText({ text: 'ghi' });
+    await vi.waitFor(() => expect(paths.length).toBeGreaterThan(0));
+    expect(await roku.routes['DELETE /devices/:id/text'](makeCtx())).toEqual({ success: true, cancelled: true });
+    expect((await first).cancelled).toBe(true);
+    expect(await second).toEqual({ success: true, typed: 0, cancelled: true });
+    expect(paths.length).toBeLessThan(6);
+
+    // The next request starts fresh.
+    const next = await postText({ text: 'z' });
+    expect(next).toEqual({ success: true, typed: 1, cancelled: false });
+  });
+});
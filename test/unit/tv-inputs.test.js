@@ -0,0 +1,108 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  deriveSourceList,
+  currentSource,
+  sourceKey,
+  sourceForAppId,
+} from 'roku-integration/tvInputs.js';
+import roku from 'roku-integration/index.js';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('deriveSourceList', () => {
+  it('non-TV Rokus (sticks/boxes) have no inputs', () => {
+    expect(deriveSourceList({ isTv: false, apps: [{ id: 'tvinput.hdmi1', name: 'HDMI 1' }] })).toEqual([]);
+  });
+
+  it('lists the tvinput.* pseudo-apps in canonical order with owner-renamed names', () => {
+    const apps = [
+      { id: '12', name: 'Netflix' },
+      { id: 'tvinput.hdmi2', name: 'PlayStation' },
+      { id: 'tvinput.dtv', name: 'Live TV' },
+      { id: 'tvinput.hdmi1', name: 'HDMI 1' },
+    ];
+    expect(deriveSourceList({ isTv: true, apps })).toEqual([
+      {
+        id: 'tuner', name: 'Live TV', key: 'InputTuner', app_id: 'tvinput.dtv',
+      },
+      {
+        id: 'hdmi1', name: 'HDMI 1', key: 'InputHDMI1', app_id: 'tvinput.hdmi1',
+      },
+      {
+        id: 'hdmi2', name: 'PlayStation', key: 'InputHDMI2', app_id: 'tvinput.hdmi2',
+      },
+    ]);
+  });
+
+  it('falls back to the common Roku TV set when the app list is unavailable', () => {
+    expect(deriveSourceList({ isTv: true, apps: null }).map((s) => s.id))
+      .toEqual(['tuner', 'hdmi1', 'hdmi2', 'hdmi3']);
+  });
+});
+
+describe('currentSource / sourceKey', () => {
+  it('maps the active tvinput app to its source id, null otherwise', () => {
+    expect(currentSource({ id: 'tvinput.hdmi2', type: 'tvin' })).toBe('hdmi2');
+    expect(currentSource({ id: 'tvinput.cvbs', type: 'tvin' })).toBe('av1');
+    expect(currentSource({ id: '12', type: 'appl' })).toBeNull();
+    expect(currentSource(null)).toBeNull();
+    expect(sourceForAppId('TVINPUT.DTV')).toBe('tuner');
+  });
+
+  it('resolves ECP input keys and rejects unknown sources', () => {
+    expect(sourceKey('hdmi3')).toBe('InputHDMI3');
+    expect(sourceKey('tuner')).toBe('InputTuner');
+    expect(() => sourceKey('hdmi9')).toThrow('Unknown TV source');
+  });
+});
+
+describe('TV tuner routes', () => {
+  function tvCtx(ip, body) {
+    const row = {
+      id: 'roku:tv1', integration: 'roku-integration', ip_address: ip, friendly_name: 'Den TV',
+    };
+    const builder = { where: () => builder, get: async () => [row] };
+    return {
+      params: { id: row.id }, body, data: { query: () => builder }, log: () => {},
+    };
+  }
+
+  // ECP answering `pages` by path; every request is recorded.
+  function stubEcp(pages) {
+    const paths = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const { pathname } = new URL(url);
+      paths.push(pathname);
+      const body = pages[pathname];
+      return {
+        ok: body != null, status: body != null ? 200 : 404, statusText: body != null ? 'OK' : 'Not Found', text: async () => body ?? '',
+      };
+    }));
+    return paths;
+  }
+
+  it('lists the lineup on a Roku TV and nothing on a stick', async () => {
+    stubEcp({
+      '/query/device-info': '<device-info><is-tv>true</is-tv></device-info>',
+      '/query/tv-channels': '<tv-channels><channel><number>7.1</number><name>WABC-HD</name></channel></tv-channels>',
+    });
+    const tv = await roku.routes['GET /devices/:id/tv/channels'](tvCtx('10.0.0.61'));
+    expect(tv).toMatchObject({ success: true, channels: [{ number: '7.1', name: 'WABC-HD' }] });
+
+    const paths = stubEcp({ '/query/device-info': '<device-info><is-tv>false</is-tv></device-info>' });
+    const stick = await roku.routes['GET /devices/:id/tv/channels'](tvCtx('10.0.0.62'));
+    expect(stick).toEqual({ success: true, channels: [] });
+    expect(paths).toEqual(['/query/device-info']);
+  });
+
+  it('answers 400 for a malformed channel without touching the device', async () => {
+    const paths = stubEcp({});
+    const result = await roku.routes['POST /devices/:id/tv/tune'](tvCtx('10.0.0.63', { channel: '7.1&x=1' }));
+    expect(result).toMatchObject({ success: false, status: 400, error: expect.stringContaining('Invalid TV channel') });
+    expect(paths).toEqual([]);
+  });
+});
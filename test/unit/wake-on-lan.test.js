@@ -0,0 +1,120 @@
+import { EventEmitter } from 'node:events';
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  normalizeMac, buildMagicPacket, broadcastAddressFor, sendMagicPackets,
+} from 'roku-integration/wakeOnLan.js';
+import roku, { powerOnDevice } from 'roku-integration/index.js';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('wake-on-lan helpers', () => {
+  it('normalizes MAC spellings and rejects junk', () => {
+    expect(normalizeMac('AC-AE-19-0A-1B-2C')).toBe('ac:ae:19:0a:1b:2c');
+    expect(normalizeMac('acae.190a.1b2c')).toBe('ac:ae:19:0a:1b:2c');
+    expect(normalizeMac('00:00:00:00:00:00')).toBeNull();
+    expect(normalizeMac('ac:ae:19')).toBeNull();
+    expect(normalizeMac(undefined)).toBeNull();
+  });
+
+  it('builds 6 x 0xff + 16 copies of the MAC', () => {
+    const packet = buildMagicPacket('ac:ae:19:0a:1b:2c');
+    expect(packet).toHaveLength(102);
+    expect(packet.subarray(0, 6)).toEqual(Buffer.alloc(6, 0xff));
+    expect(packet.subarray(96).toString('hex')).toBe('acae190a1b2c');
+    expect(() => buildMagicPacket('nope')).toThrow('Invalid MAC');
+  });
+
+  it('picks the broadcast of the interface sharing the device subnet', () => {
+    const interfaces = {
+      lo: [{ family: 'IPv4', address: '127.0.0.1', netmask: '255.0.0.0', internal: true }],
+      eth0: [{ family: 'IPv4', address: '10.1.4.20', netmask: '255.255.252.0', internal: false }],
+    };
+    expect(broadcastAddressFor('10.1.6.77', interfaces)).toBe('10.1.7.255');
+    expect(broadcastAddressFor('192.168.9.40', interfaces)).toBe('192.168.9.255');
+  });
+
+  it('broadcasts each packet `repeat` times and closes the socket', async () => {
+    const sends = [];
+    const socket = Object.assign(new EventEmitter(), {
+      bind: (port, cb) => cb(),
+      setBroadcast: vi.fn(),
+      send: (buf, port, address, cb) => { sends.push({ len: buf.length, port, address }); cb(); },
+      close: vi.fn(),
+    });
+    const sent = await sendMagicPackets(['ac:ae:19:0a:1b:2c', 'ac:ae:19:0a:1b:2d'], {
+      address: '10.1.7.255', repeat: 2, createSocket: () => socket,
+    });
+    expect(sent).toBe(4);
+    expect(socket.setBroadcast).toHaveBeenCalledWith(true);
+    expect(sends[0]).toEqual({ len: 102, port: 9, address: '10.1.7.255' });
+    expect(socket.close).toHaveBeenCalled();
+  });
+});
+
+describe('powerOnDevice', () => {
+  // ECP that refuses connections until `awake` flips.
+  function stubSleepingRoku(state) {
+    const posts = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+      if (!state.awake) throw new TypeError('fetch failed');
+      if (init.method === 'POST') posts.push(new URL(url).pathname);
+      return {
+        ok: state.status == null, status: state.status || 200, statusText: 'OK', text: async () => '<device-info><power-mode>DisplayOff</power-mode></device-info>',
+      };
+    }));
+    return posts;
+  }
+
+  const device = {
+    device_id: 'roku:wol1', ip_address: '10.0.0.81', serial_number: 'WOL1', mac_address: 'AC:AE:19:0A:1B:2C',
+  };
+
+  it('powers on directly when ECP answers', async () => {
+    const posts = stubSleepingRoku({ awake: true });
+    const wake = vi.fn();
+    expect(await powerOnDevice(device, { wake })).toEqual({ success: true, woke: false });
+    expect(wake).not.toHaveBeenCalled();
+    expect(posts).toEqual(['/keypress/PowerOn']);
+  });
+
+  it('sends a magic packet when ECP is unreachable, then powers on', async () => {
+    const state = { awake: false };
+    const posts = stubSleepingRoku(state);
+    const wake = vi.fn(async () => { state.awake = true; return 3; });
+    expect(await powerOnDevice(device, { wake })).toEqual({ success: true, woke: true });
+    expect(wake).toHaveBeenCalledWith(['ac:ae:19:0a:1b:2c'], { address: expect.any(String) });
+    expect(posts).toEqual(['/keypress/PowerOn']);
+  });
+
+  it('fails loudly when the device never comes back', async () => {
+    stubSleepingRoku({ awake: false });
+    const wake = vi.fn(async () => 3);
+    await expect(powerOnDevice(device, { wake, waitMs: 0 })).rejects.toThrow('did not answer');
+  });
+
+  it('does not wake on an HTTP error or without a MAC', async () => {
+    const posts = stubSleepingRoku({ awake: true, status: 403 });
+    const wake = vi.fn();
+    await expect(powerOnDevice(device, { wake })).rejects.toThrow('HTTP 403');
+    // A refused PowerOn falls back to Home, not to a magic packet.
+    expect(posts).toEqual(['/keypress/PowerOn', '/keypress/Home']);
+    stubSleepingRoku({ awake: false });
+    await expect(powerOnDevice({ ...device, serial_number: 'NOMAC', mac_address: null }, { wake })).rejects.toThrow();
+    expect(wake).not.toHaveBeenCalled();
+  });
+
+  it('backs the powerOn service other extensions call', async () => {
+    const posts = stubSleepingRoku({ awake: true });
+    const row = {
+      id: 'roku:wol2', integration: 'roku-integration', ip_address: '10.0.0.82', friendly_name: 'Lobby',
+    };
+    const builder = { where: () => builder, get: async () => [row] };
+    const ctx = { data: { query: () => builder }, log: () => {} };
+    expect(await roku.services.powerOn(ctx, { deviceId: row.id })).toEqual({ success: true, woke: false });
+    expect(posts).toEqual(['/keypress/PowerOn']);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Roku TV input (source) helpers — PURE, no ECP calls.
+ *
+ * A Roku TV exposes each physical input twice over ECP:
+ *   - as a pseudo-app in /query/apps and /query/active-app
+ *     (`<app id="tvinput.hdmi2" type="tvin">PlayStation</app>` — the name is
+ *     whatever the owner renamed the input to), and
+ *   - as a remote key (`InputHDMI2`, `InputTuner`, `InputAV1`) that switches
+ *     to it.
+ * Streaming sticks/boxes have neither, so the source list is empty unless
+ * device-info says `is-tv`.
+ *
+ * index.js builds the select_source command options and the entity's
+ * `source` attribute from these.
+ */
+
+import { ROKU_TUNER_APP_ID } from './constants.js';
+
+/** Canonical source id -> ECP input key + pseudo-app id + default label. */
+export const TV_SOURCES = {
+  tuner: { key: 'InputTuner', appId: ROKU_TUNER_APP_ID, label: 'Antenna TV' },
+  hdmi1: { key: 'InputHDMI1', appId: 'tvinput.hdmi1', label: 'HDMI 1' },
+  hdmi2: { key: 'InputHDMI2', appId: 'tvinput.hdmi2', label: 'HDMI 2' },
+  hdmi3: { key: 'InputHDMI3', appId: 'tvinput.hdmi3', label: 'HDMI 3' },
+  hdmi4: { key: 'InputHDMI4', appId: 'tvinput.hdmi4', label: 'HDMI 4' },
+  av1: { key: 'InputAV1', appId: 'tvinput.cvbs', label: 'AV' },
+};
+
+// When /query/apps can't be read (limited mobile control), fall back to the
+// inputs nearly every Roku TV has rather than offering nothing.
+const FALLBACK_TV_SOURCES = ['tuner', 'hdmi1', 'hdmi2', 'hdmi3'];
+
+const SOURCE_BY_APP_ID = new Map(
+  Object.entries(TV_SOURCES).map(([id, s]) => [s.appId, id]),
+);
+
+/** Canonical source id for a `tvinput.*` app id, or null. */
+export function sourceForAppId(appId) {
+  return SOURCE_BY_APP_ID.get(String(appId || '').toLowerCase()) || null;
+}
+
+/**
+ * The inputs this device offers, in TV_SOURCES order.
+ *
+ * @param {object} p
+ * @param {boolean} p.isTv device-info `is-tv`
+ * @param {Array<{id:string,name:string}>|null} [p.apps] getApps() result, or
+ *   null when it couldn't be read (→ the common fallback set)
+ * @returns {Array<{id:string, name:string, key:string, app_id:string}>}
+ */
+export function deriveSourceList({ isTv, apps } = {}) {
+  if (!isTv) return [];
+  const names = new Map(); // source id -> owner-visible name
+  if (Array.isArray(apps)) {
+    for (const app of apps) {
+      const id = sourceForAppId(app && app.id);
+      if (id) names.set(id, app.name || TV_SOURCES[id].label);
+    }
+  } else {
+    for (const id of FALLBACK_TV_SOURCES) names.set(id, TV_SOURCES[id].label);
+  }
+  return Object.keys(TV_SOURCES)
+    .filter((id) => names.has(id))
+    .map((id) => ({
+      id, name: names.get(id), key: TV_SOURCES[id].key, app_id: TV_SOURCES[id].appId,
+    }));
+}
+
+/**
+ * The current source from the active app: the input id while a TV input is
+ * foregrounded, null otherwise (Roku Home / a streaming channel).
+ */
+export function currentSource(activeApp) {
+  return activeApp ? sourceForAppId(activeApp.id) : null;
+}
+
+/** ECP key for a source id; throws for an unknown source. */
+export function sourceKey(source) {
+  const entry = TV_SOURCES[String(source || '').toLowerCase()];
+  if (!entry) throw new Error(`Unknown TV source: ${JSON.stringify(source)}`);
+  return entry.key;
+}
+
+export default {
+  TV_SOURCES,
+  sourceForAppId,
+  deriveSourceList,
+  currentSource,
+  sourceKey,
+};
@@ -0,0 +1,100 @@
+/**
+ * Wake-on-LAN for Rokus in deep standby.
+ *
+ * A Roku TV that has dropped into deep (network) standby stops answering ECP,
+ * so a PowerOn keypress never arrives. Its NIC still listens for a magic
+ * packet: 6 x 0xFF followed by the target MAC 16 times, sent as a UDP
+ * broadcast. Wired TVs wake on their ethernet MAC; over Wi-Fi only models
+ * reporting `supports-wake-on-wlan` do (on their wifi MAC).
+ *
+ * The packet builder, MAC normalizer and broadcast-address math are PURE;
+ * sendMagicPackets takes a createSocket seam so tests never touch the LAN.
+ */
+
+import dgram from 'node:dgram';
+import os from 'node:os';
+
+/** Conventional WoL port (the "discard" service); 7 also works on most NICs. */
+export const WOL_PORT = 9;
+
+/** 'AA-BB-CC-DD-EE-FF' / 'aabb.ccdd.eeff' / … -> 'aa:bb:cc:dd:ee:ff', or null. */
+export function normalizeMac(mac) {
+  const hex = String(mac ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  if (hex.length !== 12 || /^0+$/.test(hex)) return null;
+  return hex.match(/../g).join(':');
+}
+
+/** The 102-byte magic packet for `mac`. Throws on an invalid MAC. */
+export function buildMagicPacket(mac) {
+  const normalized = normalizeMac(mac);
+  if (!normalized) throw new Error(`Invalid MAC address: ${JSON.stringify(mac)}`);
+  const macBytes = Buffer.from(normalized.replace(/:/g, ''), 'hex');
+  const packet = Buffer.alloc(6 + 16 * 6, 0xff);
+  for (let i = 0; i < 16; i += 1) macBytes.copy(packet, 6 + i * 6);
+  return packet;
+}
+
+const ipToInt = (ip) => ip.split('.').reduce((n, octet) => ((n << 8) | Number(octet)) >>> 0, 0);
+const intToIp = (n) => [24, 16, 8, 0].map((shift) => (n >>> shift) & 255).join('.');
+
+/**
+ * Directed broadcast address of the local subnet `ip` is on, from this
+ * host's interfaces; falls back to the /24 broadcast when no interface
+ * shares the device's subnet (e.g. routed VLANs with a /24 plan).
+ */
+export function broadcastAddressFor(ip, interfaces = os.networkInterfaces()) {
+  const target = ipToInt(ip);
+  for (const addrs of Object.values(interfaces || {})) {
+    for (const a of addrs || []) {
+      if (a.family !== 'IPv4' && a.family !== 4) continue;
+      if (a.internal) continue;
+      const mask = ipToInt(a.netmask);
+      if ((ipToInt(a.address) & mask) === (target & mask)) {
+        return intToIp(((target & mask) | ~mask) >>> 0);
+      }
+    }
+  }
+  return intToIp((target & 0xffffff00) | 0xff);
+}
+
+/**
+ * Broadcast a magic packet per MAC to `address`, `repeat` times each
+ * (UDP is lossy and a sleeping NIC may miss the first).
+ * @returns {Promise<number>} packets sent
+ */
+export async function sendMagicPackets(macs, {
+  address, port = WOL_PORT, repeat = 3, createSocket = () => dgram.createSocket('udp4'),
+} = {}) {
+  const packets = macs.map(buildMagicPacket);
+  const socket = createSocket();
+  try {
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(0, () => {
+        socket.setBroadcast(true);
+        resolve();
+      });
+    });
+    let sent = 0;
+    for (let i = 0; i < repeat; i += 1) {
+      for (const packet of packets) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve, reject) => {
+          socket.send(packet, port, address, (err) => (err ? reject(err) : resolve()));
+        });
+        sent += 1;
+      }
+    }
+    return sent;
+  } finally {
+    socket.close();
+  }
+}
+
+export default {
+  WOL_PORT,
+  normalizeMac,
+  buildMagicPacket,
+  broadcastAddressFor,
+  sendMagicPackets,
+};
@@ -0,0 +1,219 @@
+/**
+ * Minimal RFC 6455 WebSocket client over node:net — just enough for Roku's
+ * ECP-2 session (ecpSession.js): one text-message channel, ping/pong and close.
+ *
+ * Dep-free on purpose: Node 20 has no global WebSocket, and a CommonJS `ws`
+ * dependency would bring back the ESM/CJS install hazard index.js's lazy
+ * RokuClient loader works around. No TLS (ECP is plain ws:// on 8060), no
+ * extensions, no binary messages.
+ */
+
+import net from 'node:net';
+import { createHash, randomBytes } from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/** Sec-WebSocket-Accept the server must answer for `key`. */
+export function acceptKeyFor(key) {
+  return createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+/** Encode one client frame. Client frames are always masked (RFC 6455 §5.3). */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = randomBytes(4)) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = 0x80 | data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  const masked = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i += 1) masked[i] = data[i] ^ mask[i % 4];
+  return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Decode one frame from the front of `buf`, or null when it is incomplete.
+ * @returns {{fin:boolean, opcode:number, payload:Buffer, length:number}|null}
+ *   `length` is the number of bytes consumed
+ */
+export function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    len = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const maskKey = masked ? buf.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buf.length < offset + len) return null;
+  const payload = Buffer.from(buf.subarray(offset, offset + len));
+  if (maskKey) for (let i = 0; i < payload.length; i += 1) payload[i] ^= maskKey[i % 4];
+  return {
+    fin, opcode, payload, length: offset + len,
+  };
+}
+
+/**
+ * Open a ws:// connection. Resolves once the server accepts the upgrade with
+ * a socket-like handle: `send(text)`, `close()`, and `onmessage(text)` /
+ * `onclose()` callbacks the caller assigns. Rejects on a refused/timed-out
+ * connection or a non-101 answer (err.status carries the HTTP status, so a
+ * firmware without ECP-2 — 404 — can be told apart from a network failure).
+ *
+ * @param {string} url ws://host:port/path
+ * @param {object} [opts]
+ * @param {string} [opts.protocol] Sec-WebSocket-Protocol to request
+ * @param {number} [opts.timeoutMs=5000] connect + handshake deadline
+ * @param {Function} [opts.connect] net.connect stand-in for tests
+ */
+export function openWebSocket(url, { protocol, timeoutMs = 5000, connect = net.connect } = {}) {
+  const { hostname, port, pathname, search } = new URL(url);
+  const key = randomBytes(16).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    const socket = connect({ host: hostname, port: Number(port) || 80 });
+    let buffered = Buffer.alloc(0);
+    let open = false;
+    let closed = false;
+    let fragments = [];
+    // Messages decoded before the caller assigns onmessage — frames can ride
+    // in the same TCP chunk as the 101, i.e. before openWebSocket() resolves.
+    let onmessage = null;
+    const early = [];
+
+    const handle = {
+      get onmessage() { return onmessage; },
+      set onmessage(fn) {
+        onmessage = fn;
+        while (onmessage === fn && fn && early.length > 0) fn(early.shift());
+      },
+      onclose: null,
+      send(text) {
+        if (!open || closed) throw new Error('WebSocket is not open');
+        socket.write(encodeFrame(OP_TEXT, text));
+      },
+      close() {
+        if (closed) return;
+        if (open) {
+          try { socket.write(encodeFrame(OP_CLOSE, Buffer.from([0x03, 0xe8]))); } catch { /* socket gone */ }
+        }
+        socket.end();
+        socket.destroy();
+      },
+    };
+
+    const fail = (err) => {
+      if (open) return;
+      closed = true;
+      socket.destroy();
+      reject(err);
+    };
+
+    const timer = setTimeout(() => fail(new Error(`WebSocket connect to ${url} timed out after ${timeoutMs}ms`)), timeoutMs);
+
+    const readFrames = () => {
+      for (;;) {
+        const frame = decodeFrame(buffered);
+        if (!frame) return;
+        buffered = buffered.subarray(frame.length);
+        if (frame.opcode === OP_PING) {
+          socket.write(encodeFrame(OP_PONG, frame.payload));
+        } else if (frame.opcode === OP_CLOSE) {
+          handle.close();
+          return;
+        } else if (frame.opcode === OP_TEXT || frame.opcode === OP_CONTINUATION) {
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            if (onmessage) onmessage(text);
+            else early.push(text);
+          }
+        }
+        // OP_PONG and binary frames are ignored.
+      }
+    };
+
+    socket.on('connect', () => {
+      const lines = [
+        `GET ${pathname || '/'}${search || ''} HTTP/1.1`,
+        `Host: ${hostname}:${port || 80}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${key}`,
+        'Sec-WebSocket-Version: 13',
+      ];
+      if (protocol) lines.push(`Sec-WebSocket-Protocol: ${protocol}`);
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    });
+
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      if (!open) {
+        const end = buffered.indexOf('\r\n\r\n');
+        if (end === -1) return;
+        const head = buffered.subarray(0, end).toString('utf8').split('\r\n');
+        buffered = buffered.subarray(end + 4);
+        const status = parseInt((head[0] || '').split(' ')[1], 10);
+        const accept = head.find((l) => /^sec-websocket-accept:/i.test(l));
+        if (status !== 101) {
+          const err = new Error(`WebSocket upgrade refused: ${head[0]}`);
+          err.status = status || null;
+          fail(err);
+          return;
+        }
+        if (!accept || accept.split(':')[1].trim() !== acceptKeyFor(key)) {
+          fail(new Error('WebSocket upgrade failed: bad Sec-WebSocket-Accept'));
+          return;
+        }
+        clearTimeout(timer);
+        open = true;
+        resolve(handle);
+      }
+      readFrames();
+    });
+
+    socket.on('error', (err) => fail(err));
+    socket.on('close', () => {
+      clearTimeout(timer);
+      if (!open) {
+        fail(new Error('WebSocket closed during handshake'));
+        return;
+      }
+      if (closed) return;
+      closed = true;
+      if (handle.onclose) handle.onclose();
+    });
+  });
+}
+
+export default {
+  acceptKeyFor,
+  encodeFrame,
+  decodeFrame,
+  openWebSocket,
+};